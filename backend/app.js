@@ -0,0 +1,147 @@
+import express from "express";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+import priceRouter from "./routes/price.js";
+import adminRouter from "./routes/admin.js";
+import metricsRouter from "./routes/metrics.js";
+import healthRouter from "./routes/health.js";
+import priceReportsRouter from "./routes/price-reports.js";
+import directoryRouter from "./routes/directory.js";
+import estimatesRouter from "./routes/estimates.js";
+import accountRouter from "./routes/account.js";
+import { logger, runWithRequestContext, resolveRequestId } from "./services/logger.js";
+import { httpRequests, httpDuration } from "./services/metrics.js";
+import { setCacheStore } from "./services/cache.js";
+import { createFileCacheStore } from "./stores/file-cache-store.js";
+import { setFixtureStore } from "./services/http.js";
+import { createFixtureStore } from "./stores/fixture-store.js";
+import { setPriceReportStore } from "./services/price-reports.js";
+import { setDirectoryStore } from "./services/groomer-directory.js";
+import { setEstimateStore } from "./services/estimates.js";
+import { getPriceReportStore, getDirectoryStore, getEstimateStore } from "./stores/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, ".env") });
+
+// CACHE_BACKEND=file keeps cached upstream results across restarts
+if (process.env.CACHE_BACKEND === "file") {
+  setCacheStore(createFileCacheStore(), "file");
+}
+
+// UPSTREAM_FIXTURES=record saves every upstream HTTP exchange as a fixture;
+// =replay answers from those fixtures with no network access
+if (["record", "replay"].includes(process.env.UPSTREAM_FIXTURES)) {
+  setFixtureStore(createFixtureStore(), process.env.UPSTREAM_FIXTURES);
+}
+
+// Crowd-sourced price reports are blended into /api/price estimates
+setPriceReportStore(getPriceReportStore());
+
+// Approved groomer directory listings are merged into groomer searches
+setDirectoryStore(getDirectoryStore());
+
+// Estimates are saved for shareable links
+setEstimateStore(getEstimateStore());
+
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return "loopback";
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+const app = express();
+
+app.disable("x-powered-by");
+// Which proxies may set X-Forwarded-For: a hop count, "loopback", a list of
+// addresses/subnets, or "false". Trusting every hop would let clients pick
+// their own IP and dodge rate limits.
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+// --- Request ID + HTTP metrics ---
+// Every log line written while handling the request carries its ID
+function requestContextMiddleware(req, res, next) {
+  const requestId = resolveRequestId(req.headers["x-request-id"]);
+  const start = Date.now();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    // Route patterns, not raw paths, keep label cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : req.path.startsWith("/api/") ? "unmatched" : "static";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, (Date.now() - start) / 1000);
+    if (route !== "static") {
+      runWithRequestContext({ requestId }, () =>
+        logger.info("Request completed", { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - start })
+      );
+    }
+  });
+
+  runWithRequestContext({ requestId }, next);
+}
+
+app.use(requestContextMiddleware);
+// Shared estimates are posted back whole, groomer list and all
+app.use("/api/estimates", express.json({ limit: "512kb" }));
+app.use(express.json({ limit: "10kb" }));
+
+// --- CORS middleware ---
+const allowedOriginsEnv = process.env.ALLOWED_ORIGINS || "";
+const allowedOrigins = allowedOriginsEnv.split(",").map(s => s.trim()).filter(Boolean);
+
+function corsMiddleware(req, res, next) {
+  const origin = req.headers.origin;
+  if (allowedOrigins.length === 0) {
+    res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  } else if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization,X-Request-Id,X-Listing-Token");
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id");
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+}
+
+app.use(corsMiddleware);
+
+// Serve the React app's production build (npm run build), so the app and its
+// API share one origin. No directory listing.
+const frontendPath = path.join(__dirname, "groomly-worker", "dist", "client");
+app.use(express.static(frontendPath, { index: "index.html", dotfiles: "deny" }));
+
+// API routes
+app.use("/api/admin", adminRouter);
+app.use("/api", metricsRouter);
+app.use("/api", healthRouter);
+app.use("/api", priceRouter);
+app.use("/api", priceReportsRouter);
+app.use("/api", directoryRouter);
+app.use("/api", estimatesRouter);
+app.use("/api", accountRouter);
+
+// SPA fallback: serve index.html for any unmatched route (except /api/*).
+// Without a build there is no app to serve, and these routes 404.
+app.use((req, res, next) => {
+  if (req.path.startsWith("/api/")) return next();
+  res.sendFile(path.join(frontendPath, "index.html"), err => (err ? next() : undefined));
+});
+
+// Error handler. Only client errors the body parser marks as safe to expose
+// (malformed JSON, oversized bodies) keep their message.
+app.use((err, req, res, next) => {
+  logger.error("Unhandled error", { err });
+  const status = err?.status || 500;
+  if (status < 500 && err?.expose) {
+    return res.status(status).json({ error: err.message, code: "BAD_REQUEST" });
+  }
+  res.status(status).json({ error: "Internal Server Error", code: "INTERNAL_ERROR" });
+});
+
+export default app;
@@ -1,58 +1,224 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import cloudflareLogo from './assets/Cloudflare_Logo.svg'
-import './App.css'
+import { useEffect, useRef, useState } from "react";
+import PriceForm from "./components/PriceForm.jsx";
+import EstimateCard from "./components/EstimateCard.jsx";
+import BatchEstimateCard from "./components/BatchEstimateCard.jsx";
+import CompareLocations from "./components/CompareLocations.jsx";
+import ListingForm from "./components/ListingForm.jsx";
+import GroomerList from "./components/GroomerList.jsx";
+import LocationCapture from "./components/LocationCapture.jsx";
+import AccountPanel from "./components/AccountPanel.jsx";
+import { ErrorMessage } from "./components/Status.jsx";
+import {
+  streamPriceEstimate,
+  fetchBatchEstimate,
+  fetchSavedEstimate,
+  shareEstimate as saveSharedEstimate,
+  fetchAccount,
+  verifyMagicLink,
+  signOut,
+  addFavorite,
+  removeFavorite
+} from "./api.js";
+import { formatMiles } from "./lib/format.js";
+import "./App.css";
 
-function App() {
-  const [count, setCount] = useState(0)
-  const [name, setName] = useState('unknown')
+// Remembered between visits; miles until the user picks km
+const DISTANCE_UNIT_KEY = "groomlyDistanceUnit";
+// The account session token, sent as "Authorization: Bearer gs_..."
+const SESSION_KEY = "groomlySession";
 
-  return (
-    <>
-      <div>
-        <a href='https://vite.dev' target='_blank'>
-          <img src={viteLogo} className='logo' alt='Vite logo' />
-        </a>
-        <a href='https://react.dev' target='_blank'>
-          <img src={reactLogo} className='logo react' alt='React logo' />
-        </a>
-        <a href='https://workers.cloudflare.com/' target='_blank'>
-          <img src={cloudflareLogo} className='logo cloudflare' alt='Cloudflare logo' />
-        </a>
-      </div>
-      <h1>Vite + React + Cloudflare</h1>
-      <div className='card'>
-        <button
-          onClick={() => setCount((count) => count + 1)}
-          aria-label='increment'
-        >
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.tsx</code> and save to test HMR
-        </p>
-      </div>
-      <div className='card'>
-        <button
-          onClick={() => {
-            fetch('/api/')
-              .then((res) => res.json())
-              .then((data) => setName(data.name))
-          }}
-          aria-label='get name'
-        >
-          Name from API is: {name}
-        </button>
-        <p>
-          Edit <code>worker/index.js</code> to change the name
-        </p>
-      </div>
-      <p className='read-the-docs'>
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
-  )
+// The loading state after one of /price/stream's stage events: what the
+// estimate is doing, and the groomers found so far
+function streamProgress(loading, event, data, distanceUnit) {
+  switch (event) {
+    case "geocoded":
+      return { ...loading, message: `Found ${data.formatted}. Searching for groomers...` };
+    case "groomers": {
+      const within = data.radiusMilesUsed ? ` within ${formatMiles(data.radiusMilesUsed, distanceUnit)}` : "";
+      return { ...loading, message: `Found ${data.count} groomers${within}. Estimating price...` };
+    }
+    case "groomer":
+      return { ...loading, groomers: [...loading.groomers, data.groomer] };
+    case "llm":
+      if (data.status !== "started") return loading;
+      return { ...loading, message: `Asking the AI for a price (${loading.groomers.length} groomers)...` };
+    default:
+      return loading;
+  }
+}
+
+// A request for several pets as one for its first pet, which is the one
+// saved to the account or compared across locations
+function firstPetRequest(request) {
+  if (!request?.pets) return request;
+  const { pets, ...place } = request;
+  return { ...place, ...pets[0] };
 }
 
-export default App
+export default function App() {
+  const [result, setResult] = useState({ state: "idle" });
+  const [origin, setOrigin] = useState(null);
+  const [distanceUnit, setDistanceUnit] = useState(() => localStorage.getItem(DISTANCE_UNIT_KEY) || "mi");
+  const [session, setSession] = useState(() => ({ token: localStorage.getItem(SESSION_KEY), account: null, error: null }));
+  const [lastRequest, setLastRequest] = useState(null);
+  const pending = useRef(null);
+
+  function changeDistanceUnit(unit) {
+    localStorage.setItem(DISTANCE_UNIT_KEY, unit);
+    setDistanceUnit(unit);
+  }
+
+  function startSession({ token, account }) {
+    localStorage.setItem(SESSION_KEY, token);
+    setSession({ token, account, error: null });
+  }
+
+  function endSession(error = null) {
+    localStorage.removeItem(SESSION_KEY);
+    setSession({ token: null, account: null, error });
+  }
+
+  // An expired or revoked session signs the user out
+  async function refreshAccount(token) {
+    if (!token) return;
+    try {
+      setSession({ token, account: await fetchAccount(token), error: null });
+    } catch (err) {
+      if (err.status === 401) endSession();
+      else setSession(current => ({ ...current, error: err }));
+    }
+  }
+
+  // Makes a change to the account, then reloads it to show the change
+  async function changeAccount(action) {
+    try {
+      await action(session.token);
+    } catch (err) {
+      return setSession(current => ({ ...current, error: err }));
+    }
+    await refreshAccount(session.token);
+  }
+
+  async function leaveAccount() {
+    await signOut(session.token).catch(() => {});
+    endSession();
+  }
+
+  function toggleFavorite(groomer, add) {
+    return changeAccount(token => (add ? addFavorite(token, groomer) : removeFavorite(token, groomer.place_id)));
+  }
+
+  // A new request replaces one still in flight. fetchEstimate(signal, progress)
+  // may call progress(loading => loading) to update what's shown meanwhile.
+  async function load(fetchEstimate, message) {
+    pending.current?.abort();
+    const controller = new AbortController();
+    pending.current = controller;
+
+    setResult({ state: "loading", message, groomers: [] });
+    setOrigin(null);
+    const progress = update => {
+      if (pending.current === controller) setResult(current => (current.state === "loading" ? update(current) : current));
+    };
+    try {
+      const estimate = await fetchEstimate(controller.signal, progress);
+      setResult({ state: "done", estimate });
+    } catch (err) {
+      if (err?.name !== "AbortError") setResult({ state: "error", error: err });
+    }
+  }
+
+  // Signed in, a single pet's estimate lands in the account's history too.
+  // Several pets are priced together in one batch request.
+  async function estimate(request) {
+    // The page no longer shows the shared estimate it was opened with
+    if (window.location.search) window.history.replaceState(null, "", window.location.pathname);
+    setLastRequest(request);
+    if (request.pets) {
+      return load(signal => fetchBatchEstimate(request, { signal }), `Estimating prices for ${request.pets.length} pets...`);
+    }
+    const { token } = session;
+    await load(
+      (signal, progress) => streamPriceEstimate(request, {
+        signal,
+        token,
+        onEvent: (event, data) => progress(loading => streamProgress(loading, event, data, distanceUnit))
+      }),
+      "Estimating price..."
+    );
+    if (token) await refreshAccount(token);
+  }
+
+  // Saves the estimate on screen behind a link, exactly as it was shown
+  async function shareEstimate() {
+    const { token } = session;
+    const shown = result.estimate;
+    const share = await saveSharedEstimate(shown, { token });
+    setResult({ state: "done", estimate: { ...shown, share } });
+    if (token) await refreshAccount(token);
+  }
+
+  // Share links open as ?estimate=<id>, magic links as ?login=<token>
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get("estimate");
+    const loginToken = params.get("login");
+    const token = localStorage.getItem(SESSION_KEY);
+    if (id) load(signal => fetchSavedEstimate(id, { signal }), "Loading shared estimate...");
+    if (loginToken) {
+      window.history.replaceState(null, "", window.location.pathname);
+      verifyMagicLink(loginToken).then(startSession, err => endSession(err));
+    } else if (token) {
+      fetchAccount(token).then(
+        account => startSession({ token, account }),
+        err => (err.status === 401 ? endSession() : setSession(current => ({ ...current, error: err })))
+      );
+    }
+    return () => pending.current?.abort();
+  }, []);
+
+  return (
+    <div className="container">
+      <h1>🐾 Groomly</h1>
+      <p className="subtitle">AI-Powered Pet Grooming Price Estimator</p>
+
+      <AccountPanel
+        account={session.account}
+        error={session.error}
+        lastRequest={firstPetRequest(lastRequest)}
+        onSignedIn={startSession}
+        onSignOut={leaveAccount}
+        onChange={changeAccount}
+        onRun={estimate}
+      />
+
+      <PriceForm onSubmit={estimate} busy={result.state === "loading"} progress={result.message} />
+
+      {result.state === "loading" && result.groomers.length > 0 && (
+        <GroomerList groomers={result.groomers} distanceUnit={distanceUnit} onDistanceUnit={changeDistanceUnit} />
+      )}
+      {result.state === "error" && <ErrorMessage error={result.error} />}
+      {result.state === "done" && (
+        <>
+          {result.estimate.pets ? (
+            <BatchEstimateCard estimate={result.estimate} />
+          ) : (
+            <EstimateCard estimate={result.estimate} distanceUnit={distanceUnit} onShare={result.estimate.shareToken ? shareEstimate : undefined} />
+          )}
+          <LocationCapture onOrigin={setOrigin} />
+          <GroomerList
+            groomers={result.estimate.groomers || []}
+            origin={origin}
+            distanceUnit={distanceUnit}
+            onDistanceUnit={changeDistanceUnit}
+            favorites={session.account ? session.account.favorites.map(f => f.placeId) : null}
+            onFavorite={toggleFavorite}
+          />
+        </>
+      )}
+
+      <CompareLocations pet={firstPetRequest(lastRequest)} distanceUnit={distanceUnit} />
+      <ListingForm distanceUnit={distanceUnit} />
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App.jsx";
+import { estimate, batchEstimate, account } from "./test/fixtures.js";
+
+function respond(status, body) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+// A /price/stream response; send(event, data) writes one event to it
+function eventStream() {
+  const encoder = new TextEncoder();
+  let controller;
+  const body = new ReadableStream({ start(c) { controller = c; } });
+  return {
+    response: { ok: true, status: 200, body },
+    send: (event, data) => controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+  };
+}
+
+function streamed(body) {
+  const stream = eventStream();
+  stream.send("estimate", body);
+  return stream.response;
+}
+
+async function requestEstimate() {
+  await userEvent.type(screen.getByLabelText("Zip / Postal Code"), "78701");
+  await userEvent.selectOptions(screen.getAllByLabelText("Pet Type")[0], "dog");
+  await userEvent.selectOptions(screen.getAllByLabelText("Pet Size")[0], "medium");
+  await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+}
+
+describe("App", () => {
+  afterEach(() => window.history.replaceState(null, "", "/"));
+
+  it("shows the stream's progress, then the estimate and groomers", async () => {
+    const stream = eventStream();
+    const fetch = vi.fn().mockResolvedValue(stream.response);
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    await requestEstimate();
+    expect(screen.getByRole("status")).toHaveTextContent("Estimating price...");
+    const url = new URL(fetch.mock.calls[0][0], window.location.origin);
+    expect(url.pathname).toBe("/api/price/stream");
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({ zip: "78701", type: "dog", size: "medium", services: "full-groom" });
+
+    stream.send("geocoded", { formatted: "Austin, TX, USA" });
+    expect(await screen.findByText("Found Austin, TX, USA. Searching for groomers...")).toBeInTheDocument();
+    stream.send("groomers", { count: 3, radiusMilesUsed: 3 });
+    expect(await screen.findByText("Found 3 groomers within 3 mi. Estimating price...")).toBeInTheDocument();
+    stream.send("groomer", { index: 0, groomer: estimate.groomers[0] });
+    stream.send("llm", { status: "started" });
+    expect(await screen.findByText("Asking the AI for a price (1 groomers)...")).toBeInTheDocument();
+    expect(screen.getAllByRole("article")).toHaveLength(1);
+
+    stream.send("estimate", estimate);
+    expect(await screen.findByText("$65 - $95", { selector: ".price-range" })).toBeInTheDocument();
+    expect(screen.queryByRole("status")).toBeNull();
+    expect(screen.getAllByRole("article")).toHaveLength(3);
+  });
+
+  it("prices several pets together in one batch request", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(200, batchEstimate));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    await userEvent.click(screen.getByRole("button", { name: "➕ Add another pet" }));
+    await userEvent.selectOptions(screen.getAllByLabelText("Pet Type")[1], "cat");
+    await userEvent.selectOptions(screen.getAllByLabelText("Pet Size")[1], "small");
+    await requestEstimate();
+
+    expect(fetch.mock.calls[0][0]).toBe("/api/price/batch");
+    expect(JSON.parse(fetch.mock.calls[0][1].body).pets.map(pet => pet.type)).toEqual(["dog", "cat"]);
+    expect(await screen.findByRole("heading", { name: "Household Estimate" })).toBeInTheDocument();
+    expect(screen.getByText("$115 - $165", { selector: ".price-range" })).toBeInTheDocument();
+    expect(screen.getByText("Biscuit (medium dog)")).toBeInTheDocument();
+    expect(screen.getByText("Pet 2 (small cat)")).toBeInTheDocument();
+    expect(screen.getByText("1 of 3 nearby groomers are known to serve all your pets")).toBeInTheDocument();
+    expect(screen.getAllByRole("article")).toHaveLength(3);
+    expect(screen.getByRole("button", { name: "Compare prices for the medium dog" })).toBeInTheDocument();
+  });
+
+  it("saves the estimate on screen behind a share link only when asked", async () => {
+    const shareToken = "ab".repeat(32);
+    const share = { id: shareToken.slice(0, 24), expiresAt: "2026-11-18T12:00:00.000Z" };
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(streamed({ ...estimate, shareToken }))
+      .mockResolvedValueOnce(respond(201, share));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    await requestEstimate();
+    await userEvent.click(await screen.findByRole("button", { name: "🔗 Create share link" }));
+
+    expect(fetch.mock.calls[0][0]).not.toContain("share");
+    expect(fetch.mock.calls[1][0]).toBe("/api/estimates");
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ estimate, shareToken });
+    expect(await screen.findByLabelText("Share link")).toHaveValue(`${window.location.origin}/?estimate=${share.id}`);
+    expect(screen.getByText("$65 - $95", { selector: ".price-range" })).toBeInTheDocument();
+  });
+
+  it("shows the API's validation details", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(respond(400, {
+      error: "Invalid input",
+      details: ["size must be one of: tiny, small, medium, large, x-large"]
+    })));
+    render(<App />);
+
+    await requestEstimate();
+
+    const alert = await screen.findByRole("alert");
+    expect(alert).toHaveTextContent("Invalid input");
+    expect(alert).toHaveTextContent("size must be one of");
+  });
+
+  it("explains rate limiting and network failures", async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(respond(429, { error: "Too many requests" }))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    await requestEstimate();
+    expect(await screen.findByRole("alert")).toHaveTextContent("Please wait a moment");
+
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("Could not reach Groomly");
+  });
+
+  it("explains an error partway through the stream", async () => {
+    const stream = eventStream();
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(stream.response));
+    render(<App />);
+
+    await requestEstimate();
+    stream.send("error", { error: "Price estimation temporarily unavailable", code: "upstream_error" });
+    expect(await screen.findByRole("alert")).toHaveTextContent("Price estimation temporarily unavailable");
+  });
+
+  it("opens a share link", async () => {
+    window.history.replaceState(null, "", "/?estimate=0123456789abcdef01234567");
+    const fetch = vi.fn().mockResolvedValue(respond(200, {
+      id: "0123456789abcdef01234567",
+      createdAt: "2026-10-19T12:00:00.000Z",
+      expiresAt: "2026-11-18T12:00:00.000Z",
+      ...estimate
+    }));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    expect(screen.getByRole("status")).toHaveTextContent("Loading shared estimate...");
+    expect(await screen.findByText("$65 - $95", { selector: ".price-range" })).toBeInTheDocument();
+    expect(fetch.mock.calls[0][0]).toBe("/api/estimates/0123456789abcdef01234567");
+    expect(screen.getByText(/estimated Oct 19, 2026/)).toBeInTheDocument();
+    expect(screen.getAllByRole("article")).toHaveLength(3);
+  });
+
+  it("explains an expired share link", async () => {
+    window.history.replaceState(null, "", "/?estimate=0123456789abcdef01234567");
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(respond(410, {
+      error: "Estimate expired",
+      details: ["shared estimates are kept for 30 days"]
+    })));
+    render(<App />);
+
+    const alert = await screen.findByRole("alert");
+    expect(alert).toHaveTextContent("Estimate expired");
+    expect(alert).toHaveTextContent("kept for 30 days");
+  });
+
+  it("keeps a signed-in user's estimates in their history", async () => {
+    localStorage.setItem("groomlySession", "gs_stored");
+    const fetch = vi.fn(url => Promise.resolve(url.startsWith("/api/price/stream") ? streamed(estimate) : respond(200, account)));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    expect(await screen.findByRole("heading", { name: /sam@example\.com/ })).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith("/api/account", expect.objectContaining({ headers: { Authorization: "Bearer gs_stored" } }));
+
+    await userEvent.click(screen.getByRole("button", { name: "▶ Biscuit @ Home" }));
+    expect(await screen.findByText("$65 - $95", { selector: ".price-range" })).toBeInTheDocument();
+    const priced = fetch.mock.calls.find(([url]) => url.startsWith("/api/price/stream"));
+    expect(priced[1].headers.Authorization).toBe("Bearer gs_stored");
+    expect(priced[0]).toContain("location=500+Congress+Ave+78701&type=dog&size=medium");
+    expect(fetch.mock.calls.at(-1)[0]).toBe("/api/account");
+    expect(screen.getByRole("button", { name: "★ Favorite" })).toBeInTheDocument();
+  });
+
+  it("signs in from a magic link", async () => {
+    window.history.replaceState(null, "", "/?login=0123456789abcdef");
+    const fetch = vi.fn().mockResolvedValue(respond(200, { token: "gs_new", account }));
+    vi.stubGlobal("fetch", fetch);
+    render(<App />);
+
+    expect(await screen.findByRole("heading", { name: /sam@example\.com/ })).toBeInTheDocument();
+    expect(fetch.mock.calls[0][0]).toBe("/api/account/magic-link/verify");
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ token: "0123456789abcdef" });
+    expect(localStorage.getItem("groomlySession")).toBe("gs_new");
+    expect(window.location.search).toBe("");
+  });
+
+  it("signs out when the stored session has expired", async () => {
+    localStorage.setItem("groomlySession", "gs_expired");
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(respond(401, { error: "Sign in required" })));
+    render(<App />);
+
+    expect(await screen.findByRole("button", { name: "Create account" })).toBeInTheDocument();
+    await vi.waitFor(() => expect(localStorage.getItem("groomlySession")).toBeNull());
+  });
+});
@@ -0,0 +1,199 @@
+// Shared client for the Groomly API. Requests go to the same origin by
+// default (the Worker serves both the app and /api); VITE_API_BASE points a
+// dev build at another backend such as the Express server on :5000.
+
+const API_BASE = import.meta.env.VITE_API_BASE || "";
+
+// Error responses are { error, details }; details may be a string or a list
+export class ApiError extends Error {
+  constructor(message, { status = null, details = [] } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = [].concat(details ?? []);
+  }
+}
+
+async function send(path, { method = "GET", body, signal, token } = {}) {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  try {
+    return await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: Object.keys(headers).length ? headers : undefined,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new ApiError("Could not reach Groomly. Check your connection and try again.");
+  }
+}
+
+function responseError(resp, data) {
+  const message = resp.status === 429
+    ? "Too many requests. Please wait a moment and try again."
+    : data?.error || `Request failed (${resp.status})`;
+  return new ApiError(message, { status: resp.status, details: data?.details });
+}
+
+// token is an account session, sent as "Authorization: Bearer gs_..."
+export async function requestJSON(path, options) {
+  const resp = await send(path, options);
+  const data = await resp.json().catch(() => null);
+  if (!resp.ok) throw responseError(resp, data);
+  return data;
+}
+
+// Server-sent events from a fetch response, as { event, data }. fetch rather
+// than EventSource, which can't send the session token.
+async function* readEvents(resp) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (event && data !== undefined) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+// The query GET /api/price/stream takes: the POST body, services comma-separated
+function streamQuery(request) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(request)) {
+    if (value === undefined || value === "") continue;
+    params.set(key, Array.isArray(value) ? value.join(",") : value);
+  }
+  return params;
+}
+
+// The same estimate as fetchPriceEstimate, with onEvent(event, data) called
+// for each stage (geocoded, groomers, groomer, llm) on the way
+export async function streamPriceEstimate(request, { signal, token, onEvent = () => {} } = {}) {
+  const resp = await send(`/api/price/stream?${streamQuery(request)}`, { signal, token });
+  if (!resp.ok) throw responseError(resp, await resp.json().catch(() => null));
+
+  try {
+    for await (const { event, data } of readEvents(resp)) {
+      if (event === "estimate") return data;
+      if (event === "error") throw new ApiError(data.error, { details: data.details });
+      onEvent(event, data);
+    }
+  } catch (err) {
+    if (err instanceof ApiError || err?.name === "AbortError") throw err;
+  }
+  throw new ApiError("The connection to Groomly was lost. Please try again.");
+}
+
+// Signed in, the estimate is also added to the account's history
+export function fetchPriceEstimate(request, { signal, token } = {}) {
+  return requestJSON("/api/price", { method: "POST", body: request, signal, token });
+}
+
+// Several pets at one address: { address, zip, location, pets, currency },
+// answered with a quote per pet, the household total and one groomer search
+export function fetchBatchEstimate(request, { signal } = {}) {
+  return requestJSON("/api/price/batch", { method: "POST", body: request, signal });
+}
+
+// One pet priced at up to five locations: { locations, pet, currency }
+export function comparePrices(request, { signal } = {}) {
+  return requestJSON("/api/price/compare", { method: "POST", body: request, signal });
+}
+
+// A groomer's own listing, pending review. Resolves to { token, listing };
+// the edit token is only ever shown this once.
+export function submitListing(listing) {
+  return requestJSON("/api/directory", { method: "POST", body: listing });
+}
+
+// Saves an estimate as it was shown, with the shareToken it came with, and
+// resolves to { id, expiresAt } for its link. Signed in, the estimate's
+// history entry is marked shared.
+export function shareEstimate({ shareToken, ...estimate }, { token } = {}) {
+  return requestJSON("/api/estimates", { method: "POST", body: { estimate, shareToken }, token });
+}
+
+// A saved estimate behind a share link; 404 for unknown links, 410 once expired
+export function fetchSavedEstimate(id, { signal } = {}) {
+  return requestJSON(`/api/estimates/${encodeURIComponent(id)}`, { signal });
+}
+
+// Accounts. Signing in, registering and redeeming a magic link resolve to
+// { token, account }; the rest take that session token.
+export function signIn(credentials) {
+  return requestJSON("/api/account/login", { method: "POST", body: credentials });
+}
+
+export function registerAccount(credentials) {
+  return requestJSON("/api/account/register", { method: "POST", body: credentials });
+}
+
+export function requestMagicLink(email) {
+  return requestJSON("/api/account/magic-link", { method: "POST", body: { email } });
+}
+
+export function verifyMagicLink(loginToken) {
+  return requestJSON("/api/account/magic-link/verify", { method: "POST", body: { token: loginToken } });
+}
+
+export function fetchAccount(token, { signal } = {}) {
+  return requestJSON("/api/account", { token, signal });
+}
+
+export function signOut(token) {
+  return requestJSON("/api/account/logout", { method: "POST", token });
+}
+
+// kind is "pets" ({ name, type, size, breed, coatType }) or "addresses"
+// ({ label, location })
+export function saveToAccount(token, kind, item) {
+  return requestJSON(`/api/account/${kind}`, { method: "POST", body: item, token });
+}
+
+export function removeFromAccount(token, kind, id) {
+  return requestJSON(`/api/account/${kind}/${encodeURIComponent(id)}`, { method: "DELETE", token });
+}
+
+export function addFavorite(token, groomer) {
+  return requestJSON(`/api/account/favorites/${encodeURIComponent(groomer.place_id)}`, {
+    method: "PUT",
+    body: { name: groomer.name, address: groomer.address },
+    token
+  });
+}
+
+export function removeFavorite(token, placeId) {
+  return requestJSON(`/api/account/favorites/${encodeURIComponent(placeId)}`, { method: "DELETE", token });
+}
+
+// Free-text address to { lat, lng } through OpenStreetMap Nominatim, for
+// distances from the user rather than from the searched location
+export async function geocodeAddress(address, { signal } = {}) {
+  let results;
+  try {
+    const resp = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}`, {
+      headers: { "Accept-Language": "en-US" },
+      signal
+    });
+    results = await resp.json();
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new ApiError("Address lookup failed. Try again in a moment.");
+  }
+  if (!Array.isArray(results) || results.length === 0) {
+    throw new ApiError("Could not find that address.");
+  }
+  return { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) };
+}
@@ -0,0 +1,135 @@
+import { useState } from "react";
+import SignInForm from "./SignInForm.jsx";
+import { ErrorMessage } from "./Status.jsx";
+import { saveToAccount, removeFromAccount, removeFavorite } from "../api.js";
+import { formatRange } from "../lib/format.js";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+// The location a price request searched, combined the way the API does
+function requestLocation({ address, zip, location }) {
+  return [address || location, zip].filter(Boolean).join(" ");
+}
+
+// A saved pet at a saved location, or a history entry's request, as a
+// POST /api/price body
+function savedRequest({ location, type, size, breed, coatType, services }) {
+  return { location, type, size, breed: breed || undefined, coatType: coatType || undefined, services };
+}
+
+function SavedList({ title, items, children }) {
+  if (!items.length) return null;
+  return (
+    <>
+      <strong>{title}</strong>
+      <ul className="account-list">{items.map(children)}</ul>
+    </>
+  );
+}
+
+// Sign-in while signed out; saved pets, addresses, favorites and past
+// estimates while signed in. onChange(token => request) makes a change and
+// reloads the account; onRun(request) estimates a saved search again.
+export default function AccountPanel({ account, error = null, lastRequest = null, onSignedIn, onSignOut, onChange, onRun }) {
+  const [label, setLabel] = useState("");
+
+  if (!account) {
+    return (
+      <section className="location-section account-section" aria-label="Your account">
+        <SignInForm onSignedIn={onSignedIn} />
+        <ErrorMessage error={error} />
+      </section>
+    );
+  }
+
+  async function save(kind, item) {
+    await onChange(token => saveToAccount(token, kind, item));
+    setLabel("");
+  }
+
+  function savePet() {
+    const { type, size, breed, coatType } = lastRequest;
+    save("pets", { name: (label.trim() || breed || `${size} ${type}`).slice(0, 40), type, size, breed, coatType });
+  }
+
+  function saveAddress() {
+    const location = requestLocation(lastRequest);
+    save("addresses", { label: label.trim() || location.slice(0, 40), location });
+  }
+
+  const remove = (kind, id) => onChange(token => removeFromAccount(token, kind, id));
+
+  return (
+    <section className="location-section account-section" aria-label="Your account">
+      <div className="account-header">
+        <h3>👤 {account.email}</h3>
+        <button type="button" className="small-button" onClick={onSignOut}>Sign out</button>
+      </div>
+
+      {account.pets.length && account.addresses.length ? (
+        <div className="quick-runs">
+          {account.pets.flatMap(pet => account.addresses.map(address => (
+            <button key={`${pet.id}-${address.id}`} type="button" className="small-button" onClick={() => onRun(savedRequest({ ...pet, location: address.location }))}>
+              ▶ {pet.name} @ {address.label}
+            </button>
+          )))}
+        </div>
+      ) : (
+        <div className="notes">Save a pet and an address to estimate them again with one click.</div>
+      )}
+
+      {lastRequest && (
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="saveLabel">Name (for saving)</label>
+            <input id="saveLabel" type="text" maxLength={40} placeholder="e.g., Biscuit or Home" value={label} onChange={e => setLabel(e.target.value)} />
+          </div>
+          <div className="button-group">
+            <button type="button" onClick={savePet}>💾 Save pet</button>
+            <button type="button" onClick={saveAddress}>💾 Save address</button>
+          </div>
+        </div>
+      )}
+
+      <SavedList title="Saved pets" items={account.pets}>
+        {pet => (
+          <li key={pet.id}>
+            <span>{pet.name} ({pet.size} {pet.type})</span>
+            <button type="button" className="small-button" onClick={() => remove("pets", pet.id)}>Remove</button>
+          </li>
+        )}
+      </SavedList>
+      <SavedList title="Saved addresses" items={account.addresses}>
+        {address => (
+          <li key={address.id}>
+            <span>{address.label}: {address.location}</span>
+            <button type="button" className="small-button" onClick={() => remove("addresses", address.id)}>Remove</button>
+          </li>
+        )}
+      </SavedList>
+      <SavedList title="Favorite groomers" items={account.favorites}>
+        {favorite => (
+          <li key={favorite.placeId}>
+            <span>★ {favorite.name || favorite.placeId}{favorite.address && <span className="species-match"> {favorite.address}</span>}</span>
+            <button type="button" className="small-button" onClick={() => onChange(token => removeFavorite(token, favorite.placeId))}>Remove</button>
+          </li>
+        )}
+      </SavedList>
+      <SavedList title="Past estimates" items={account.history.slice(0, 10)}>
+        {entry => (
+          <li key={entry.id}>
+            <span>
+              {formatDate(entry.createdAt)} · {entry.request.size} {entry.request.type} · {entry.matchedLocation || entry.request.location} · {formatRange(entry.price)}
+              {entry.shared && <> · <a href={`?estimate=${encodeURIComponent(entry.id)}`}>link</a></>}
+            </span>
+            <button type="button" className="small-button" onClick={() => onRun(savedRequest(entry.request))}>Re-run</button>
+          </li>
+        )}
+      </SavedList>
+
+      <ErrorMessage error={error} />
+    </section>
+  );
+}
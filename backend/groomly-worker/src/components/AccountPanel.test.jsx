@@ -0,0 +1,131 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import AccountPanel from "./AccountPanel.jsx";
+import { account } from "../test/fixtures.js";
+
+const TOKEN = "gs_0123456789abcdef0123456789abcdef0123456789abcdef";
+
+function respond(status, body) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+// Runs onChange's request with a session token, as App does
+function changeWith(token = TOKEN) {
+  return vi.fn(action => action(token));
+}
+
+describe("AccountPanel", () => {
+  it("signs in with a password", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(200, { token: TOKEN, account }));
+    vi.stubGlobal("fetch", fetch);
+    const onSignedIn = vi.fn();
+    render(<AccountPanel account={null} onSignedIn={onSignedIn} />);
+
+    await userEvent.type(screen.getByLabelText("Email"), " Sam@example.com ");
+    await userEvent.type(screen.getByLabelText("Password"), "correct horse");
+    await userEvent.click(screen.getByRole("button", { name: "Sign in" }));
+
+    expect(fetch).toHaveBeenCalledWith("/api/account/login", expect.objectContaining({ method: "POST" }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ email: "Sam@example.com", password: "correct horse" });
+    expect(onSignedIn).toHaveBeenCalledWith({ token: TOKEN, account });
+    expect(screen.getByLabelText("Password")).toHaveValue("");
+  });
+
+  it("emails a sign-in link when the password is left empty", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(202, { sent: true }));
+    vi.stubGlobal("fetch", fetch);
+    render(<AccountPanel account={null} onSignedIn={vi.fn()} />);
+
+    await userEvent.type(screen.getByLabelText("Email"), "sam@example.com");
+    await userEvent.click(screen.getByRole("button", { name: "Sign in" }));
+
+    expect(fetch.mock.calls[0][0]).toBe("/api/account/magic-link");
+    expect(await screen.findByText("Check sam@example.com for a sign-in link.")).toBeInTheDocument();
+  });
+
+  it("explains why signing in failed", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(respond(503, {
+      error: "Magic links are not available",
+      details: ["sign in with a password instead"]
+    })));
+    const onSignedIn = vi.fn();
+    render(<AccountPanel account={null} onSignedIn={onSignedIn} />);
+
+    await userEvent.type(screen.getByLabelText("Email"), "sam@example.com");
+    await userEvent.click(screen.getByRole("button", { name: /Email me a sign-in link/ }));
+
+    const alert = await screen.findByRole("alert");
+    expect(alert).toHaveTextContent("Magic links are not available");
+    expect(alert).toHaveTextContent("sign in with a password instead");
+    expect(onSignedIn).not.toHaveBeenCalled();
+  });
+
+  it("re-runs a saved pet at a saved address, or a past estimate, in one click", async () => {
+    const onRun = vi.fn();
+    render(<AccountPanel account={account} onRun={onRun} onChange={changeWith()} />);
+
+    await userEvent.click(screen.getByRole("button", { name: "▶ Biscuit @ Home" }));
+    expect(onRun).toHaveBeenLastCalledWith({
+      location: "500 Congress Ave 78701",
+      type: "dog",
+      size: "medium",
+      breed: "Poodle",
+      coatType: undefined,
+      services: undefined
+    });
+
+    const past = screen.getByText(/small cat · Austin, TX, USA · \$50 - \$70/).closest("li");
+    expect(within(past).getByRole("link", { name: "link" })).toHaveAttribute("href", "?estimate=0123456789abcdef01234567");
+    await userEvent.click(within(past).getByRole("button", { name: "Re-run" }));
+    expect(onRun).toHaveBeenLastCalledWith({
+      location: "Austin, TX",
+      type: "cat",
+      size: "small",
+      breed: undefined,
+      coatType: undefined,
+      services: ["bath"]
+    });
+  });
+
+  it("saves the pet and address of the last estimate", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(201, {}));
+    vi.stubGlobal("fetch", fetch);
+    const lastRequest = { address: "1 Main St", zip: "78701", type: "cat", size: "small", breed: undefined, services: ["bath"] };
+    render(<AccountPanel account={{ ...account, pets: [], addresses: [] }} lastRequest={lastRequest} onChange={changeWith()} />);
+
+    expect(screen.getByText("Save a pet and an address to estimate them again with one click.")).toBeInTheDocument();
+
+    await userEvent.type(screen.getByLabelText("Name (for saving)"), "Mochi");
+    await userEvent.click(screen.getByRole("button", { name: "💾 Save pet" }));
+    await userEvent.click(screen.getByRole("button", { name: "💾 Save address" }));
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(["/api/account/pets", "/api/account/addresses"]);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${TOKEN}`);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ name: "Mochi", type: "cat", size: "small" });
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ label: "1 Main St 78701", location: "1 Main St 78701" });
+  });
+
+  it("removes saved items and favorites", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(204, null));
+    vi.stubGlobal("fetch", fetch);
+    render(<AccountPanel account={account} onChange={changeWith()} />);
+
+    await userEvent.click(within(screen.getByText("Home: 500 Congress Ave 78701").closest("li")).getByRole("button", { name: "Remove" }));
+    await userEvent.click(within(screen.getByText(/★ Lady Bird Grooming Co\./).closest("li")).getByRole("button", { name: "Remove" }));
+
+    expect(fetch.mock.calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+      "DELETE /api/account/addresses/f6e5d4c3b2a1",
+      "DELETE /api/account/favorites/ChIJ-fixture-A"
+    ]);
+  });
+
+  it("signs out", async () => {
+    const onSignOut = vi.fn();
+    render(<AccountPanel account={account} onSignOut={onSignOut} />);
+
+    expect(screen.getByRole("heading", { name: /sam@example\.com/ })).toBeInTheDocument();
+    await userEvent.click(screen.getByRole("button", { name: "Sign out" }));
+    expect(onSignOut).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+import { formatRange, conversionNote } from "../lib/format.js";
+
+function LineItems({ price }) {
+  if (!price.lineItems?.length) return null;
+  return (
+    <ul className="line-items">
+      {price.lineItems.map(item => (
+        <li key={item.service}>
+          <span>{item.label || item.service}</span>
+          <span>{formatRange(item, price.currency)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// One POST /api/price/batch response: the household total, then a quote per
+// pet, in the display currency when one was picked
+export default function BatchEstimateCard({ estimate }) {
+  const { total, displayTotal, pets, groomers = [], household, input, demo } = estimate;
+  const converted = conversionNote(total, displayTotal);
+  const geocode = input?.geocode;
+
+  return (
+    <section className="results" aria-label="Household estimate">
+      <h2>Household Estimate</h2>
+      {demo && (
+        <div className="demo-banner" role="note">
+          ⚠️ <strong>Sample data:</strong> we couldn't find groomers near this location, so the groomers below are
+          made-up examples. The price is based on typical rates for the area, not local businesses.
+        </div>
+      )}
+      <div className="price-box">
+        <div className="price-range">{formatRange(displayTotal || total)}</div>
+        <div className="confidence">Confidence: <strong>{total.confidence}</strong></div>
+        {pets.map((pet, i) => {
+          const shown = pet.displayPrice || pet.price;
+          return (
+            <div key={i} className="pet-quote">
+              <h4>
+                <span>{pet.input.name || `Pet ${i + 1}`} ({pet.input.size} {pet.input.type})</span>
+                <span>{formatRange(shown)}</span>
+              </h4>
+              <LineItems price={shown} />
+              {pet.price.notes && <div className="notes">{pet.price.notes}</div>}
+            </div>
+          );
+        })}
+        {converted && <div className="notes">{converted}</div>}
+        {groomers.length > 0 && (
+          <div className="notes">
+            {household?.groomersServingAll ?? 0} of {groomers.length} nearby groomers are known to serve all your pets
+          </div>
+        )}
+        {geocode && (
+          <div className="notes">Location matched: {geocode.formatted} ({geocode.precision} level, via {geocode.provider})</div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { comparePrices } from "../api.js";
+import { Loading, ErrorMessage } from "./Status.jsx";
+import { formatRange, formatMiles } from "../lib/format.js";
+
+// COMPARE_MAX_LOCATIONS on the server
+const MAX_LOCATIONS = 5;
+
+function ComparisonTable({ data, distanceUnit }) {
+  return (
+    <>
+      <table className="compare-table">
+        <thead>
+          <tr><th>Location</th><th>Price range</th><th>Groomers</th><th>Avg rating</th><th>Radius</th></tr>
+        </thead>
+        <tbody>
+          {data.comparison.map(row => (row.error ? (
+            <tr key={row.location}>
+              <td>{row.location}</td>
+              <td colSpan={4}>{row.error}</td>
+            </tr>
+          ) : (
+            <tr key={row.location} className={row.location === data.summary.cheapest ? "cheapest" : undefined}>
+              <td>{row.geocode?.formatted || row.location}</td>
+              <td>{formatRange(row.displayPrice || row.price)} <small>({row.price.confidence})</small></td>
+              <td>{row.demo ? "none found (sample data)" : row.groomersCount}</td>
+              <td>{row.averageRating != null ? `⭐ ${row.averageRating}` : "—"}</td>
+              <td>{row.radiusMilesUsed != null ? formatMiles(row.radiusMilesUsed, distanceUnit) : "—"}</td>
+            </tr>
+          )))}
+        </tbody>
+      </table>
+      {data.summary.cheapest && <div className="notes">Lowest estimate: {data.summary.cheapest}</div>}
+    </>
+  );
+}
+
+// The last pet estimated, priced at several locations side by side. pet is a
+// single-pet POST /api/price body, or null before the first estimate.
+export default function CompareLocations({ pet, distanceUnit = "mi" }) {
+  const [text, setText] = useState("");
+  const [status, setStatus] = useState({ state: "idle" });
+
+  async function compare() {
+    const locations = text.split("\n").map(line => line.trim()).filter(Boolean);
+    if (locations.length < 2) return setStatus({ state: "problem", message: "Enter at least two locations, one per line." });
+    if (locations.length > MAX_LOCATIONS) return setStatus({ state: "problem", message: `Compare at most ${MAX_LOCATIONS} locations at a time.` });
+
+    const { type, size, breed, coatType, services, currency } = pet;
+    setStatus({ state: "busy", count: locations.length });
+    try {
+      const data = await comparePrices({ locations, pet: { type, size, breed, coatType, services }, currency });
+      setStatus({ state: "done", data });
+    } catch (err) {
+      setStatus({ state: "error", error: err });
+    }
+  }
+
+  return (
+    <section className="location-section" aria-label="Compare locations">
+      <h3>📊 Compare Locations</h3>
+      <div className="form-group">
+        <label htmlFor="compareLocations">Locations to compare (one per line, up to {MAX_LOCATIONS})</label>
+        <textarea id="compareLocations" rows={3} placeholder={"e.g., 98101\nAustin, TX 78701"} value={text} onChange={e => setText(e.target.value)} />
+      </div>
+      {pet ? (
+        <button type="button" disabled={status.state === "busy"} onClick={compare}>
+          Compare prices for the {pet.size} {pet.breed || pet.type}
+        </button>
+      ) : (
+        <div className="notes">Get an estimate first, then compare its price at other locations.</div>
+      )}
+      {status.state === "busy" && <Loading message={`Comparing ${status.count} locations...`} />}
+      {status.state === "problem" && <div className="error" role="alert">{status.message}</div>}
+      {status.state === "error" && <ErrorMessage error={status.error} />}
+      {status.state === "done" && <ComparisonTable data={status.data} distanceUnit={distanceUnit} />}
+    </section>
+  );
+}
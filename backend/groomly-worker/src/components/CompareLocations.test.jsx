@@ -0,0 +1,54 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import CompareLocations from "./CompareLocations.jsx";
+import { comparison } from "../test/fixtures.js";
+
+const pet = { zip: "78701", type: "dog", size: "medium", breed: "Poodle", coatType: undefined, services: ["full-groom"], currency: "USD" };
+
+function respond(status, body) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+describe("CompareLocations", () => {
+  it("waits for an estimate to compare", () => {
+    render(<CompareLocations pet={null} />);
+    expect(screen.getByText("Get an estimate first, then compare its price at other locations.")).toBeInTheDocument();
+    expect(screen.queryByRole("button")).toBeNull();
+  });
+
+  it("asks for two to five locations", async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+    render(<CompareLocations pet={pet} />);
+
+    await userEvent.type(screen.getByLabelText(/Locations to compare/), "78701");
+    await userEvent.click(screen.getByRole("button", { name: "Compare prices for the medium Poodle" }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Enter at least two locations, one per line.");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("prices the last pet at each location and marks the cheapest", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(200, comparison));
+    vi.stubGlobal("fetch", fetch);
+    render(<CompareLocations pet={pet} />);
+
+    await userEvent.type(screen.getByLabelText(/Locations to compare/), "78701\n 98101 \n\nnowhere");
+    await userEvent.click(screen.getByRole("button", { name: "Compare prices for the medium Poodle" }));
+
+    expect(fetch.mock.calls[0][0]).toBe("/api/price/compare");
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      locations: ["78701", "98101", "nowhere"],
+      pet: { type: "dog", size: "medium", breed: "Poodle", services: ["full-groom"] },
+      currency: "USD"
+    });
+
+    const rows = within(await screen.findByRole("table")).getAllByRole("row");
+    expect(rows[1]).toHaveClass("cheapest");
+    expect(rows[1]).toHaveTextContent("Austin, TX 78701$65 - $95 (high)3⭐ 4.63 mi");
+    expect(rows[2]).toHaveTextContent("none found (sample data)");
+    expect(rows[3]).toHaveTextContent("nowherePricing service error");
+    expect(screen.getByText("Lowest estimate: 78701")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+import ShareBox from "./ShareBox.jsx";
+import { formatRange, formatMiles, conversionNote } from "../lib/format.js";
+
+const VALIDATION_LABELS = {
+  validated: "AI estimate passed checks",
+  repaired: "AI estimate corrected after checks",
+  replaced: "AI estimate replaced by rule-based pricing"
+};
+
+// What was priced, and when for a saved estimate, so a printout stands on its own
+function describeEstimate({ input = {}, createdAt }) {
+  const pet = [input.size, input.breed, input.type].filter(Boolean).join(" ");
+  const parts = [pet, input.geocode?.formatted || input.location];
+  if (createdAt) parts.push(`estimated ${new Date(createdAt).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" })}`);
+  return parts.filter(Boolean).join(" · ");
+}
+
+// One POST /api/price response, or a saved one from GET /api/estimates/:id.
+// The range is shown in the display currency; estimates saved before there
+// was one have no displayPrice. onShare is passed on to the ShareBox.
+export default function EstimateCard({ estimate, print, onShare, distanceUnit = "mi" }) {
+  const { price, baseline, validation, input, demo } = estimate;
+  const shown = estimate.displayPrice || price;
+  const converted = conversionNote(price, estimate.displayPrice);
+  const geocode = input?.geocode;
+
+  return (
+    <section className="results" aria-label="Price estimate">
+      <h2>Price Estimate</h2>
+      <div className="estimate-meta">{describeEstimate(estimate)}</div>
+      {demo && (
+        <div className="demo-banner" role="note">
+          ⚠️ <strong>Sample data:</strong> we couldn't find groomers near this location, so the groomers below are
+          made-up examples. The price is based on typical rates for the area, not local businesses.
+        </div>
+      )}
+      <div className="price-box">
+        <div className="price-range">{formatRange(shown)}</div>
+        <div className="confidence">Confidence: <strong>{price.confidence}</strong></div>
+        {shown.lineItems?.length > 0 && (
+          <ul className="line-items">
+            {shown.lineItems.map(item => (
+              <li key={item.service}>
+                <span>{item.label || item.service}</span>
+                <span>{formatRange(item, shown.currency)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {converted && <div className="notes">{converted}</div>}
+        {price.notes && <div className="notes">{price.notes}</div>}
+        {input?.radiusMilesUsed && <div className="notes">Search radius used: {formatMiles(input.radiusMilesUsed, distanceUnit)}</div>}
+        {baseline?.min != null && <div className="notes">Reference range (rule-based): {formatRange(baseline, baseline.currency || price.currency)}</div>}
+        {validation && VALIDATION_LABELS[validation.status] && <div className="notes">{VALIDATION_LABELS[validation.status]}</div>}
+        {geocode && (
+          <div className="notes">Location matched: {geocode.formatted} ({geocode.precision} level, via {geocode.provider})</div>
+        )}
+      </div>
+      <ShareBox estimate={estimate} print={print} onShare={onShare} />
+    </section>
+  );
+}
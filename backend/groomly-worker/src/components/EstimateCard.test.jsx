@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import EstimateCard from "./EstimateCard.jsx";
+import { estimate } from "../test/fixtures.js";
+
+describe("EstimateCard", () => {
+  it("shows the range, line items and how the location was matched", () => {
+    render(<EstimateCard estimate={estimate} />);
+
+    expect(screen.getByText("$65 - $95", { selector: ".price-range" })).toBeInTheDocument();
+    expect(screen.getByText("Full groom")).toBeInTheDocument();
+    expect(screen.getByText("AI estimate passed checks")).toBeInTheDocument();
+    expect(screen.getByText(/Location matched: 500 Congress Ave/)).toBeInTheDocument();
+    expect(screen.queryByRole("note")).toBeNull();
+  });
+
+  it("shows the display currency with the local price it was converted from", () => {
+    const cad = { ...estimate.price, min: 80, max: 120, currency: "CAD", lineItems: [{ service: "full-groom", label: "Full groom", min: 80, max: 120 }] };
+    const displayPrice = { currency: "USD", min: 58, max: 87, lineItems: [{ service: "full-groom", label: "Full groom", min: 58, max: 87 }], rate: 0.724638, ratesAsOf: "2026-10-01" };
+    render(<EstimateCard estimate={{ ...estimate, price: cad, displayPrice }} distanceUnit="km" />);
+
+    expect(screen.getByText("$58 - $87", { selector: ".price-range" })).toBeInTheDocument();
+    expect(screen.getByText("Local price: CA$80 - CA$120, converted at Oct 1, 2026 exchange rates")).toBeInTheDocument();
+    expect(screen.getByText("Search radius used: 5 km")).toBeInTheDocument();
+  });
+
+  it("warns when the groomers are sample data", () => {
+    render(<EstimateCard estimate={{ ...estimate, demo: true }} />);
+    expect(screen.getByRole("note")).toHaveTextContent("Sample data");
+  });
+});
@@ -0,0 +1,65 @@
+import { mapsLink, directionsLink } from "../lib/groomers.js";
+import { formatDistance } from "../lib/format.js";
+
+const SPECIES_MATCH_LABELS = {
+  confirmed: "Confirmed for your pet",
+  likely: "Likely serves your pet",
+  unknown: "May not serve your pet"
+};
+
+function Hours({ groomer }) {
+  if (Array.isArray(groomer.weeklyHours) && groomer.weeklyHours.length) {
+    const now = groomer.openNow === true ? <strong>Open now</strong> : groomer.openNow === false ? "Closed now" : "Hours";
+    return (
+      <div className="groomer-hours">
+        🕒 {now}
+        <ul className="weekly-hours">
+          {groomer.weeklyHours.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      </div>
+    );
+  }
+  return groomer.hours ? <div className="groomer-hours">🕒 {groomer.hours}</div> : null;
+}
+
+// favorite is true or false when the groomer can be saved to the signed-in
+// account, which onFavorite(groomer, add) does or undoes
+export default function GroomerCard({ groomer, origin = null, distanceUnit = "mi", favorite, onFavorite }) {
+  const map = mapsLink(groomer);
+  const directions = directionsLink(groomer, origin);
+  const services = groomer.services?.length
+    ? groomer.services.join(", ")
+    : groomer.service_match ? "Unknown (likely serves your pet)" : "May not serve your pet";
+
+  return (
+    <article className="groomer-card">
+      <div className="groomer-card-header">
+        <h3 className="groomer-name">{groomer.name}</h3>
+        {groomer.rating ? <div className="groomer-rating">⭐ {groomer.rating}</div> : null}
+      </div>
+      {favorite !== undefined && (
+        <button type="button" className="small-button favorite-button" aria-pressed={favorite} onClick={() => onFavorite(groomer, !favorite)}>
+          {favorite ? "★ Favorite" : "☆ Add to favorites"}
+        </button>
+      )}
+      {groomer.demo && <div className="badge demo-badge">Sample data, not a real business</div>}
+      {groomer.source === "directory" && <div className="badge">📒 Listed by the groomer{groomer.mobile ? " · Mobile" : ""}</div>}
+      <div className="groomer-address">📍 {groomer.address || "Address not available"}</div>
+      {groomer.phone && <div className="groomer-phone">📞 {groomer.phone}</div>}
+      <Hours groomer={groomer} />
+      {groomer.website && (
+        <div className="groomer-website"><a href={groomer.website} target="_blank" rel="noopener">🌐 Visit Website</a></div>
+      )}
+      <div className="groomer-services">
+        <strong>Services:</strong> {services}
+        {groomer.speciesMatch && <span className="species-match"> ({SPECIES_MATCH_LABELS[groomer.speciesMatch]})</span>}
+      </div>
+      <div className="groomer-distance">Distance: {formatDistance(groomer.distanceKm, distanceUnit)}</div>
+      <div className="groomer-links">
+        {map && <a href={map} target="_blank" rel="noopener">View on Google Maps</a>}
+        {map && directions && <span> • </span>}
+        {directions && <a href={directions} target="_blank" rel="noopener">Get directions</a>}
+      </div>
+    </article>
+  );
+}
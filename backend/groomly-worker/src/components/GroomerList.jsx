@@ -0,0 +1,82 @@
+import { useMemo, useState } from "react";
+import GroomerCard from "./GroomerCard.jsx";
+import { SORT_OPTIONS, listGroomers, withDistances } from "../lib/groomers.js";
+import { DISTANCE_UNITS, toMiles } from "../lib/format.js";
+
+// maxDistance is in distanceUnit, as typed
+const DEFAULT_LISTING = { sort: "distance", openNow: false, exotic: false, minRating: null, maxDistance: null };
+
+// Sorting and filtering happen here, so changing them never re-runs the
+// estimate. favorites is the signed-in account's list of place_ids.
+export default function GroomerList({ groomers, origin = null, distanceUnit = "mi", onDistanceUnit, favorites = null, onFavorite }) {
+  const [listing, setListing] = useState(DEFAULT_LISTING);
+  const update = (field, value) => setListing(current => ({ ...current, [field]: value }));
+
+  const shown = useMemo(() => {
+    const { maxDistance, ...filters } = listing;
+    const maxDistanceMiles = maxDistance == null ? null : toMiles(maxDistance, distanceUnit);
+    return listGroomers(withDistances(groomers, origin), { ...filters, maxDistanceMiles });
+  }, [groomers, origin, listing, distanceUnit]);
+
+  return (
+    <section className="groomers-section" aria-label="Groomers near you">
+      <h3>Groomers Near You</h3>
+      <div className="groomer-controls">
+        <div>
+          <label htmlFor="groomerSort">Sort by</label>
+          <select id="groomerSort" value={listing.sort} onChange={e => update("sort", e.target.value)}>
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="minRating">Minimum rating</label>
+          <select id="minRating" value={listing.minRating ?? ""} onChange={e => update("minRating", e.target.value ? Number(e.target.value) : null)}>
+            <option value="">Any</option>
+            <option value="4">4.0+</option>
+            <option value="4.5">4.5+</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="maxDistance">Within ({distanceUnit === "km" ? "km" : "miles"})</label>
+          <input
+            id="maxDistance"
+            type="number"
+            min="1"
+            placeholder="Any"
+            value={listing.maxDistance ?? ""}
+            onChange={e => update("maxDistance", e.target.value ? Number(e.target.value) : null)}
+          />
+        </div>
+        {onDistanceUnit && (
+          <div>
+            <label htmlFor="distanceUnit">Distances in</label>
+            <select id="distanceUnit" value={distanceUnit} onChange={e => onDistanceUnit(e.target.value)}>
+              {DISTANCE_UNITS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+            </select>
+          </div>
+        )}
+        <label className="service-option">
+          <input type="checkbox" checked={listing.openNow} onChange={e => update("openNow", e.target.checked)} /> Open now
+        </label>
+        <label className="service-option">
+          <input type="checkbox" checked={listing.exotic} onChange={e => update("exotic", e.target.checked)} /> Exotic-animal specialists
+        </label>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="error">{groomers.length ? "No groomers match these filters." : "No groomers found for that location."}</div>
+      ) : (
+        shown.map(groomer => (
+          <GroomerCard
+            key={groomer.place_id || groomer.directoryId || groomer.name}
+            groomer={groomer}
+            origin={origin}
+            distanceUnit={distanceUnit}
+            favorite={favorites && groomer.place_id && !groomer.demo ? favorites.includes(groomer.place_id) : undefined}
+            onFavorite={onFavorite}
+          />
+        ))
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import GroomerList from "./GroomerList.jsx";
+import { groomers } from "../test/fixtures.js";
+
+const names = () => screen.queryAllByRole("article").map(card => within(card).getByRole("heading").textContent);
+
+describe("GroomerList", () => {
+  it("sorts by distance by default and re-sorts without refetching", async () => {
+    render(<GroomerList groomers={groomers} />);
+    expect(names()).toEqual(["Lady Bird Grooming Co.", "Congress Avenue Canine Cuts", "Mueller Dog Wash"]);
+
+    await userEvent.selectOptions(screen.getByLabelText("Sort by"), "rating");
+    expect(names()).toEqual(["Lady Bird Grooming Co.", "Mueller Dog Wash", "Congress Avenue Canine Cuts"]);
+  });
+
+  it("filters by open now, rating and distance", async () => {
+    render(<GroomerList groomers={groomers} />);
+
+    await userEvent.click(screen.getByLabelText("Open now"));
+    expect(names()).toEqual(["Lady Bird Grooming Co.", "Mueller Dog Wash"]);
+
+    await userEvent.type(screen.getByLabelText("Within (miles)"), "2");
+    expect(names()).toEqual(["Lady Bird Grooming Co."]);
+
+    await userEvent.selectOptions(screen.getByLabelText("Minimum rating"), "4.5");
+    await userEvent.click(screen.getByLabelText("Open now"));
+    await userEvent.clear(screen.getByLabelText("Within (miles)"));
+    expect(names()).toEqual(["Lady Bird Grooming Co.", "Mueller Dog Wash"]);
+  });
+
+  it("measures distance and directions from the user's location", () => {
+    render(<GroomerList groomers={groomers.slice(0, 1)} origin={{ lat: 30.2711, lng: -97.7365 }} />);
+
+    expect(screen.getByText("Distance: 0 mi")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Get directions" }).getAttribute("href")).toContain("&origin=30.2711,-97.7365");
+  });
+
+  it("shows distances and filters in km when the user picks them", async () => {
+    const onDistanceUnit = vi.fn();
+    const { rerender } = render(<GroomerList groomers={groomers} onDistanceUnit={onDistanceUnit} />);
+
+    await userEvent.type(screen.getByLabelText("Within (miles)"), "1");
+    expect(names()).toEqual(["Lady Bird Grooming Co.", "Congress Avenue Canine Cuts"]);
+    await userEvent.selectOptions(screen.getByLabelText("Distances in"), "km");
+    expect(onDistanceUnit).toHaveBeenCalledWith("km");
+
+    rerender(<GroomerList groomers={groomers} distanceUnit="km" onDistanceUnit={onDistanceUnit} />);
+    expect(names()).toEqual(["Lady Bird Grooming Co."]);
+    expect(screen.getByLabelText("Within (km)")).toHaveValue(1);
+    expect(screen.getByText("Distance: 0.8 km")).toBeInTheDocument();
+  });
+
+  it("offers signed-in users to favorite real groomers", async () => {
+    const onFavorite = vi.fn();
+    const sample = { ...groomers[2], place_id: undefined, name: "Sample Groomer", demo: true, distanceKm: 9 };
+    render(<GroomerList groomers={[...groomers, sample]} favorites={["ChIJ-fixture-A"]} onFavorite={onFavorite} />);
+
+    const card = name => screen.getByRole("heading", { name }).closest("article");
+    expect(within(card("Lady Bird Grooming Co.")).getByRole("button", { name: "★ Favorite" })).toHaveAttribute("aria-pressed", "true");
+    expect(within(card("Sample Groomer")).queryByRole("button")).toBeNull();
+
+    await userEvent.click(within(card("Mueller Dog Wash")).getByRole("button", { name: "☆ Add to favorites" }));
+    expect(onFavorite).toHaveBeenCalledWith(groomers[2], true);
+  });
+
+  it("has no favorites while signed out", () => {
+    render(<GroomerList groomers={groomers} />);
+    expect(screen.queryByRole("button", { name: /favorite/i })).toBeNull();
+  });
+
+  it("explains an empty list", async () => {
+    const { unmount } = render(<GroomerList groomers={groomers} />);
+    await userEvent.click(screen.getByLabelText("Exotic-animal specialists"));
+    await userEvent.type(screen.getByLabelText("Within (miles)"), "0.1");
+    expect(screen.getByText("No groomers match these filters.")).toBeInTheDocument();
+    unmount();
+
+    render(<GroomerList groomers={[]} />);
+    expect(screen.getByText("No groomers found for that location.")).toBeInTheDocument();
+  });
+});
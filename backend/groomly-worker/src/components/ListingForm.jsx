@@ -0,0 +1,124 @@
+import { useState } from "react";
+import { submitListing } from "../api.js";
+import { ErrorMessage } from "./Status.jsx";
+import { PET_TYPES } from "../lib/pets.js";
+import { toMiles } from "../lib/format.js";
+
+const EMPTY_LISTING = { name: "", address: "", phone: "", website: "", email: "", species: [], mobile: false, radius: "" };
+
+// The body POST /api/directory expects; the travel radius is typed in
+// distanceUnit and sent in whole miles
+function toListing(form, distanceUnit) {
+  const text = value => value.trim() || undefined;
+  return {
+    name: text(form.name),
+    address: text(form.address),
+    phone: text(form.phone),
+    website: text(form.website),
+    email: text(form.email),
+    species: form.species,
+    mobile: form.mobile,
+    serviceRadiusMiles: form.mobile && form.radius ? Math.round(toMiles(Number(form.radius), distanceUnit)) : undefined
+  };
+}
+
+// Mobile and home-based groomers list themselves here. Listings show up in
+// searches once an admin approves them; the edit token is shown once.
+export default function ListingForm({ distanceUnit = "mi" }) {
+  const [form, setForm] = useState(EMPTY_LISTING);
+  const [status, setStatus] = useState({ state: "idle" });
+
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+  const radiusLabel = `Distance you travel (${distanceUnit === "km" ? "km" : "miles"})`;
+
+  function toggleSpecies(type, checked) {
+    setForm(current => ({
+      ...current,
+      species: checked ? [...current.species, type] : current.species.filter(s => s !== type)
+    }));
+  }
+
+  async function submit(event) {
+    event.preventDefault();
+    if (!form.name.trim() || !form.address.trim()) {
+      return setStatus({ state: "problem", message: "Enter your business name and address." });
+    }
+    if (!form.species.length) {
+      return setStatus({ state: "problem", message: "Choose at least one animal you groom." });
+    }
+
+    setStatus({ state: "busy" });
+    try {
+      const { token } = await submitListing(toListing(form, distanceUnit));
+      setForm(EMPTY_LISTING);
+      setStatus({ state: "submitted", token });
+    } catch (err) {
+      setStatus({ state: "error", error: err });
+    }
+  }
+
+  return (
+    <section className="location-section" aria-label="List your grooming business">
+      <h3>🏪 List Your Grooming Business</h3>
+      <p className="notes">Mobile or home-based groomer? Add your listing; it appears in results once we've reviewed it.</p>
+      <form onSubmit={submit} noValidate>
+        <div className="form-group">
+          <label htmlFor="listingName">Business name</label>
+          <input id="listingName" type="text" maxLength={100} value={form.name} onChange={e => update("name", e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="listingAddress">Address (or the ZIP you work from)</label>
+          <input id="listingAddress" type="text" maxLength={200} value={form.address} onChange={e => update("address", e.target.value)} />
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="listingPhone">Phone</label>
+            <input id="listingPhone" type="text" maxLength={30} value={form.phone} onChange={e => update("phone", e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="listingWebsite">Website</label>
+            <input id="listingWebsite" type="text" maxLength={200} placeholder="https://" value={form.website} onChange={e => update("website", e.target.value)} />
+          </div>
+        </div>
+        <div className="form-group">
+          <label htmlFor="listingEmail">Email (only shown to our reviewers)</label>
+          <input id="listingEmail" type="email" maxLength={200} value={form.email} onChange={e => update("email", e.target.value)} />
+        </div>
+        <fieldset className="form-group service-options">
+          <legend>Animals you groom</legend>
+          {PET_TYPES.map(t => (
+            <label key={t.value} className="service-option">
+              <input type="checkbox" checked={form.species.includes(t.value)} onChange={e => toggleSpecies(t.value, e.target.checked)} />
+              {t.label}
+            </label>
+          ))}
+        </fieldset>
+        <div className="form-group">
+          <label className="service-option">
+            <input type="checkbox" checked={form.mobile} onChange={e => update("mobile", e.target.checked)} />
+            Mobile groomer
+          </label>
+          {form.mobile && (
+            <input
+              type="number"
+              min={1}
+              max={100}
+              aria-label={radiusLabel}
+              placeholder={radiusLabel}
+              value={form.radius}
+              onChange={e => update("radius", e.target.value)}
+            />
+          )}
+        </div>
+        <button type="submit" disabled={status.state === "busy"}>Submit listing</button>
+      </form>
+      {status.state === "problem" && <div className="error" role="alert">{status.message}</div>}
+      {status.state === "error" && <ErrorMessage error={status.error} />}
+      {status.state === "submitted" && (
+        <div className="notes">
+          Thanks! Your listing is pending review. Keep this edit token to update or remove it later: <code>{status.token}</code>
+        </div>
+      )}
+    </section>
+  );
+}
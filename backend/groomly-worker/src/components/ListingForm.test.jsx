@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ListingForm from "./ListingForm.jsx";
+
+function respond(status, body) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+async function fillIn() {
+  await userEvent.type(screen.getByLabelText("Business name"), "Suds on Wheels");
+  await userEvent.type(screen.getByLabelText("Address (or the ZIP you work from)"), "78704");
+}
+
+describe("ListingForm", () => {
+  it("asks for at least one animal", async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+    render(<ListingForm />);
+
+    await fillIn();
+    await userEvent.click(screen.getByRole("button", { name: "Submit listing" }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Choose at least one animal you groom.");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("submits a mobile listing and shows its edit token once", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond(201, { token: "tok_0123456789abcdef", listing: { id: "0123abcd", status: "pending" } }));
+    vi.stubGlobal("fetch", fetch);
+    render(<ListingForm distanceUnit="km" />);
+
+    await fillIn();
+    await userEvent.click(screen.getByLabelText("🐕 Dog"));
+    await userEvent.click(screen.getByLabelText("🐰 Rabbit"));
+    await userEvent.click(screen.getByLabelText("Mobile groomer"));
+    await userEvent.type(screen.getByLabelText("Distance you travel (km)"), "16");
+    await userEvent.click(screen.getByRole("button", { name: "Submit listing" }));
+
+    expect(fetch.mock.calls[0][0]).toBe("/api/directory");
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      name: "Suds on Wheels",
+      address: "78704",
+      species: ["dog", "rabbit"],
+      mobile: true,
+      serviceRadiusMiles: 10
+    });
+    expect(await screen.findByText("tok_0123456789abcdef")).toBeInTheDocument();
+    expect(screen.getByLabelText("Business name")).toHaveValue("");
+  });
+
+  it("explains a rejected listing", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(respond(422, { error: "Listing rejected", details: ["address could not be found"] })));
+    render(<ListingForm />);
+
+    await fillIn();
+    await userEvent.click(screen.getByLabelText("🐱 Cat"));
+    await userEvent.click(screen.getByRole("button", { name: "Submit listing" }));
+
+    const alert = await screen.findByRole("alert");
+    expect(alert).toHaveTextContent("Listing rejected");
+    expect(alert).toHaveTextContent("address could not be found");
+  });
+});
@@ -0,0 +1,60 @@
+import { useState } from "react";
+import { geocodeAddress } from "../api.js";
+import { Loading, ErrorMessage } from "./Status.jsx";
+
+// Where the user is starting from, for distances and directions. Calls
+// onOrigin({ lat, lng, label }) from the browser's location or an address.
+export default function LocationCapture({ onOrigin, geolocation = globalThis.navigator?.geolocation }) {
+  const [address, setAddress] = useState("");
+  const [status, setStatus] = useState({ state: "idle" });
+
+  function useMyLocation() {
+    if (!geolocation) {
+      return setStatus({ state: "error", error: new Error("Your browser can't share its location. Enter an address instead.") });
+    }
+    setStatus({ state: "loading", message: "Capturing location..." });
+    geolocation.getCurrentPosition(
+      pos => {
+        setStatus({ state: "done", label: "Current location" });
+        onOrigin({ lat: pos.coords.latitude, lng: pos.coords.longitude, label: "Current location" });
+      },
+      err => setStatus({ state: "error", error: new Error(`Geolocation error: ${err.message}`) }),
+      { timeout: 10000 }
+    );
+  }
+
+  async function useAddress(event) {
+    event.preventDefault();
+    const text = address.trim();
+    if (!text) {
+      return setStatus({ state: "error", error: new Error("Enter your address or use your current location.") });
+    }
+    setStatus({ state: "loading", message: "Calculating distances..." });
+    try {
+      const coords = await geocodeAddress(text);
+      setStatus({ state: "done", label: text });
+      onOrigin({ ...coords, label: text });
+    } catch (err) {
+      setStatus({ state: "error", error: err });
+    }
+  }
+
+  return (
+    <section className="location-section" aria-label="Your location">
+      <h3>📍 Find Nearby Groomers</h3>
+      <form onSubmit={useAddress}>
+        <div className="form-group">
+          <label htmlFor="userAddress">Your Address (for distance calculation)</label>
+          <input id="userAddress" type="text" placeholder="e.g., 123 My St, Seattle, WA" value={address} onChange={e => setAddress(e.target.value)} />
+        </div>
+        <div className="button-group">
+          <button type="button" onClick={useMyLocation}>📍 Use My Location</button>
+          <button type="submit">📏 Calculate Distances</button>
+        </div>
+      </form>
+      {status.state === "loading" && <Loading message={status.message} />}
+      {status.state === "error" && <ErrorMessage error={status.error} />}
+      {status.state === "done" && <div className="notes">Distances measured from {status.label}.</div>}
+    </section>
+  );
+}
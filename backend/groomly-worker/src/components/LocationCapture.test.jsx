@@ -0,0 +1,49 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import LocationCapture from "./LocationCapture.jsx";
+
+describe("LocationCapture", () => {
+  it("uses the browser's location", async () => {
+    const onOrigin = vi.fn();
+    const geolocation = { getCurrentPosition: success => success({ coords: { latitude: 30.27, longitude: -97.74 } }) };
+    render(<LocationCapture onOrigin={onOrigin} geolocation={geolocation} />);
+
+    await userEvent.click(screen.getByRole("button", { name: /Use My Location/ }));
+
+    expect(onOrigin).toHaveBeenCalledWith({ lat: 30.27, lng: -97.74, label: "Current location" });
+    expect(screen.getByText("Distances measured from Current location.")).toBeInTheDocument();
+  });
+
+  it("reports a denied location request", async () => {
+    const geolocation = { getCurrentPosition: (success, failure) => failure({ message: "User denied Geolocation" }) };
+    render(<LocationCapture onOrigin={vi.fn()} geolocation={geolocation} />);
+
+    await userEvent.click(screen.getByRole("button", { name: /Use My Location/ }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Geolocation error: User denied Geolocation");
+  });
+
+  it("geocodes a typed address", async () => {
+    const fetch = vi.fn().mockResolvedValue({ json: async () => [{ lat: "30.25", lon: "-97.75" }] });
+    vi.stubGlobal("fetch", fetch);
+    const onOrigin = vi.fn();
+    render(<LocationCapture onOrigin={onOrigin} geolocation={null} />);
+
+    await userEvent.type(screen.getByLabelText(/Your Address/), "1200 Barton Springs Rd");
+    await userEvent.click(screen.getByRole("button", { name: /Calculate Distances/ }));
+
+    expect(fetch.mock.calls[0][0]).toContain("q=1200%20Barton%20Springs%20Rd");
+    expect(onOrigin).toHaveBeenCalledWith({ lat: 30.25, lng: -97.75, label: "1200 Barton Springs Rd" });
+  });
+
+  it("reports an address it cannot find", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ json: async () => [] }));
+    render(<LocationCapture onOrigin={vi.fn()} geolocation={null} />);
+
+    await userEvent.type(screen.getByLabelText(/Your Address/), "Nowhere Special");
+    await userEvent.click(screen.getByRole("button", { name: /Calculate Distances/ }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Could not find that address.");
+  });
+});
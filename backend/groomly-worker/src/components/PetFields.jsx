@@ -0,0 +1,80 @@
+import { PET_TYPES, PET_SIZES, COAT_TYPES, servicesFor } from "../lib/pets.js";
+
+// One pet in the PriceForm. The first pet's fields keep plain ids ("type",
+// "size"); the rest are suffixed with their number. The name is only asked
+// for when there are several pets to tell apart.
+export default function PetFields({ pet, index, count, onChange, onRemove }) {
+  const id = field => (index ? `${field}-${index + 1}` : field);
+  const update = (field, value) => onChange({ ...pet, [field]: value });
+
+  // Drop services the new pet type can't have
+  function changeType(type) {
+    const available = servicesFor(type).map(service => service.id);
+    onChange({ ...pet, type, services: pet.services.filter(service => available.includes(service)) });
+  }
+
+  function toggleService(service, checked) {
+    onChange({ ...pet, services: checked ? [...pet.services, service] : pet.services.filter(s => s !== service) });
+  }
+
+  return (
+    <fieldset className="pet-fieldset">
+      <legend className="pet-legend">
+        <span>Pet {index + 1}</span>
+        {index > 0 && <button type="button" className="remove-pet" onClick={onRemove}>Remove</button>}
+      </legend>
+
+      {count > 1 && (
+        <div className="form-group">
+          <label htmlFor={id("petName")}>Pet Name (optional)</label>
+          <input id={id("petName")} type="text" maxLength={40} placeholder="e.g., Biscuit" value={pet.name} onChange={e => update("name", e.target.value)} />
+        </div>
+      )}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={id("type")}>Pet Type</label>
+          <select id={id("type")} value={pet.type} onChange={e => changeType(e.target.value)}>
+            <option value="">Select a pet type</option>
+            {PET_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor={id("size")}>Pet Size</label>
+          <select id={id("size")} value={pet.size} onChange={e => update("size", e.target.value)}>
+            <option value="">Select a size</option>
+            {PET_SIZES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={id("breed")}>Breed (optional)</label>
+          <input id={id("breed")} type="text" maxLength={60} placeholder="e.g., Golden Retriever" value={pet.breed} onChange={e => update("breed", e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor={id("coatType")}>Coat Type (optional)</label>
+          <select id={id("coatType")} value={pet.coatType} onChange={e => update("coatType", e.target.value)}>
+            <option value="">Not sure</option>
+            {COAT_TYPES.map(c => <option key={c} value={c}>{c[0].toUpperCase() + c.slice(1)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <fieldset className="form-group service-options">
+        <legend>Services</legend>
+        {servicesFor(pet.type).map(service => (
+          <label key={service.id} className="service-option">
+            <input
+              type="checkbox"
+              checked={pet.services.includes(service.id)}
+              onChange={e => toggleService(service.id, e.target.checked)}
+            />
+            {service.label}
+          </label>
+        ))}
+      </fieldset>
+    </fieldset>
+  );
+}
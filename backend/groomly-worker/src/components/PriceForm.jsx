@@ -0,0 +1,123 @@
+import { useRef, useState } from "react";
+import PetFields from "./PetFields.jsx";
+import { DEFAULT_SERVICES } from "../lib/pets.js";
+import { DISPLAY_CURRENCIES } from "../lib/format.js";
+import { Loading } from "./Status.jsx";
+
+// BATCH_MAX_PETS on the server
+const MAX_PETS = 6;
+
+const EMPTY_PET = { name: "", type: "", size: "", breed: "", coatType: "", services: DEFAULT_SERVICES };
+
+const EMPTY_FORM = {
+  address: "",
+  zip: "",
+  cityState: "",
+  pets: [{ ...EMPTY_PET, key: 0 }],
+  currency: ""
+};
+
+function toPet(pet) {
+  return {
+    type: pet.type,
+    size: pet.size,
+    breed: pet.breed.trim() || undefined,
+    coatType: pet.coatType || undefined,
+    services: pet.services
+  };
+}
+
+// The body POST /api/price expects for one pet, or POST /api/price/batch for
+// several; the API combines address and zip
+function toPriceRequest(form) {
+  const place = {
+    address: form.address.trim() || undefined,
+    zip: form.zip.trim() || undefined,
+    location: form.cityState.trim() || undefined
+  };
+  const currency = form.currency || undefined;
+  if (form.pets.length === 1) return { ...place, ...toPet(form.pets[0]), currency };
+  return { ...place, pets: form.pets.map(pet => ({ name: pet.name.trim() || undefined, ...toPet(pet) })), currency };
+}
+
+// onSubmit gets a request with a pets list when there are several pets.
+// progress says what a busy estimate is doing, e.g. "Searching for groomers..."
+export default function PriceForm({ onSubmit, busy = false, progress = null }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [problem, setProblem] = useState(null);
+  const nextKey = useRef(1);
+
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  function changePet(key, pet) {
+    setForm(current => ({ ...current, pets: current.pets.map(p => (p.key === key ? pet : p)) }));
+  }
+
+  function addPet() {
+    const key = nextKey.current++;
+    setForm(current => ({ ...current, pets: [...current.pets, { ...EMPTY_PET, key }] }));
+  }
+
+  function removePet(key) {
+    setForm(current => ({ ...current, pets: current.pets.filter(p => p.key !== key) }));
+  }
+
+  function submit(event) {
+    event.preventDefault();
+    if (!form.address.trim() && !form.zip.trim() && !form.cityState.trim()) {
+      return setProblem("Enter an address, ZIP code or city.");
+    }
+    if (form.pets.some(pet => !pet.type || !pet.size)) {
+      return setProblem(form.pets.length > 1 ? "Choose a type and size for every pet." : "Choose a pet type and size.");
+    }
+    setProblem(null);
+    onSubmit(toPriceRequest(form));
+  }
+
+  return (
+    <form className="price-form" onSubmit={submit} noValidate>
+      <div className="form-group">
+        <label htmlFor="address">Street address</label>
+        <input id="address" type="text" placeholder="e.g., 123 Main St" value={form.address} onChange={e => update("address", e.target.value)} />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="zip">Zip / Postal Code</label>
+          <input id="zip" type="text" placeholder="e.g., 98101" value={form.zip} onChange={e => update("zip", e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="cityState">City, State or Country (optional)</label>
+          <input id="cityState" type="text" placeholder="e.g., Seattle, WA or Toronto, Canada" value={form.cityState} onChange={e => update("cityState", e.target.value)} />
+        </div>
+      </div>
+
+      {form.pets.map((pet, i) => (
+        <PetFields
+          key={pet.key}
+          pet={pet}
+          index={i}
+          count={form.pets.length}
+          onChange={changed => changePet(pet.key, changed)}
+          onRemove={() => removePet(pet.key)}
+        />
+      ))}
+      {form.pets.length < MAX_PETS && (
+        <button type="button" className="add-pet" onClick={addPet}>➕ Add another pet</button>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="currency">Show prices in</label>
+        <select id="currency" value={form.currency} onChange={e => update("currency", e.target.value)}>
+          <option value="">Local currency</option>
+          {DISPLAY_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+
+      {problem && <div className="error" role="alert">{problem}</div>}
+
+      <button type="submit" disabled={busy}>{busy ? "Estimating..." : "Get Price Estimate"}</button>
+      {busy && progress && <Loading message={progress} />}
+    </form>
+  );
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import PriceForm from "./PriceForm.jsx";
+
+describe("PriceForm", () => {
+  it("asks for a location before submitting", async () => {
+    const onSubmit = vi.fn();
+    render(<PriceForm onSubmit={onSubmit} />);
+
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Enter an address, ZIP code or city.");
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it("submits the body POST /api/price expects", async () => {
+    const onSubmit = vi.fn();
+    render(<PriceForm onSubmit={onSubmit} />);
+
+    await userEvent.type(screen.getByLabelText("Street address"), "500 Congress Ave");
+    await userEvent.type(screen.getByLabelText("Zip / Postal Code"), "78701");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Type"), "dog");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Size"), "medium");
+    await userEvent.click(screen.getByLabelText("Nail trim"));
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      address: "500 Congress Ave",
+      zip: "78701",
+      location: undefined,
+      type: "dog",
+      size: "medium",
+      breed: undefined,
+      coatType: undefined,
+      services: ["full-groom", "nail-trim"],
+      currency: undefined
+    });
+  });
+
+  it("submits several pets as one POST /api/price/batch body", async () => {
+    const onSubmit = vi.fn();
+    render(<PriceForm onSubmit={onSubmit} />);
+
+    await userEvent.type(screen.getByLabelText("Zip / Postal Code"), "78701");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Type"), "dog");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Size"), "large");
+    await userEvent.click(screen.getByRole("button", { name: "➕ Add another pet" }));
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+    expect(screen.getByRole("alert")).toHaveTextContent("Choose a type and size for every pet.");
+
+    await userEvent.type(screen.getAllByLabelText("Pet Name (optional)")[1], "Mochi");
+    await userEvent.selectOptions(screen.getAllByLabelText("Pet Type")[1], "cat");
+    await userEvent.selectOptions(screen.getAllByLabelText("Pet Size")[1], "small");
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      address: undefined,
+      zip: "78701",
+      location: undefined,
+      pets: [
+        { name: undefined, type: "dog", size: "large", breed: undefined, coatType: undefined, services: ["full-groom"] },
+        { name: "Mochi", type: "cat", size: "small", breed: undefined, coatType: undefined, services: ["full-groom"] }
+      ],
+      currency: undefined
+    });
+
+    await userEvent.click(screen.getByRole("button", { name: "Remove" }));
+    expect(screen.getAllByLabelText("Pet Type")).toHaveLength(1);
+    expect(screen.queryByLabelText("Pet Name (optional)")).toBeNull();
+  });
+
+  it("asks for prices in the chosen display currency", async () => {
+    const onSubmit = vi.fn();
+    render(<PriceForm onSubmit={onSubmit} />);
+
+    await userEvent.type(screen.getByLabelText("City, State or Country (optional)"), "Toronto, Canada");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Type"), "dog");
+    await userEvent.selectOptions(screen.getByLabelText("Pet Size"), "medium");
+    await userEvent.selectOptions(screen.getByLabelText("Show prices in"), "USD");
+    await userEvent.click(screen.getByRole("button", { name: "Get Price Estimate" }));
+
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ location: "Toronto, Canada", currency: "USD" }));
+  });
+
+  it("only offers services the pet type can have", async () => {
+    render(<PriceForm onSubmit={vi.fn()} />);
+
+    await userEvent.click(screen.getByLabelText("Bath only"));
+    await userEvent.selectOptions(screen.getByLabelText("Pet Type"), "bird");
+
+    expect(screen.getByLabelText("Beak trim")).not.toBeChecked();
+    expect(screen.queryByLabelText("Bath only")).toBeNull();
+  });
+
+  it("shows progress while busy", () => {
+    render(<PriceForm onSubmit={vi.fn()} busy progress="Found Austin, TX, USA. Searching for groomers..." />);
+    expect(screen.getByRole("button", { name: "Estimating..." })).toBeDisabled();
+    expect(screen.getByRole("status")).toHaveTextContent("Found Austin, TX, USA. Searching for groomers...");
+  });
+});
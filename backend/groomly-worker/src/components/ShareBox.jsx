@@ -0,0 +1,56 @@
+import { useState } from "react";
+import { ErrorMessage } from "./Status.jsx";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+}
+
+function shareUrl(id, location = window.location) {
+  return `${location.origin}${location.pathname}?estimate=${encodeURIComponent(id)}`;
+}
+
+// Copyable link for a saved estimate (share on a new one, id on one opened
+// from a link) and print / save as PDF for any estimate. Estimates are only
+// saved on request: onShare() asks for a link to one that has none.
+export default function ShareBox({ estimate, print = () => window.print(), onShare }) {
+  const [copied, setCopied] = useState(false);
+  const [sharing, setSharing] = useState({ state: "idle" });
+  const id = estimate.share?.id || estimate.id;
+  const expiresAt = estimate.share?.expiresAt || estimate.expiresAt;
+  const link = id ? shareUrl(id) : null;
+
+  async function copy(event) {
+    const input = event.currentTarget.form.elements.shareLink;
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch {
+      input.select();
+    }
+  }
+
+  async function share() {
+    setSharing({ state: "busy" });
+    try {
+      await onShare();
+      setSharing({ state: "idle" });
+    } catch (err) {
+      setSharing({ state: "error", error: err });
+    }
+  }
+
+  return (
+    <form className="share-box" onSubmit={e => e.preventDefault()}>
+      {!link && onShare && (
+        <button type="button" disabled={sharing.state === "busy"} onClick={share}>
+          {sharing.state === "busy" ? "Creating link..." : "🔗 Create share link"}
+        </button>
+      )}
+      {link && <input id="shareLink" name="shareLink" type="text" readOnly value={link} aria-label="Share link" />}
+      {link && <button type="button" onClick={copy}>{copied ? "✔ Copied" : "🔗 Copy link"}</button>}
+      <button type="button" onClick={() => print()}>🖨️ Print / Save as PDF</button>
+      {expiresAt && <div className="notes">Link works until {formatDate(expiresAt)}</div>}
+      {sharing.state === "error" && <ErrorMessage error={sharing.error} />}
+    </form>
+  );
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ShareBox from "./ShareBox.jsx";
+import { estimate } from "../test/fixtures.js";
+
+const share = { id: "0123456789abcdef01234567", expiresAt: "2026-11-18T12:00:00.000Z" };
+
+describe("ShareBox", () => {
+  it("copies the share link of a new estimate", async () => {
+    const user = userEvent.setup();
+    render(<ShareBox estimate={{ ...estimate, share }} />);
+
+    const link = screen.getByLabelText("Share link");
+    expect(link).toHaveValue(`${window.location.origin}/?estimate=${share.id}`);
+    expect(screen.getByText(/Link works until/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Copy link/ }));
+    expect(await navigator.clipboard.readText()).toBe(link.value);
+    expect(screen.getByRole("button", { name: /Copied/ })).toBeInTheDocument();
+  });
+
+  it("links a saved estimate to itself", () => {
+    render(<ShareBox estimate={{ id: share.id, expiresAt: share.expiresAt, ...estimate }} />);
+    expect(screen.getByLabelText("Share link")).toHaveValue(`${window.location.origin}/?estimate=${share.id}`);
+  });
+
+  it("prints any estimate, saved or not", async () => {
+    const print = vi.fn();
+    render(<ShareBox estimate={estimate} print={print} />);
+
+    expect(screen.queryByLabelText("Share link")).toBeNull();
+    await userEvent.click(screen.getByRole("button", { name: /Print/ }));
+    expect(print).toHaveBeenCalled();
+  });
+
+  it("asks for a link for an estimate that has none", async () => {
+    let resolve;
+    const onShare = vi.fn(() => new Promise(r => { resolve = r; }));
+    render(<ShareBox estimate={estimate} onShare={onShare} />);
+
+    await userEvent.click(screen.getByRole("button", { name: "🔗 Create share link" }));
+    expect(onShare).toHaveBeenCalled();
+    expect(screen.getByRole("button", { name: "Creating link..." })).toBeDisabled();
+    resolve();
+    expect(await screen.findByRole("button", { name: "🔗 Create share link" })).toBeEnabled();
+  });
+
+  it("explains why a link could not be created", async () => {
+    render(<ShareBox estimate={estimate} onShare={vi.fn().mockRejectedValue(new Error("Share links are not available right now."))} />);
+
+    await userEvent.click(screen.getByRole("button", { name: "🔗 Create share link" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("Share links are not available right now.");
+  });
+});
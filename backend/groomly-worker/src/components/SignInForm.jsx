@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { signIn, registerAccount, requestMagicLink } from "../api.js";
+import { ErrorMessage } from "./Status.jsx";
+
+// Password sign-in and registration, or a magic link when the password is
+// left empty. Calls onSignedIn({ token, account }).
+export default function SignInForm({ onSignedIn }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [status, setStatus] = useState({ state: "idle" });
+
+  async function run(action) {
+    setStatus({ state: "busy" });
+    try {
+      const session = await action({ email: email.trim(), password });
+      setPassword("");
+      setStatus({ state: "idle" });
+      onSignedIn(session);
+    } catch (err) {
+      setStatus({ state: "error", error: err });
+    }
+  }
+
+  async function sendLink() {
+    setStatus({ state: "busy" });
+    try {
+      await requestMagicLink(email.trim());
+      setStatus({ state: "sent", email: email.trim() });
+    } catch (err) {
+      setStatus({ state: "error", error: err });
+    }
+  }
+
+  function submit(event) {
+    event.preventDefault();
+    if (!password) return sendLink();
+    run(signIn);
+  }
+
+  const busy = status.state === "busy";
+
+  return (
+    <form onSubmit={submit} noValidate>
+      <h3>👤 Sign in to save pets, groomers and past estimates</h3>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="accountEmail">Email</label>
+          <input id="accountEmail" type="email" maxLength={200} autoComplete="email" value={email} onChange={e => setEmail(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="accountPassword">Password</label>
+          <input
+            id="accountPassword"
+            type="password"
+            maxLength={200}
+            autoComplete="current-password"
+            placeholder="or leave empty for a link"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+          />
+        </div>
+      </div>
+      <div className="button-group">
+        <button type="submit" disabled={busy}>Sign in</button>
+        <button type="button" disabled={busy} onClick={() => run(registerAccount)}>Create account</button>
+      </div>
+      <div className="button-group">
+        <button type="button" disabled={busy} onClick={sendLink}>✉️ Email me a sign-in link</button>
+      </div>
+      {status.state === "error" && <ErrorMessage error={status.error} />}
+      {status.state === "sent" && <div className="notes">Check {status.email} for a sign-in link.</div>}
+    </form>
+  );
+}
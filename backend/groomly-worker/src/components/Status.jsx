@@ -0,0 +1,24 @@
+export function Loading({ message = "Loading..." }) {
+  return (
+    <div className="status" role="status">
+      <span className="spinner" aria-hidden="true" />
+      <span>{message}</span>
+    </div>
+  );
+}
+
+// Shows an ApiError's details under its message
+export function ErrorMessage({ error }) {
+  if (!error) return null;
+  const details = error.details || [];
+  return (
+    <div className="error" role="alert">
+      <strong>{error.message}</strong>
+      {details.length > 0 && (
+        <ul>
+          {details.map(detail => <li key={detail}>{detail}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import rules from "./pricing-rules.json";
+import rates from "./exchange-rates.json";
+
+// The app keeps copies of the tables the API prices with, so its form never
+// offers a service or currency the API rejects. Tests run from groomly-worker.
+function backendData(name) {
+  return JSON.parse(readFileSync(path.resolve("../data", name), "utf8"));
+}
+
+describe("app data", () => {
+  it("matches the API's pricing rules and exchange rates", () => {
+    expect(rules).toEqual(backendData("pricing-rules.json"));
+    expect(rates).toEqual(backendData("exchange-rates.json"));
+  });
+});
@@ -0,0 +1,54 @@
+import rates from "../data/exchange-rates.json";
+
+// Money and distances in the browser's locale. Estimates come back in the
+// location's currency, with displayPrice converted to the one the user picked;
+// the API measures search radii in miles and groomer distances in km.
+
+// The currencies the API can convert to, from the table it converts with
+export const DISPLAY_CURRENCIES = Object.keys(rates.rates).sort();
+
+export const DISTANCE_UNITS = [
+  { value: "mi", label: "Miles" },
+  { value: "km", label: "Kilometers" }
+];
+
+export const KM_PER_MILE = 1.609344;
+
+export function formatMoney(amount, currency = "USD", locale) {
+  if (amount == null) return "N/A";
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
+
+// "$65 - $95" for anything with min, max and optionally currency
+export function formatRange(price, currency = price?.currency, locale) {
+  if (!price || price.min == null) return "N/A";
+  return `${formatMoney(price.min, currency, locale)} - ${formatMoney(price.max, currency, locale)}`;
+}
+
+export function formatDistance(distanceKm, unit = "mi", { digits = 1, locale } = {}) {
+  if (distanceKm == null) return "Distance unknown";
+  const value = unit === "km" ? distanceKm : distanceKm / KM_PER_MILE;
+  return `${value.toLocaleString(locale, { maximumFractionDigits: digits })} ${unit}`;
+}
+
+export function formatMiles(miles, unit = "mi", options = { digits: 0 }) {
+  return formatDistance(miles * KM_PER_MILE, unit, options);
+}
+
+// A distance typed in unit, in miles as the API and the list filters take it
+export function toMiles(value, unit = "mi") {
+  return unit === "km" ? value / KM_PER_MILE : value;
+}
+
+// "Local price: CA$80 - CA$120, converted at Oct 1, 2026 exchange rates"
+export function conversionNote(price, displayPrice, locale) {
+  if (!displayPrice || displayPrice.currency === price?.currency || price.min == null) return null;
+  const asOf = displayPrice.ratesAsOf
+    ? ` at ${new Date(displayPrice.ratesAsOf).toLocaleDateString(locale, { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" })} exchange rates`
+    : "";
+  return `Local price: ${formatRange(price, price.currency, locale)}, converted${asOf}`;
+}
@@ -0,0 +1,62 @@
+import { KM_PER_MILE } from "./format.js";
+
+// Groomer list helpers: distances, the sort orders and filters the API also
+// accepts (sort, openNow, minRating, maxDistanceMiles, exotic), and map links.
+
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const toRad = x => (x * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export const SORT_OPTIONS = [
+  { value: "distance", label: "Distance" },
+  { value: "relevance", label: "Best match" },
+  { value: "rating", label: "Rating" }
+];
+
+const SORTS = {
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity),
+  relevance: (a, b) => (b.relevance ?? 0) - (a.relevance ?? 0),
+  rating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0) || (b.reviewCount ?? 0) - (a.reviewCount ?? 0)
+};
+
+// Distances are re-measured from origin ({ lat, lng }) when the user gave one
+export function withDistances(groomers, origin) {
+  if (!origin) return groomers;
+  return groomers.map(g => ({
+    ...g,
+    distanceKm: g.lat != null && g.lng != null ? haversineKm(origin.lat, origin.lng, g.lat, g.lng) : null
+  }));
+}
+
+export function listGroomers(groomers, { sort = "distance", openNow = false, exotic = false, minRating = null, maxDistanceMiles = null } = {}) {
+  return groomers
+    .filter(g =>
+      (!openNow || g.openNow === true) &&
+      (!exotic || g.exoticSpecialist) &&
+      (minRating == null || (g.rating ?? 0) >= minRating) &&
+      (maxDistanceMiles == null || (g.distanceKm != null && g.distanceKm <= maxDistanceMiles * KM_PER_MILE))
+    )
+    .sort(SORTS[sort] || SORTS.distance);
+}
+
+function placeParam(groomer) {
+  if (groomer.address) return encodeURIComponent(groomer.address);
+  if (groomer.lat != null && groomer.lng != null) return `${groomer.lat},${groomer.lng}`;
+  return null;
+}
+
+export function mapsLink(groomer) {
+  const place = placeParam(groomer);
+  return place ? `https://www.google.com/maps/search/?api=1&query=${place}` : null;
+}
+
+export function directionsLink(groomer, origin) {
+  const place = placeParam(groomer);
+  if (!place) return null;
+  return `https://www.google.com/maps/dir/?api=1&destination=${place}` + (origin ? `&origin=${origin.lat},${origin.lng}` : "");
+}
@@ -0,0 +1,42 @@
+import rules from "../data/pricing-rules.json";
+
+// Form options. Services and coat types come from the app's copy of the rules
+// file the API prices with (src/data, checked against ../data by its test),
+// so the form never offers a service the API rejects.
+
+export const PET_TYPES = [
+  { value: "dog", label: "🐕 Dog" },
+  { value: "cat", label: "🐱 Cat" },
+  { value: "lizard", label: "🦎 Lizard" },
+  { value: "rabbit", label: "🐰 Rabbit" },
+  { value: "bird", label: "🦜 Bird" },
+  { value: "hamster", label: "🐹 Hamster" },
+  { value: "fish", label: "🐟 Fish" },
+  { value: "amphibian", label: "🐸 Amphibian" },
+  { value: "snake", label: "🐍 Snake" },
+  { value: "tortoise", label: "🐢 Tortoise" },
+  { value: "other", label: "Other" }
+];
+
+export const PET_SIZES = [
+  { value: "tiny", label: "Tiny" },
+  { value: "small", label: "Small" },
+  { value: "medium", label: "Medium" },
+  { value: "large", label: "Large" },
+  { value: "x-large", label: "X-Large" }
+];
+
+export const COAT_TYPES = Object.keys(rules.coatMultipliers);
+
+export const SERVICES = Object.entries(rules.services).map(([id, service]) => ({
+  id,
+  label: service.label,
+  species: service.species
+}));
+
+export const DEFAULT_SERVICES = rules.defaultServices;
+
+// Every service when no type is chosen yet
+export function servicesFor(type) {
+  return SERVICES.filter(service => !type || service.species.includes(type));
+}
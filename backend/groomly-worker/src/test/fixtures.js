@@ -0,0 +1,151 @@
+// Trimmed POST /api/price responses for component tests
+
+export const groomers = [
+  {
+    name: "Lady Bird Grooming Co.",
+    address: "100 Lady Bird Ln, Austin",
+    place_id: "ChIJ-fixture-A",
+    lat: 30.2711,
+    lng: -97.7365,
+    rating: 4.8,
+    reviewCount: 312,
+    phone: "(512) 555-0101",
+    weeklyHours: ["Monday: 8:00 AM – 6:00 PM"],
+    openNow: true,
+    services: ["dog"],
+    service_match: true,
+    speciesMatch: "confirmed",
+    exoticSpecialist: true,
+    relevance: 0.92,
+    distanceKm: 0.8,
+    source: "google-places"
+  },
+  {
+    name: "Congress Avenue Canine Cuts",
+    address: "800 Congress Ave, Austin",
+    place_id: "ChIJ-fixture-F",
+    lat: 30.2827,
+    lng: -97.7437,
+    rating: 4.2,
+    reviewCount: 9,
+    openNow: false,
+    services: ["dog"],
+    service_match: true,
+    speciesMatch: "confirmed",
+    exoticSpecialist: false,
+    relevance: 0.77,
+    distanceKm: 1.29,
+    source: "google-places"
+  },
+  {
+    name: "Mueller Dog Wash",
+    address: "4209 Airport Blvd, Austin",
+    place_id: "ChIJ-fixture-D",
+    lat: 30.3145,
+    lng: -97.7069,
+    rating: 4.6,
+    reviewCount: 1290,
+    openNow: true,
+    services: ["dog"],
+    service_match: true,
+    speciesMatch: "likely",
+    exoticSpecialist: false,
+    relevance: 0.63,
+    distanceKm: 4.83,
+    source: "google-places"
+  }
+];
+
+export const estimate = {
+  input: {
+    location: "500 Congress Ave, Austin, TX 78701",
+    type: "dog",
+    size: "medium",
+    radiusMilesUsed: 3,
+    geocode: { provider: "geocodio", precision: "rooftop", formatted: "500 Congress Ave, Austin, TX 78701" }
+  },
+  demo: false,
+  price: {
+    min: 65,
+    max: 95,
+    currency: "USD",
+    confidence: "high",
+    notes: "Downtown Austin salons cluster around $65-95 for a medium dog full groom.",
+    lineItems: [{ service: "full-groom", label: "Full groom", min: 65, max: 95 }]
+  },
+  baseline: { min: 60, max: 90 },
+  validation: { status: "validated", attempts: [] },
+  groomers
+};
+
+// What POST /api/price/batch returns for a dog and a cat
+export const batchEstimate = {
+  input: { location: "78701", geocode: { provider: "geocodio", precision: "zip", formatted: "Austin, TX 78701" } },
+  demo: false,
+  pets: [
+    {
+      input: { name: "Biscuit", type: "dog", size: "medium" },
+      price: { min: 65, max: 95, currency: "USD", confidence: "high", notes: "Full groom for a medium dog." },
+      displayPrice: { min: 65, max: 95, currency: "USD", lineItems: [{ service: "full-groom", label: "Full groom", min: 65, max: 95 }] }
+    },
+    {
+      input: { name: null, type: "cat", size: "small" },
+      price: { min: 50, max: 70, currency: "USD", confidence: "medium" },
+      displayPrice: { min: 50, max: 70, currency: "USD" }
+    }
+  ],
+  total: { min: 115, max: 165, currency: "USD", confidence: "medium" },
+  displayTotal: { min: 115, max: 165, currency: "USD" },
+  household: { species: ["dog", "cat"], groomersServingAll: 1 },
+  groomers
+};
+
+// What POST /api/price/compare returns for two locations and one that failed
+export const comparison = {
+  comparison: [
+    {
+      location: "78701",
+      geocode: { formatted: "Austin, TX 78701" },
+      demo: false,
+      price: { min: 65, max: 95, currency: "USD", confidence: "high" },
+      displayPrice: { min: 65, max: 95, currency: "USD" },
+      groomersCount: 3,
+      averageRating: 4.6,
+      radiusMilesUsed: 3
+    },
+    {
+      location: "98101",
+      geocode: { formatted: "Seattle, WA 98101" },
+      demo: true,
+      price: { min: 80, max: 120, currency: "USD", confidence: "low" },
+      displayPrice: { min: 80, max: 120, currency: "USD" },
+      groomersCount: 3,
+      averageRating: null,
+      radiusMilesUsed: 10
+    },
+    { location: "nowhere", error: "Pricing service error", code: "PRICING_FAILED" }
+  ],
+  summary: { cheapest: "78701", priciest: "98101" }
+};
+
+// What GET /api/account returns for a signed-in user
+export const account = {
+  id: "0123456789abcdef",
+  email: "sam@example.com",
+  hasPassword: true,
+  pets: [{ id: "a1b2c3d4e5f6", name: "Biscuit", type: "dog", size: "medium", breed: "Poodle", coatType: null }],
+  addresses: [{ id: "f6e5d4c3b2a1", label: "Home", location: "500 Congress Ave 78701" }],
+  favorites: [{ placeId: "ChIJ-fixture-A", name: "Lady Bird Grooming Co.", address: "100 Lady Bird Ln, Austin", addedAt: "2026-10-18T12:00:00.000Z" }],
+  history: [
+    {
+      id: "0123456789abcdef01234567",
+      createdAt: "2026-10-19T12:00:00.000Z",
+      request: { location: "Austin, TX", type: "cat", size: "small", breed: null, coatType: null, services: ["bath"] },
+      matchedLocation: "Austin, TX, USA",
+      price: { min: 50, max: 70, currency: "USD", confidence: "medium" },
+      demo: false,
+      shared: true
+    }
+  ],
+  createdAt: "2026-10-01T12:00:00.000Z"
+};
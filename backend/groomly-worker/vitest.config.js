@@ -0,0 +1,13 @@
+import { defineConfig } from "vitest/config";
+import react from "@vitejs/plugin-react";
+
+// Component tests run in jsdom without the Cloudflare plugin, so no Worker
+// runtime is started
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    environment: "jsdom",
+    include: ["src/**/*.test.{js,jsx}"],
+    setupFiles: ["./src/test/setup.js"]
+  }
+});
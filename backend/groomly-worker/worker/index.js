@@ -1,13 +1,378 @@
+import { configure } from "../../services/config.js";
+import {
+  parsePriceRequest,
+  validatePriceInput,
+  runPriceEstimate,
+  parsePriceBatchRequest,
+  validatePriceBatchInput,
+  runPriceBatch,
+  priceBatchCost,
+  parsePriceCompareRequest,
+  validatePriceCompareInput,
+  runPriceCompare,
+  priceCompareCost,
+  ALLOWED_TYPES,
+  ALLOWED_SIZES
+} from "../../services/price-service.js";
+import { createRateLimiter, createMemoryRateLimitStore, createKVRateLimitStore } from "../../services/rate-limit.js";
+import { resolveClient, createKVApiKeyStore } from "../../services/api-keys.js";
+import { logger, runWithRequestContext, resolveRequestId } from "../../services/logger.js";
+import { getHealth, getReadiness } from "../../services/health.js";
+import { renderMetrics, httpRequests, httpDuration } from "../../services/metrics.js";
+import { SSE_HEADERS, SSE_HEARTBEAT, SSE_HEARTBEAT_MS, formatEvent, queryToPriceBody } from "../../services/sse.js";
+import { setEstimateStore, createKVEstimateStore, loadEstimate, validateShareRequest, shareEstimate } from "../../services/estimates.js";
+import {
+  setPriceReportStore,
+  createKVPriceReportStore,
+  parsePriceReport,
+  validatePriceReport,
+  submitPriceReport,
+  parseReportStatsQuery,
+  reportStats
+} from "../../services/price-reports.js";
+import { setDirectoryStore, createKVDirectoryStore } from "../../services/groomer-directory.js";
+
+// Workers entry for the Groomly API. Serves the same /api/price,
+// /api/price/batch, /api/price/compare, /api/price/stream, /api/estimates and
+// /api/estimates/:id contract as the Express router from the shared services;
+// everything else falls through to the static assets. Estimates are only
+// saved for share links when an ESTIMATES_KV namespace is bound, and share
+// tokens only verify across isolates when ESTIMATE_SHARE_SECRET is set; price
+// reports (/api/price-reports and
+// /stats) are only taken, and blended into estimates, when a
+// PRICE_REPORTS_KV namespace is bound. Approved directory listings in a
+// DIRECTORY_KV namespace are merged into groomer searches; the /api/directory
+// and /api/account routes answer 501 here; the Node server serves them.
+
+const API_ROUTES = [
+  "/api/price",
+  "/api/price/batch",
+  "/api/price/compare",
+  "/api/price/stream",
+  "/api/price-reports",
+  "/api/price-reports/stats",
+  "/api/estimates",
+  "/api/metrics",
+  "/api/health",
+  "/api/ready"
+];
+const ESTIMATE_ROUTE = /^\/api\/estimates\/([^/]+)$/;
+
+const REPORT_OPTIONS = { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES };
+
+// Per-isolate fallback when no RATE_LIMIT_KV namespace is bound
+const memoryLimiter = createRateLimiter(createMemoryRateLimitStore());
+
+function corsHeaders(request, env) {
+  const origin = request.headers.get("Origin");
+  const allowed = (env.ALLOWED_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+  const headers = {
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization,X-Request-Id",
+    "Access-Control-Expose-Headers": "X-Request-Id",
+    "Access-Control-Allow-Credentials": "true"
+  };
+  if (allowed.length === 0) {
+    headers["Access-Control-Allow-Origin"] = origin || "*";
+  } else if (origin && allowed.includes(origin)) {
+    headers["Access-Control-Allow-Origin"] = origin;
+  }
+  return headers;
+}
+
+function json(body, status, headers) {
+  return Response.json(body, { status, headers });
+}
+
+async function handlePrice(payload, headers) {
+  const validationErrors = validatePriceInput(payload);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  try {
+    const result = await runPriceEstimate(payload);
+    return json(result.body, 200, { ...headers, ...result.headers });
+  } catch (err) {
+    logger.error("Price route error", { err });
+    return json({ error: "Pricing service error", code: "PRICING_FAILED" }, 500, headers);
+  }
+}
+
+async function handlePriceBatch(payload, headers) {
+  const validationErrors = validatePriceBatchInput(payload);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  try {
+    const result = await runPriceBatch(payload);
+    return json(result.body, 200, { ...headers, ...result.headers });
+  } catch (err) {
+    logger.error("Price batch route error", { err });
+    return json({ error: "Pricing service error", code: "PRICING_FAILED" }, 500, headers);
+  }
+}
+
+async function handlePriceCompare(payload, headers) {
+  const validationErrors = validatePriceCompareInput(payload);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  try {
+    const result = await runPriceCompare(payload);
+    return json(result.body, 200, headers);
+  } catch (err) {
+    logger.error("Price compare route error", { err });
+    return json({ error: "Pricing service error", code: "PRICING_FAILED" }, 500, headers);
+  }
+}
+
+function handlePriceStream(payload, headers, ctx) {
+  const validationErrors = validatePriceInput(payload);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const write = text => {
+    if (closed) return;
+    writer.write(encoder.encode(text)).catch(() => {
+      closed = true;
+    });
+  };
+  const emit = (event, data) => write(formatEvent(event, data));
+  const heartbeat = setInterval(() => write(SSE_HEARTBEAT), SSE_HEARTBEAT_MS);
+
+  ctx.waitUntil((async () => {
+    try {
+      const { body } = await runPriceEstimate(payload, { emit });
+      emit("estimate", body);
+    } catch (err) {
+      logger.error("Price stream error", { err });
+      emit("error", { error: "Pricing service error", code: "PRICING_FAILED" });
+    } finally {
+      clearInterval(heartbeat);
+      if (!closed) await writer.close().catch(() => {});
+    }
+  })());
+
+  return new Response(readable, { status: 200, headers: { ...headers, ...SSE_HEADERS } });
+}
+
+async function handleEstimate(id, headers) {
+  try {
+    const { status, body } = await loadEstimate(id);
+    return json(body, status, headers);
+  } catch (err) {
+    logger.error("Estimate lookup error", { err });
+    return json({ error: "Estimate lookup error", code: "ESTIMATE_LOOKUP_FAILED" }, 500, headers);
+  }
+}
+
+async function handleShare(body, headers) {
+  const validationErrors = validateShareRequest(body);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  try {
+    const { status, body: result } = await shareEstimate(body);
+    return json(result, status, headers);
+  } catch (err) {
+    logger.error("Estimate share error", { err });
+    return json({ error: "Estimate share error", code: "ESTIMATE_SHARE_FAILED" }, 500, headers);
+  }
+}
+
+async function handlePriceReport(store, body, client, headers) {
+  const report = parsePriceReport(body);
+  const validationErrors = validatePriceReport(report, REPORT_OPTIONS);
+  if (validationErrors.length) {
+    return json({ error: "Invalid input", details: validationErrors }, 400, headers);
+  }
+
+  try {
+    const { status, body: result } = await submitPriceReport(store, report, { clientId: client.id });
+    return json(result, status, headers);
+  } catch (err) {
+    logger.error("Price report error", { err });
+    return json({ error: "Price report error", code: "PRICE_REPORT_FAILED" }, 500, headers);
+  }
+}
+
+async function handlePriceReportStats(store, query, headers) {
+  const { filters, errors } = parseReportStatsQuery(query, REPORT_OPTIONS);
+  if (errors.length) {
+    return json({ error: "Invalid input", details: errors }, 400, headers);
+  }
+
+  try {
+    return json({ filters, groups: reportStats(await store.list(), filters) }, 200, headers);
+  } catch (err) {
+    logger.error("Price report stats error", { err });
+    return json({ error: "Price report error", code: "PRICE_REPORT_FAILED" }, 500, headers);
+  }
+}
+
+// Compares SHA-256 digests, which always have the same length, with the
+// Workers runtime's constant-time check
+async function bearerTokenMatches(request, token) {
+  const header = request.headers.get("Authorization") || "";
+  const digest = value => crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  const [given, expected] = await Promise.all([digest(header.startsWith("Bearer ") ? header.slice(7) : ""), digest(token)]);
+  return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+// Scrapes send "Authorization: Bearer <METRICS_TOKEN>" when one is set
+async function handleMetrics(request, env, headers) {
+  if (env.METRICS_TOKEN && !(await bearerTokenMatches(request, env.METRICS_TOKEN))) {
+    return json({ error: "Unauthorized" }, 401, headers);
+  }
+  return new Response(renderMetrics(), {
+    headers: { ...headers, "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+  });
+}
+
+async function handleRequest(request, env, ctx, url) {
+  const headers = corsHeaders(request, env);
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (url.pathname === "/api/metrics" && request.method === "GET") {
+    return handleMetrics(request, env, headers);
+  }
+  if (url.pathname === "/api/health" && request.method === "GET") {
+    return json(getHealth(), 200, headers);
+  }
+  if (url.pathname === "/api/ready" && request.method === "GET") {
+    const { ready, body } = getReadiness();
+    return json(body, ready ? 200 : 503, headers);
+  }
+
+  if (url.pathname === "/api/account" || url.pathname.startsWith("/api/account/")) {
+    return json({ error: "Accounts are not enabled" }, 501, headers);
+  }
+  if (url.pathname === "/api/directory" || url.pathname.startsWith("/api/directory/")) {
+    return json({ error: "Directory listings are not enabled" }, 501, headers);
+  }
+
+  const isPrice = url.pathname === "/api/price" && request.method === "POST";
+  const isBatch = url.pathname === "/api/price/batch" && request.method === "POST";
+  const isCompare = url.pathname === "/api/price/compare" && request.method === "POST";
+  const isStream = url.pathname === "/api/price/stream" && request.method === "GET";
+  const isReport = url.pathname === "/api/price-reports" && request.method === "POST";
+  const isReportStats = url.pathname === "/api/price-reports/stats" && request.method === "GET";
+  const isShare = url.pathname === "/api/estimates" && request.method === "POST";
+  const estimateId = request.method === "GET" ? url.pathname.match(ESTIMATE_ROUTE)?.[1] : null;
+  if (!isPrice && !isBatch && !isCompare && !isStream && !isReport && !isReportStats && !isShare && !estimateId) {
+    return json({ error: "Not found" }, 404, headers);
+  }
+
+  const reportStore = env.PRICE_REPORTS_KV ? createKVPriceReportStore(env.PRICE_REPORTS_KV) : null;
+  if ((isReport || isReportStats) && !reportStore) {
+    return json({ error: "Price reports are not enabled" }, 501, headers);
+  }
+
+  let body = null;
+  if (!isStream && !isReportStats && !estimateId) {
+    try {
+      body = (await request.json()) || {};
+    } catch {
+      return json({ error: "Invalid input", details: ["request body must be JSON"] }, 400, headers);
+    }
+  }
+
+  const keyStore = env.API_KEYS_KV ? createKVApiKeyStore(env.API_KEYS_KV) : null;
+  let client;
+  try {
+    client = await resolveClient(keyStore, request.headers.get("Authorization"), request.headers.get("CF-Connecting-IP"));
+  } catch (err) {
+    logger.error("API key lookup error", { err });
+    return json({ error: "API key lookup failed", code: "API_KEY_LOOKUP_FAILED" }, 500, headers);
+  }
+  if (client.error) {
+    return json({ error: client.error }, 401, headers);
+  }
+
+  try {
+    const checkRateLimit = env.RATE_LIMIT_KV
+      ? createRateLimiter(createKVRateLimitStore(env.RATE_LIMIT_KV))
+      : memoryLimiter;
+    const cost = isBatch ? priceBatchCost(body) : isCompare ? priceCompareCost(body) : 1;
+    const limit = await checkRateLimit(client.id, client.quota, cost);
+    Object.assign(headers, limit.headers, { "X-RateLimit-Tier": client.tier });
+    if (!limit.allowed) {
+      return json({ error: "Rate limit exceeded", retryAfter: limit.retryAfter }, 429, headers);
+    }
+  } catch (e) {
+    logger.error("Rate limiter error", { err: e });
+  }
+
+  if (estimateId) {
+    return handleEstimate(estimateId, headers);
+  }
+
+  if (isShare) {
+    return handleShare(body, headers);
+  }
+
+  if (isReport) {
+    return handlePriceReport(reportStore, body, client, headers);
+  }
+
+  if (isReportStats) {
+    return handlePriceReportStats(reportStore, Object.fromEntries(url.searchParams), headers);
+  }
+
+  if (isStream) {
+    logger.info("Price stream request", { client: client.id, tier: client.tier });
+    return handlePriceStream(parsePriceRequest(queryToPriceBody(Object.fromEntries(url.searchParams))), headers, ctx);
+  }
+
+  if (isBatch) {
+    logger.info("Price batch request", { client: client.id, tier: client.tier });
+    return handlePriceBatch(parsePriceBatchRequest(body), headers);
+  }
+
+  if (isCompare) {
+    logger.info("Price compare request", { client: client.id, tier: client.tier });
+    return handlePriceCompare(parsePriceCompareRequest(body), headers);
+  }
+
+  logger.info("Price request", { client: client.id, tier: client.tier });
+  return handlePrice(parsePriceRequest(body), headers);
+}
+
 export default {
-  fetch(request, env) {
+  async fetch(request, env, ctx) {
+    configure(env);
+    setEstimateStore(env.ESTIMATES_KV ? createKVEstimateStore(env.ESTIMATES_KV) : null);
+    setPriceReportStore(env.PRICE_REPORTS_KV ? createKVPriceReportStore(env.PRICE_REPORTS_KV) : null);
+    setDirectoryStore(env.DIRECTORY_KV ? createKVDirectoryStore(env.DIRECTORY_KV) : null);
     const url = new URL(request.url);
 
-    if (url.pathname.startsWith("/api/")) {
-      return Response.json({
-        name: "Cloudflare",
-      });
+    if (!url.pathname.startsWith("/api/")) {
+      return new Response(null, { status: 404 });
     }
 
-		return new Response(null, { status: 404 });
-  },
-}
+    const requestId = resolveRequestId(request.headers.get("X-Request-Id"));
+    const start = Date.now();
+    return runWithRequestContext({ requestId }, async () => {
+      const response = await handleRequest(request, env, ctx, url);
+      response.headers.set("X-Request-Id", requestId);
+
+      const route = API_ROUTES.includes(url.pathname) ? url.pathname : ESTIMATE_ROUTE.test(url.pathname) ? "/api/estimates/:id" : "unmatched";
+      httpRequests.inc({ method: request.method, route, status: response.status });
+      httpDuration.observe({ route }, (Date.now() - start) / 1000);
+      logger.info("Request completed", { method: request.method, path: url.pathname, status: response.status, durationMs: Date.now() - start });
+      return response;
+    });
+  }
+};
@@ -0,0 +1,170 @@
+import express from "express";
+import {
+  parseCredentials,
+  validateCredentials,
+  registerAccount,
+  signIn,
+  requestMagicLink,
+  redeemMagicLink,
+  findAccountBySession,
+  signOut,
+  publicAccount,
+  parsePet,
+  validatePet,
+  parseSavedAddress,
+  validateSavedAddress,
+  addToAccount,
+  updateInAccount,
+  removeFromAccount,
+  addFavorite,
+  removeFavorite
+} from "../services/accounts.js";
+import { ALLOWED_TYPES, ALLOWED_SIZES } from "../services/price-service.js";
+import { getAccountStore, getMagicLinkStore } from "../stores/index.js";
+import { rateLimiter } from "./rate-limiter.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+const PET_OPTIONS = { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES };
+
+function accountError(res, err) {
+  logger.error("Account error", { err });
+  return res.status(500).json({ error: "Account error", code: "ACCOUNT_FAILED" });
+}
+
+function sessionToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+}
+
+// Sets req.account from "Authorization: Bearer gs_..." or answers 401
+export async function requireAccount(req, res, next) {
+  try {
+    req.account = await findAccountBySession(getAccountStore(), sessionToken(req));
+  } catch (err) {
+    return accountError(res, err);
+  }
+  if (!req.account) {
+    return res.status(401).json({ error: "Sign in required" });
+  }
+  next();
+}
+
+// Sets req.account when a valid session is sent; never rejects the request
+export async function optionalAccount(req, res, next) {
+  try {
+    req.account = await findAccountBySession(getAccountStore(), sessionToken(req));
+  } catch (err) {
+    logger.error("Account lookup error", { err });
+    req.account = null;
+  }
+  next();
+}
+
+function send(res, { status, body }) {
+  return body === null ? res.sendStatus(status) : res.status(status).json(body);
+}
+
+// Wraps a handler so store errors become 500s
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      return await fn(req, res);
+    } catch (err) {
+      return accountError(res, err);
+    }
+  };
+}
+
+// Magic links point here; set PUBLIC_BASE_URL in production so links never
+// follow a spoofed Host header
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+router.post("/account/register", rateLimiter, handle(async (req, res) => {
+  const credentials = parseCredentials(req.body);
+  const validationErrors = validateCredentials(credentials);
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+  return send(res, await registerAccount(getAccountStore(), credentials));
+}));
+
+router.post("/account/login", rateLimiter, handle(async (req, res) => {
+  const credentials = parseCredentials(req.body);
+  const validationErrors = validateCredentials(credentials);
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+  return send(res, await signIn(getAccountStore(), credentials));
+}));
+
+router.post("/account/magic-link", rateLimiter, handle(async (req, res) => {
+  const { email } = parseCredentials(req.body);
+  const validationErrors = validateCredentials({ email }, { passwordRequired: false });
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+  return send(res, await requestMagicLink(getMagicLinkStore(), email, { baseUrl: publicBaseUrl(req) }));
+}));
+
+// Exchanges the token from a magic link for a session
+router.post("/account/magic-link/verify", rateLimiter, handle(async (req, res) => {
+  return send(res, await redeemMagicLink(getAccountStore(), getMagicLinkStore(), req.body?.token));
+}));
+
+router.post("/account/logout", rateLimiter, requireAccount, handle(async (req, res) => {
+  await signOut(getAccountStore(), req.account, sessionToken(req));
+  return res.sendStatus(204);
+}));
+
+router.get("/account", rateLimiter, requireAccount, (req, res) => {
+  res.json(publicAccount(req.account));
+});
+
+// Saved pets ({ name, type, size, breed, coatType }) and addresses
+// ({ label, location }) share the same list handling
+const SAVED_LISTS = {
+  pets: { parse: parsePet, validate: pet => validatePet(pet, PET_OPTIONS) },
+  addresses: { parse: parseSavedAddress, validate: validateSavedAddress }
+};
+
+for (const [kind, { parse, validate }] of Object.entries(SAVED_LISTS)) {
+  router.post(`/account/${kind}`, rateLimiter, requireAccount, handle(async (req, res) => {
+    const item = parse(req.body);
+    const validationErrors = validate(item);
+    if (validationErrors.length) {
+      return res.status(400).json({ error: "Invalid input", details: validationErrors });
+    }
+    return send(res, await addToAccount(getAccountStore(), req.account, kind, item));
+  }));
+
+  router.put(`/account/${kind}/:id`, rateLimiter, requireAccount, handle(async (req, res) => {
+    const item = parse(req.body);
+    const validationErrors = validate(item);
+    if (validationErrors.length) {
+      return res.status(400).json({ error: "Invalid input", details: validationErrors });
+    }
+    return send(res, await updateInAccount(getAccountStore(), req.account, kind, req.params.id, item));
+  }));
+
+  router.delete(`/account/${kind}/:id`, rateLimiter, requireAccount, handle(async (req, res) => {
+    return send(res, await removeFromAccount(getAccountStore(), req.account, kind, req.params.id));
+  }));
+}
+
+// Body may carry the groomer's name and address for display
+router.put("/account/favorites/:placeId", rateLimiter, requireAccount, handle(async (req, res) => {
+  if (!/^[\w-]{10,300}$/.test(req.params.placeId)) {
+    return res.status(400).json({ error: "Invalid input", details: ["placeId must be a Google Places place_id"] });
+  }
+  return send(res, await addFavorite(getAccountStore(), req.account, req.params.placeId, req.body || {}));
+}));
+
+router.delete("/account/favorites/:placeId", rateLimiter, requireAccount, handle(async (req, res) => {
+  return send(res, await removeFavorite(getAccountStore(), req.account, req.params.placeId));
+}));
+
+export default router;
@@ -0,0 +1,106 @@
+import express from "express";
+import crypto from "crypto";
+import { purgeCache, cacheStats } from "../services/cache.js";
+import { issueApiKey, revokeApiKey, publicKeyRecord, KEY_TIERS } from "../services/api-keys.js";
+import { reviewListing, ownerListing, LISTING_STATUSES } from "../services/groomer-directory.js";
+import { getApiKeyStore, getDirectoryStore } from "../stores/index.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+const CACHE_NAMESPACES = ["geocode", "places", "details", "estimate"];
+
+// Admin routes are disabled unless ADMIN_TOKEN is set; callers send
+// "Authorization: Bearer <ADMIN_TOKEN>".
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const expected = Buffer.from(adminToken);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+router.use(requireAdmin);
+
+router.get("/cache", (req, res) => {
+  res.json(cacheStats());
+});
+
+router.delete("/cache", (req, res) => {
+  const namespace = typeof req.query.namespace === "string" ? req.query.namespace : undefined;
+  const prefix = typeof req.query.prefix === "string" ? req.query.prefix : undefined;
+
+  if (namespace && !CACHE_NAMESPACES.includes(namespace)) {
+    return res.status(400).json({ error: "Invalid input", details: [`namespace must be one of: ${CACHE_NAMESPACES.join(", ")}`] });
+  }
+  if (prefix && !namespace) {
+    return res.status(400).json({ error: "Invalid input", details: ["prefix requires namespace"] });
+  }
+
+  const removed = purgeCache({ namespace, prefix });
+  logger.info("Admin cache purge", { namespace: namespace || "all", prefix, removed });
+  res.json({ removed });
+});
+
+router.get("/keys", async (req, res) => {
+  const keys = await getApiKeyStore().list();
+  res.json({ keys: keys.map(publicKeyRecord) });
+});
+
+// The plaintext key is only ever returned here
+router.post("/keys", async (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+  const tier = req.body?.tier ?? "partner";
+  const errors = [];
+  if (!name || name.length > 100) errors.push("name is required (at most 100 characters)");
+  if (!KEY_TIERS.includes(tier)) errors.push(`tier must be one of: ${KEY_TIERS.join(", ")}`);
+  if (errors.length) {
+    return res.status(400).json({ error: "Invalid input", details: errors });
+  }
+
+  const { key, record } = await issueApiKey(getApiKeyStore(), { name, tier });
+  logger.info("Admin issued API key", { keyId: record.id, tier: record.tier, name: record.name });
+  res.status(201).json({ key, ...publicKeyRecord(record) });
+});
+
+router.delete("/keys/:id", async (req, res) => {
+  const record = await revokeApiKey(getApiKeyStore(), req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  logger.info("Admin revoked API key", { keyId: record.id });
+  res.json(publicKeyRecord(record));
+});
+
+// Directory moderation queue; ?status=pending (default), approved or rejected
+router.get("/directory", async (req, res) => {
+  const status = typeof req.query.status === "string" ? req.query.status : "pending";
+  if (!LISTING_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid input", details: [`status must be one of: ${LISTING_STATUSES.join(", ")}`] });
+  }
+  const listings = (await getDirectoryStore().list())
+    .filter(r => r.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  res.json({ listings: listings.map(ownerListing) });
+});
+
+for (const [action, status] of [["approve", "approved"], ["reject", "rejected"]]) {
+  router.post(`/directory/:id/${action}`, async (req, res) => {
+    const note = req.body?.note ?? null;
+    if (note !== null && (typeof note !== "string" || note.length > 500)) {
+      return res.status(400).json({ error: "Invalid input", details: ["note must be a string of at most 500 characters"] });
+    }
+    const result = await reviewListing(getDirectoryStore(), req.params.id, { status, note });
+    res.status(result.status).json(result.body);
+  });
+}
+
+export default router;
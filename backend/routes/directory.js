@@ -0,0 +1,113 @@
+import express from "express";
+import {
+  parseListing,
+  validateListing,
+  submitListing,
+  findOwnedListing,
+  updateListing,
+  publicListing,
+  ownerListing
+} from "../services/groomer-directory.js";
+import { ALLOWED_TYPES, ALLOWED_SIZES } from "../services/price-service.js";
+import { getDirectoryStore } from "../stores/index.js";
+import { rateLimiter } from "./rate-limiter.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+const LISTING_OPTIONS = { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES };
+
+function directoryError(res, err) {
+  logger.error("Directory error", { err });
+  return res.status(500).json({ error: "Directory error", code: "DIRECTORY_FAILED" });
+}
+
+// Submit a new listing, or claim a Places listing by sending its placeId
+router.post("/directory", rateLimiter, async (req, res) => {
+  const listing = parseListing(req.body);
+
+  const validationErrors = validateListing(listing, LISTING_OPTIONS);
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+
+  try {
+    const { status, body } = await submitListing(getDirectoryStore(), listing);
+    return res.status(status).json(body);
+  } catch (err) {
+    return directoryError(res, err);
+  }
+});
+
+// Approved listings, optionally ?species=rabbit
+router.get("/directory", rateLimiter, async (req, res) => {
+  const species = typeof req.query.species === "string" ? req.query.species.trim().toLowerCase() : undefined;
+  if (species && !ALLOWED_TYPES.includes(species)) {
+    return res.status(400).json({ error: "Invalid input", details: [`species must be one of: ${ALLOWED_TYPES.join(", ")}`] });
+  }
+
+  try {
+    const listings = (await getDirectoryStore().list())
+      .filter(r => r.status === "approved" && (!species || r.species.includes(species)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return res.json({ listings: listings.map(publicListing) });
+  } catch (err) {
+    return directoryError(res, err);
+  }
+});
+
+// Approved listings are public; the owner's token also shows pending and rejected ones
+router.get("/directory/:id", rateLimiter, async (req, res) => {
+  try {
+    const owned = await findOwnedListing(getDirectoryStore(), req.params.id, req.get("x-listing-token"));
+    if (owned) return res.json(ownerListing(owned));
+
+    const record = (await getDirectoryStore().list()).find(r => r.id === req.params.id);
+    if (!record || record.status !== "approved") {
+      return res.status(404).json({ error: "Not found" });
+    }
+    return res.json(publicListing(record));
+  } catch (err) {
+    return directoryError(res, err);
+  }
+});
+
+router.patch("/directory/:id", rateLimiter, async (req, res) => {
+  try {
+    const store = getDirectoryStore();
+    const record = await findOwnedListing(store, req.params.id, req.get("x-listing-token"));
+    if (!record) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    const changes = parseListing(req.body);
+    // Switching to a fixed location drops the old service radius
+    if (changes.mobile === false && changes.serviceRadiusMiles === undefined) changes.serviceRadiusMiles = null;
+    const validationErrors = validateListing({ ...record, ...changes }, LISTING_OPTIONS);
+    if (validationErrors.length) {
+      return res.status(400).json({ error: "Invalid input", details: validationErrors });
+    }
+
+    const { status, body } = await updateListing(store, record, changes);
+    return res.status(status).json(body);
+  } catch (err) {
+    return directoryError(res, err);
+  }
+});
+
+router.delete("/directory/:id", rateLimiter, async (req, res) => {
+  try {
+    const store = getDirectoryStore();
+    const record = await findOwnedListing(store, req.params.id, req.get("x-listing-token"));
+    if (!record) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    await store.remove(record.id);
+    logger.info("Directory listing removed by owner", { id: record.id });
+    return res.status(204).end();
+  } catch (err) {
+    return directoryError(res, err);
+  }
+});
+
+export default router;
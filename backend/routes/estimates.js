@@ -0,0 +1,44 @@
+import express from "express";
+import { loadEstimate, validateShareRequest, shareEstimate } from "../services/estimates.js";
+import { markEstimateShared } from "../services/accounts.js";
+import { getAccountStore } from "../stores/index.js";
+import { rateLimiter } from "./rate-limiter.js";
+import { optionalAccount } from "./account.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+// A saved /api/price response: the inputs, price, groomer list and when it
+// was created. 410 once the link has expired.
+router.get("/estimates/:id", rateLimiter, async (req, res) => {
+  try {
+    const { status, body } = await loadEstimate(req.params.id);
+    return res.status(status).json(body);
+  } catch (err) {
+    logger.error("Estimate lookup error", { err });
+    return res.status(500).json({ error: "Estimate lookup error", code: "ESTIMATE_LOOKUP_FAILED" });
+  }
+});
+
+// Saves an estimate that was already shown: { estimate, shareToken } as
+// /api/price returned them. Answers 201 { id, expiresAt }. The body is a whole
+// response, so app.js parses it with a larger limit than other routes.
+router.post("/estimates", rateLimiter, optionalAccount, async (req, res) => {
+  const validationErrors = validateShareRequest(req.body);
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+
+  try {
+    const { status, body } = await shareEstimate(req.body);
+    if (status === 201 && req.account) {
+      await markEstimateShared(getAccountStore(), req.account, body.id).catch(err => logger.error("Estimate history error", { err }));
+    }
+    return res.status(status).json(body);
+  } catch (err) {
+    logger.error("Estimate share error", { err });
+    return res.status(500).json({ error: "Estimate share error", code: "ESTIMATE_SHARE_FAILED" });
+  }
+});
+
+export default router;
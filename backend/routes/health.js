@@ -0,0 +1,18 @@
+import express from "express";
+import { getHealth, getReadiness } from "../services/health.js";
+
+const router = express.Router();
+
+// Liveness: the process is up and serving requests
+router.get("/health", (req, res) => {
+  res.json(getHealth());
+});
+
+// Readiness: upstream configuration and circuit state; 503 when a required
+// upstream is missing or open
+router.get("/ready", (req, res) => {
+  const { ready, body } = getReadiness();
+  res.status(ready ? 200 : 503).json(body);
+});
+
+export default router;
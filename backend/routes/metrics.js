@@ -0,0 +1,27 @@
+import express from "express";
+import crypto from "crypto";
+import { renderMetrics } from "../services/metrics.js";
+
+const router = express.Router();
+
+// Prometheus scrape endpoint. Open unless METRICS_TOKEN is set, in which case
+// scrapers send "Authorization: Bearer <METRICS_TOKEN>".
+function requireMetricsToken(req, res, next) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) return next();
+
+  const header = req.headers.authorization || "";
+  const expected = Buffer.from(metricsToken);
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+router.get("/metrics", requireMetricsToken, (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
+export default router;
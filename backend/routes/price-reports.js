@@ -0,0 +1,44 @@
+import express from "express";
+import { parsePriceReport, validatePriceReport, submitPriceReport, reportStats, parseReportStatsQuery } from "../services/price-reports.js";
+import { ALLOWED_TYPES, ALLOWED_SIZES } from "../services/price-service.js";
+import { getPriceReportStore } from "../stores/index.js";
+import { rateLimiter } from "./rate-limiter.js";
+import { logger } from "../services/logger.js";
+
+const router = express.Router();
+
+const REPORT_OPTIONS = { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES };
+
+router.post("/price-reports", rateLimiter, async (req, res) => {
+  const report = parsePriceReport(req.body);
+
+  const validationErrors = validatePriceReport(report, REPORT_OPTIONS);
+  if (validationErrors.length) {
+    return res.status(400).json({ error: "Invalid input", details: validationErrors });
+  }
+
+  try {
+    const { status, body } = await submitPriceReport(getPriceReportStore(), report, { clientId: req.client.id });
+    return res.status(status).json(body);
+  } catch (err) {
+    logger.error("Price report error", { err });
+    return res.status(500).json({ error: "Price report error", code: "PRICE_REPORT_FAILED" });
+  }
+});
+
+router.get("/price-reports/stats", rateLimiter, async (req, res) => {
+  const { filters, errors } = parseReportStatsQuery(req.query, REPORT_OPTIONS);
+  if (errors.length) {
+    return res.status(400).json({ error: "Invalid input", details: errors });
+  }
+
+  try {
+    const groups = reportStats(await getPriceReportStore().list(), filters);
+    return res.json({ filters, groups });
+  } catch (err) {
+    logger.error("Price report stats error", { err });
+    return res.status(500).json({ error: "Price report error", code: "PRICE_REPORT_FAILED" });
+  }
+});
+
+export default router;
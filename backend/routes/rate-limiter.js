@@ -0,0 +1,46 @@
+import { createRateLimiter } from "../services/rate-limit.js";
+import { resolveClient } from "../services/api-keys.js";
+import { getApiKeyStore, getRateLimitStore } from "../stores/index.js";
+import { logger } from "../services/logger.js";
+
+// Rate limiter: per API key when one is sent, otherwise per client IP.
+// req.ip only honours X-Forwarded-For from proxies allowed by TRUST_PROXY.
+// cost(req) is how many requests a call counts as.
+let checkRateLimit = null;
+
+export function rateLimit({ cost = () => 1 } = {}) {
+  return async function rateLimiter(req, res, next) {
+    let client;
+    try {
+      client = await resolveClient(getApiKeyStore(), req.headers.authorization, req.ip);
+    } catch (e) {
+      logger.error("API key lookup error", { err: e });
+      return res.status(500).json({ error: "API key lookup failed", code: "API_KEY_LOOKUP_FAILED" });
+    }
+    if (client.error) {
+      return res.status(401).json({ error: client.error });
+    }
+    req.client = client;
+
+    // A store failure lets the request through; next() stays outside the try
+    // so an error thrown downstream is never handled here
+    let limit = null;
+    try {
+      if (!checkRateLimit) checkRateLimit = createRateLimiter(getRateLimitStore());
+      limit = await checkRateLimit(client.id, client.quota, cost(req));
+    } catch (e) {
+      logger.error("Rate limiter error", { err: e });
+    }
+
+    if (limit) {
+      res.set(limit.headers);
+      res.set("X-RateLimit-Tier", client.tier);
+      if (!limit.allowed) {
+        return res.status(429).json({ error: "Rate limit exceeded", retryAfter: limit.retryAfter });
+      }
+    }
+    next();
+  };
+}
+
+export const rateLimiter = rateLimit();
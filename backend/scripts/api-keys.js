@@ -0,0 +1,55 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+import { issueApiKey, revokeApiKey, publicKeyRecord, KEY_TIERS } from "../services/api-keys.js";
+import { getApiKeyStore } from "../stores/index.js";
+
+// Admin CLI for partner API keys:
+//   npm run keys -- issue <name> [--tier partner|enterprise]
+//   npm run keys -- list
+//   npm run keys -- revoke <id>
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+function usage() {
+  console.error(`Usage:
+  npm run keys -- issue <name> [--tier ${KEY_TIERS.join("|")}]
+  npm run keys -- list
+  npm run keys -- revoke <id>`);
+  process.exit(1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const store = getApiKeyStore();
+
+if (command === "issue") {
+  const tierFlag = args.indexOf("--tier");
+  const tier = tierFlag === -1 ? "partner" : args[tierFlag + 1];
+  const name = args.filter((a, i) => i !== tierFlag && i !== tierFlag + 1).join(" ").trim();
+  if (!name || !KEY_TIERS.includes(tier)) usage();
+
+  const { key, record } = await issueApiKey(store, { name, tier });
+  console.log(`Issued ${record.tier} key ${record.id} for "${record.name}".`);
+  console.log(`API key (shown once): ${key}`);
+  console.log("\nFor the Worker:");
+  console.log(`  npx wrangler kv key put --binding API_KEYS_KV "apikey:${record.hash}" '${JSON.stringify(record)}'`);
+} else if (command === "list") {
+  const keys = await store.list();
+  if (keys.length === 0) console.log("No API keys issued.");
+  for (const r of keys.map(publicKeyRecord)) {
+    console.log(`${r.id}  ${r.tier.padEnd(10)}  ${r.revokedAt ? `revoked ${r.revokedAt}` : "active"}  ${r.name}`);
+  }
+} else if (command === "revoke") {
+  if (!args[0]) usage();
+  const record = await revokeApiKey(store, args[0]);
+  if (!record) {
+    console.error(`No API key with id ${args[0]}`);
+    process.exit(1);
+  }
+  console.log(`Revoked key ${record.id} ("${record.name}") at ${record.revokedAt}.`);
+  console.log("For the Worker, re-put the record with revokedAt set:");
+  console.log(`  npx wrangler kv key put --binding API_KEYS_KV "apikey:${record.hash}" '${JSON.stringify(record)}'`);
+} else {
+  usage();
+}
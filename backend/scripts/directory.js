@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+import { publicListing } from "../services/groomer-directory.js";
+import { getDirectoryStore } from "../stores/index.js";
+
+// Publishes reviewed directory listings to the Worker's DIRECTORY_KV:
+//   npm run directory -- publish > listings.json
+//   npx wrangler kv bulk put --binding DIRECTORY_KV listings.json
+// Every listing is written, so a rejection or an edit sent back to pending
+// replaces the approved copy; the Worker only serves approved ones.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const [command] = process.argv.slice(2);
+
+if (command === "publish") {
+  const listings = await getDirectoryStore().list();
+  const entries = listings.map(record => ({ key: `listing:${record.id}`, value: JSON.stringify(publicListing(record)) }));
+  console.log(JSON.stringify(entries, null, 2));
+  console.error(`${entries.length} listings (${listings.filter(r => r.status === "approved").length} approved).`);
+  console.error("A listing its owner removed stays in KV until deleted:");
+  console.error('  npx wrangler kv key delete --binding DIRECTORY_KV "listing:<id>"');
+} else {
+  console.error("Usage:\n  npm run directory -- publish > listings.json");
+  process.exit(1);
+}
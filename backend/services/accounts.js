@@ -0,0 +1,420 @@
+import { env, envInt } from "./config.js";
+import { COAT_TYPES } from "./pricing.js";
+import { logger } from "./logger.js";
+import { shareTokenId } from "./estimates.js";
+
+// User accounts: saved pet profiles, saved addresses, favorite groomers and
+// past estimates. Users sign in with a password or a magic link and send the
+// session token as "Authorization: Bearer gs_...". Passwords, sessions and
+// magic links are stored only as hashes.
+//
+// An account store exposes async list() and update(id, fn): fn(record or
+// null, accounts) runs on freshly read accounts, under the file store's
+// lock, and returns the record to write or null to leave them as they are;
+// update resolves to what was written. Records are { id, email, password,
+// sessions, pets, addresses, favorites, history, createdAt }.
+//
+// Pending magic links are kept apart, so asking for one never creates an
+// account. A magic link store exposes async add(link) and take(hash), which
+// removes and returns the unexpired link with that hash, or null; links are
+// { hash, email, expiresAt }.
+
+export const SESSION_TOKEN_PREFIX = "gs_";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const PASSWORD_ITERATIONS = 100000;
+const LIMITS = { pets: 20, addresses: 10, favorites: 100 };
+
+export function getAccountSettings() {
+  return {
+    sessionDays: envInt("ACCOUNT_SESSION_DAYS", 30),
+    magicLinkMinutes: envInt("MAGIC_LINK_TTL_MINUTES", 15),
+    historyLimit: envInt("ACCOUNT_HISTORY_LIMIT", 50)
+  };
+}
+
+export function createMemoryAccountStore() {
+  const accounts = new Map();
+  return {
+    async list() {
+      return [...accounts.values()].map(r => structuredClone(r));
+    },
+    async update(id, fn) {
+      const current = accounts.get(id);
+      const next = fn(current ? structuredClone(current) : null, [...accounts.values()].map(r => structuredClone(r)));
+      if (next) accounts.set(id, structuredClone(next));
+      return next;
+    }
+  };
+}
+
+export function createMemoryMagicLinkStore() {
+  let links = [];
+  return {
+    async add(link) {
+      links = [...links.filter(l => Date.parse(l.expiresAt) > Date.now()), { ...link }];
+    },
+    async take(hash) {
+      const link = links.find(l => l.hash === hash && Date.parse(l.expiresAt) > Date.now()) || null;
+      links = links.filter(l => l !== link && Date.parse(l.expiresAt) > Date.now());
+      return link && { ...link };
+    }
+  };
+}
+
+// Delivers { email, link } for a magic link sign-in. Without one, magic links
+// are turned off; MAGIC_LINK_LOG=1 logs them instead, for local setups only,
+// since anyone who can read the logs can sign in as that account.
+let magicLinkSender = null;
+
+export function setMagicLinkSender(sender) {
+  magicLinkSender = sender;
+}
+
+function resolveMagicLinkSender() {
+  if (magicLinkSender) return magicLinkSender;
+  if (env("MAGIC_LINK_LOG") !== "1") return null;
+  // The link goes in the message because the logger strips query strings
+  // from field values, and the token is the query string
+  return ({ email, link }) => logger.warn(`Magic link (MAGIC_LINK_LOG=1, no sender configured): ${link}`, { email });
+}
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function randomHex(byteLength) {
+  return toHex(globalThis.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function hashSecret(kind, secret) {
+  return toHex(await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${kind}:${secret}`)));
+}
+
+// Compares hex digests without stopping at the first difference
+function sameHash(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// PBKDF2 through WebCrypto so the same code runs on Node and Workers
+async function derivePassword(password, salt, iterations) {
+  const key = await globalThis.crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: new TextEncoder().encode(salt), iterations },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+export async function hashPassword(password) {
+  const salt = randomHex(16);
+  return { salt, iterations: PASSWORD_ITERATIONS, hash: await derivePassword(password, salt, PASSWORD_ITERATIONS) };
+}
+
+export async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  return sameHash(await derivePassword(password, stored.salt, stored.iterations), stored.hash);
+}
+
+function trimmed(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  return text === "" ? undefined : text;
+}
+
+export function parseCredentials(body) {
+  body = body || {};
+  return {
+    email: typeof body.email === "string" ? body.email.trim().toLowerCase() : body.email,
+    password: body.password
+  };
+}
+
+export function validateCredentials({ email, password }, { passwordRequired = true } = {}) {
+  const errors = [];
+  if (typeof email !== "string" || email.length > 200 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push("email must be an email address");
+  }
+  if (passwordRequired && (typeof password !== "string" || password.length < 8 || password.length > 200)) {
+    errors.push("password must be 8 to 200 characters");
+  }
+  return errors;
+}
+
+// What the account holder sees of their own record. magicLinks is only on
+// records saved before pending links moved to their own store.
+export function publicAccount(record) {
+  const { password, sessions, magicLinks, ...rest } = record;
+  return { ...rest, hasPassword: Boolean(password) };
+}
+
+function newAccount(email) {
+  return {
+    id: randomHex(8),
+    email,
+    password: null,
+    sessions: [],
+    pets: [],
+    addresses: [],
+    favorites: [],
+    history: [],
+    createdAt: new Date().toISOString()
+  };
+}
+
+// A new session token and the hashed entry kept on the account
+async function newSession(now = Date.now()) {
+  const token = `${SESSION_TOKEN_PREFIX}${randomHex(24)}`;
+  const session = {
+    hash: await hashSecret("session", token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getAccountSettings().sessionDays * DAY).toISOString()
+  };
+  return { token, session };
+}
+
+// Adds session to record, dropping expired ones
+function addSession(record, session) {
+  record.sessions = [...record.sessions.filter(s => Date.parse(s.expiresAt) > Date.now()), session];
+  return record;
+}
+
+function findByEmail(accounts, email) {
+  return accounts.find(r => r.email === email) || null;
+}
+
+// Runs change(record) on the account as it is under the store's lock. change
+// edits the record and returns { status, body }; the edit is written only
+// for a 2xx status.
+async function changeAccount(store, id, change) {
+  let response = { status: 401, body: { error: "Sign in required" } };
+  await store.update(id, current => {
+    if (!current) return null;
+    response = change(current);
+    return response.status < 300 ? current : null;
+  });
+  return response;
+}
+
+// Each of these resolves to { status, body }; session tokens are only
+// returned here. The email is checked under the store's lock, so two
+// registrations for one address can't both succeed.
+export async function registerAccount(store, { email, password }) {
+  const record = newAccount(email);
+  record.password = await hashPassword(password);
+  const { token, session } = await newSession();
+  addSession(record, session);
+  const saved = await store.update(record.id, (current, accounts) => (findByEmail(accounts, email) ? null : record));
+  if (!saved) {
+    return { status: 409, body: { error: "Account already exists", details: ["sign in, or request a magic link"] } };
+  }
+  logger.info("Account registered", { id: record.id, method: "password" });
+  return { status: 201, body: { token, account: publicAccount(record) } };
+}
+
+export async function signIn(store, { email, password }) {
+  const record = findByEmail(await store.list(), email);
+  if (!record || !(await verifyPassword(password, record.password))) {
+    return { status: 401, body: { error: "Invalid email or password" } };
+  }
+  const { token, session } = await newSession();
+  const saved = await store.update(record.id, current => current && addSession(current, session));
+  if (!saved) return { status: 401, body: { error: "Invalid email or password" } };
+  return { status: 200, body: { token, account: publicAccount(saved) } };
+}
+
+// The response is the same whether or not the email has an account, so it
+// can't be used to probe for accounts; the account is created when the link
+// is first used.
+export async function requestMagicLink(linkStore, email, { baseUrl = "" } = {}) {
+  const send = resolveMagicLinkSender();
+  if (!send) {
+    return { status: 503, body: { error: "Magic links are not available", details: ["sign in with a password instead"] } };
+  }
+
+  const token = randomHex(24);
+  await linkStore.add({
+    hash: await hashSecret("magic", token),
+    email,
+    expiresAt: new Date(Date.now() + getAccountSettings().magicLinkMinutes * MINUTE).toISOString()
+  });
+
+  await send({ email, link: `${baseUrl}/?login=${token}` });
+  return { status: 202, body: { sent: true } };
+}
+
+// Magic links work once. Signs in to the account for the link's email,
+// creating it on first use.
+export async function redeemMagicLink(store, linkStore, token) {
+  const link = typeof token === "string" && token ? await linkStore.take(await hashSecret("magic", token)) : null;
+  if (!link) {
+    return { status: 401, body: { error: "Invalid or expired link", details: ["request a new magic link"] } };
+  }
+
+  // Creating the account is tried first, under the store's lock, so two
+  // links redeemed at once for a new email still make one account
+  const { token: sessionToken, session } = await newSession();
+  const fresh = addSession(newAccount(link.email), session);
+  const created = await store.update(fresh.id, (current, accounts) => (findByEmail(accounts, link.email) ? null : fresh));
+  let record = created;
+  if (!record) {
+    const existing = findByEmail(await store.list(), link.email);
+    record = await store.update(existing.id, current => current && addSession(current, session));
+  }
+  logger.info("Account signed in", { id: record.id, method: "magic-link", created: Boolean(created) });
+  return { status: 200, body: { token: sessionToken, account: publicAccount(record) } };
+}
+
+// The account a session token belongs to, or null
+export async function findAccountBySession(store, token) {
+  if (typeof token !== "string" || !token.startsWith(SESSION_TOKEN_PREFIX)) return null;
+  const hash = await hashSecret("session", token);
+  const now = Date.now();
+  return (await store.list()).find(r => r.sessions.some(s => sameHash(s.hash, hash) && Date.parse(s.expiresAt) > now)) || null;
+}
+
+export async function signOut(store, record, token) {
+  const hash = await hashSecret("session", token);
+  await changeAccount(store, record.id, current => {
+    current.sessions = current.sessions.filter(s => !sameHash(s.hash, hash));
+    return { status: 204, body: null };
+  });
+}
+
+export function parsePet(body) {
+  body = body || {};
+  const lower = value => (typeof value === "string" ? trimmed(value.toLowerCase()) : value);
+  return {
+    name: trimmed(body.name),
+    type: lower(body.type),
+    size: lower(body.size),
+    breed: trimmed(body.breed) ?? null,
+    coatType: lower(body.coatType) ?? null
+  };
+}
+
+export function validatePet(pet, { species: allowedSpecies, sizes: allowedSizes }) {
+  const errors = [];
+  const { name, type, size, breed, coatType } = pet || {};
+  if (typeof name !== "string" || name.length > 40) errors.push("name is required (at most 40 characters)");
+  if (!allowedSpecies.includes(type)) errors.push(`type must be one of: ${allowedSpecies.join(", ")}`);
+  if (!allowedSizes.includes(size)) errors.push(`size must be one of: ${allowedSizes.join(", ")}`);
+  if (breed !== null && (typeof breed !== "string" || breed.length > 60)) errors.push("breed must be a string of at most 60 characters");
+  if (coatType !== null && !COAT_TYPES.includes(coatType)) errors.push(`coatType must be one of: ${COAT_TYPES.join(", ")}`);
+  return errors;
+}
+
+export function parseSavedAddress(body) {
+  body = body || {};
+  return { label: trimmed(body.label), location: trimmed(body.location) };
+}
+
+export function validateSavedAddress({ label, location }) {
+  const errors = [];
+  if (typeof label !== "string" || label.length > 40) errors.push("label is required (at most 40 characters)");
+  if (typeof location !== "string" || location.length < 2 || location.length > 200) {
+    errors.push("location is required (an address, ZIP code or city)");
+  }
+  return errors;
+}
+
+function limitReached(kind) {
+  return { status: 409, body: { error: "Limit reached", details: [`at most ${LIMITS[kind]} ${kind} per account`] } };
+}
+
+// pets and addresses are lists of { id, ... }. These change the account as
+// it is when the store's lock is taken; record only names it.
+export function addToAccount(store, record, kind, item) {
+  return changeAccount(store, record.id, current => {
+    if (current[kind].length >= LIMITS[kind]) return limitReached(kind);
+    const saved = { id: randomHex(6), ...item };
+    current[kind].push(saved);
+    return { status: 201, body: saved };
+  });
+}
+
+export function updateInAccount(store, record, kind, id, item) {
+  return changeAccount(store, record.id, current => {
+    const index = current[kind].findIndex(x => x.id === id);
+    if (index === -1) return { status: 404, body: { error: "Not found" } };
+    current[kind][index] = { ...item, id };
+    return { status: 200, body: current[kind][index] };
+  });
+}
+
+export function removeFromAccount(store, record, kind, id) {
+  return changeAccount(store, record.id, current => {
+    const kept = current[kind].filter(x => x.id !== id);
+    if (kept.length === current[kind].length) return { status: 404, body: { error: "Not found" } };
+    current[kind] = kept;
+    return { status: 204, body: null };
+  });
+}
+
+// Favorites are keyed by place_id, with the name and address kept for display
+export function addFavorite(store, record, placeId, { name, address } = {}) {
+  return changeAccount(store, record.id, current => {
+    const existing = current.favorites.find(f => f.placeId === placeId);
+    if (!existing && current.favorites.length >= LIMITS.favorites) return limitReached("favorites");
+    const favorite = {
+      placeId,
+      name: typeof name === "string" ? name.trim().slice(0, 100) : null,
+      address: typeof address === "string" ? address.trim().slice(0, 200) : null,
+      addedAt: existing?.addedAt || new Date().toISOString()
+    };
+    current.favorites = [...current.favorites.filter(f => f.placeId !== placeId), favorite];
+    return { status: existing ? 200 : 201, body: favorite };
+  });
+}
+
+export function removeFavorite(store, record, placeId) {
+  return changeAccount(store, record.id, current => {
+    const kept = current.favorites.filter(f => f.placeId !== placeId);
+    if (kept.length === current.favorites.length) return { status: 404, body: { error: "Not found" } };
+    current.favorites = kept;
+    return { status: 204, body: null };
+  });
+}
+
+// Newest first, capped at ACCOUNT_HISTORY_LIMIT. request is what re-runs it.
+// The entry is added to the account as it is after the estimate, not as it
+// was when the request came in. Its ID is the one a share link for the
+// estimate gets, so sharing it later marks the entry shared.
+export async function recordEstimate(store, record, payload, body) {
+  const entry = {
+    id: body.share?.id || (body.shareToken ? shareTokenId(body.shareToken) : randomHex(12)),
+    createdAt: new Date().toISOString(),
+    request: {
+      location: payload.location,
+      type: payload.type,
+      size: payload.size,
+      breed: payload.breed || null,
+      coatType: payload.coatType || null,
+      services: body.input.services
+    },
+    matchedLocation: body.input.geocode?.formatted || null,
+    price: { min: body.price.min, max: body.price.max, currency: body.price.currency, confidence: body.price.confidence },
+    demo: body.demo,
+    shared: Boolean(body.share)
+  };
+  await changeAccount(store, record.id, current => {
+    current.history = [entry, ...current.history].slice(0, getAccountSettings().historyLimit);
+    return { status: 201, body: entry };
+  });
+  return entry;
+}
+
+// After POST /api/estimates, links the history entry to its share link
+export function markEstimateShared(store, record, id) {
+  return changeAccount(store, record.id, current => {
+    const entry = current.history.find(e => e.id === id);
+    if (!entry) return { status: 404, body: { error: "Not found" } };
+    entry.shared = true;
+    return { status: 200, body: entry };
+  });
+}
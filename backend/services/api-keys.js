@@ -0,0 +1,108 @@
+import { envInt } from "./config.js";
+import { SESSION_TOKEN_PREFIX } from "./accounts.js";
+
+// Partner API keys and quota tiers. Keys are sent as
+// "Authorization: Bearer gk_..." and stored only as SHA-256 hashes. A key
+// store exposes async findByHash(hash), list() and save(record); records are
+// { id, name, tier, hash, createdAt, revokedAt }.
+
+export const API_KEY_PREFIX = "gk_";
+
+// Requests without a key are limited per client IP on the anonymous tier
+export function getQuotaTiers() {
+  const windowMs = envInt("RATE_LIMIT_WINDOW_MS", 3600000);
+  return {
+    anonymous: { limit: envInt("RATE_LIMIT_MAX_REQUESTS", 60), windowMs },
+    partner: { limit: envInt("RATE_LIMIT_PARTNER_MAX_REQUESTS", 1000), windowMs },
+    enterprise: { limit: envInt("RATE_LIMIT_ENTERPRISE_MAX_REQUESTS", 10000), windowMs }
+  };
+}
+
+export const KEY_TIERS = ["partner", "enterprise"];
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function randomHex(byteLength) {
+  return toHex(globalThis.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+export async function hashApiKey(key) {
+  return toHex(await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(key)));
+}
+
+// Returns the plaintext key once; only the hash is kept
+export async function issueApiKey(store, { name, tier }) {
+  const key = `${API_KEY_PREFIX}${randomHex(24)}`;
+  const record = {
+    id: randomHex(6),
+    name,
+    tier,
+    hash: await hashApiKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  await store.save(record);
+  return { key, record };
+}
+
+export async function revokeApiKey(store, id) {
+  const record = (await store.list()).find(r => r.id === id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await store.save(record);
+  }
+  return record;
+}
+
+export function publicKeyRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+// Maps a request to the client the quota is charged to. Resolves to
+// { id, tier, quota, keyId } or { error } for a bad Authorization header.
+export async function resolveClient(store, authorization, ip) {
+  const tiers = getQuotaTiers();
+  const header = typeof authorization === "string" ? authorization.trim() : "";
+
+  if (!header) {
+    return { id: `ip:${ip || "unknown"}`, tier: "anonymous", quota: tiers.anonymous, keyId: null };
+  }
+
+  const key = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+
+  // Signed-in users keep the anonymous per-IP quota; the account routes
+  // check the session itself
+  if (key.startsWith(SESSION_TOKEN_PREFIX)) {
+    return { id: `ip:${ip || "unknown"}`, tier: "anonymous", quota: tiers.anonymous, keyId: null };
+  }
+
+  if (!key.startsWith(API_KEY_PREFIX) || !store) {
+    return { error: "Invalid API key" };
+  }
+
+  const record = await store.findByHash(await hashApiKey(key));
+  if (!record) return { error: "Invalid API key" };
+  if (record.revokedAt) return { error: "API key revoked" };
+
+  return { id: `key:${record.id}`, tier: record.tier, quota: tiers[record.tier] || tiers.anonymous, keyId: record.id };
+}
+
+// Keys written by the admin CLI as "apikey:<hash>" -> record JSON
+export function createKVApiKeyStore(kv) {
+  return {
+    async findByHash(hash) {
+      return kv.get(`apikey:${hash}`, "json");
+    },
+    async list() {
+      const { keys } = await kv.list({ prefix: "apikey:" });
+      return Promise.all(keys.map(k => kv.get(k.name, "json")));
+    },
+    async save(record) {
+      await kv.put(`apikey:${record.hash}`, JSON.stringify(record));
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import { envInt } from "./config.js";
+
+// TTL cache for upstream results (geocodes, Places searches and details, LLM estimates).
+// Entries live in an in-process Map by default; the Node server swaps in a
+// file-backed store via setCacheStore() when CACHE_BACKEND=file so entries
+// survive restarts. A store is { entries: Map, persist() }.
+
+const HOUR = 60 * 60 * 1000;
+
+export const CACHE_TTL = {
+  get geocode() { return envInt("CACHE_TTL_GEOCODE_MS", 30 * 24 * HOUR); },
+  get places() { return envInt("CACHE_TTL_PLACES_MS", 6 * HOUR); },
+  get details() { return envInt("CACHE_TTL_DETAILS_MS", 24 * HOUR); },
+  get estimate() { return envInt("CACHE_TTL_ESTIMATE_MS", HOUR / 6); }
+};
+
+export function createMemoryCacheStore() {
+  return {
+    entries: new Map(),
+    persist() {}
+  };
+}
+
+let store = createMemoryCacheStore();
+let storeName = "memory";
+
+export function setCacheStore(nextStore, name) {
+  store = nextStore;
+  storeName = name;
+}
+
+const counters = { hits: 0, misses: 0 };
+
+export function normalizeKeyPart(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(normalizeKeyPart).sort().join("+");
+  return String(value).toLowerCase().replace(/[^\p{L}\p{N}.\-+]+/gu, " ").trim().replace(/\s+/g, " ");
+}
+
+export function buildKey(namespace, parts) {
+  return `${namespace}:${parts.map(normalizeKeyPart).join("|")}`;
+}
+
+export function cacheGet(key) {
+  const entry = store.entries.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    store.entries.delete(key);
+    store.persist();
+    return undefined;
+  }
+  // Re-insert so Map order tracks recency for eviction
+  store.entries.delete(key);
+  store.entries.set(key, entry);
+  return entry.value;
+}
+
+export function cacheSet(key, value, ttlMs) {
+  if (!(ttlMs > 0)) return;
+  store.entries.delete(key);
+  store.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  const maxEntries = envInt("CACHE_MAX_ENTRIES", 5000);
+  while (store.entries.size > maxEntries) {
+    store.entries.delete(store.entries.keys().next().value);
+  }
+  store.persist();
+}
+
+// Returns { value, hit }. Only successful results are cached; errors propagate.
+export async function cached(namespace, parts, ttlMs, fn) {
+  const key = buildKey(namespace, parts);
+  const existing = cacheGet(key);
+  if (existing !== undefined) {
+    counters.hits++;
+    return { value: existing, hit: true };
+  }
+
+  counters.misses++;
+  const value = await fn();
+  if (value !== undefined && value !== null) cacheSet(key, value, ttlMs);
+  return { value, hit: false };
+}
+
+export function purgeCache({ namespace, prefix } = {}) {
+  const match = namespace ? `${namespace}:${prefix ? normalizeKeyPart(prefix) : ""}` : "";
+  let removed = 0;
+  for (const key of [...store.entries.keys()]) {
+    if (!match || key.startsWith(match)) {
+      store.entries.delete(key);
+      removed++;
+    }
+  }
+  if (removed) store.persist();
+  return removed;
+}
+
+export function cacheStats() {
+  const byNamespace = {};
+  for (const key of store.entries.keys()) {
+    const ns = key.slice(0, key.indexOf(":"));
+    byNamespace[ns] = (byNamespace[ns] || 0) + 1;
+  }
+  return {
+    backend: storeName,
+    entries: store.entries.size,
+    maxEntries: envInt("CACHE_MAX_ENTRIES", 5000),
+    byNamespace,
+    hits: counters.hits,
+    misses: counters.misses,
+    ttlMs: CACHE_TTL
+  };
+}
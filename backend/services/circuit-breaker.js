@@ -0,0 +1,132 @@
+import { envInt } from "./config.js";
+import { logger } from "./logger.js";
+import { gauge } from "./metrics.js";
+
+// Per-upstream circuit breakers. After CIRCUIT_FAILURE_THRESHOLD consecutive
+// failures a breaker opens and calls fail fast for CIRCUIT_COOLDOWN_MS; the
+// next call after that is a half-open trial that closes the breaker on
+// success or re-opens it on failure. Transient errors are retried with
+// exponential backoff before they count as a failure.
+
+const STATE_VALUES = { closed: 0, "half-open": 1, open: 2 };
+
+const breakers = new Map();
+
+export class CircuitOpenError extends Error {
+  constructor(upstream, retryInMs) {
+    super(`${upstream} circuit open, retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = "CircuitOpenError";
+    this.upstream = upstream;
+    this.circuitOpen = true;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, 5xx and 429 are worth another try; timeouts are not, since
+// retrying them is exactly the long wait breakers exist to avoid
+export function isRetryable(err) {
+  if (err?.retryable !== undefined) return err.retryable;
+  if (err?.timeout) return false;
+  if (err?.name !== "HttpError") return false;
+  return !err.status || err.status >= 500 || err.status === 429;
+}
+
+// isConfigured() reports whether the upstream would be called at all
+export function getBreaker(upstream, isConfigured = () => true) {
+  if (!breakers.has(upstream)) {
+    breakers.set(upstream, {
+      upstream,
+      isConfigured,
+      state: "closed",
+      failures: 0,
+      openedAt: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      trialInFlight: false
+    });
+  }
+  return breakers.get(upstream);
+}
+
+function currentState(breaker) {
+  if (breaker.state === "open" && Date.now() - breaker.openedAt >= envInt("CIRCUIT_COOLDOWN_MS", 30000)) {
+    return "half-open";
+  }
+  return breaker.state;
+}
+
+function recordSuccess(breaker) {
+  if (breaker.state !== "closed") logger.info("Circuit closed", { upstream: breaker.upstream });
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.lastSuccessAt = new Date().toISOString();
+}
+
+function recordFailure(breaker, err) {
+  breaker.failures += 1;
+  breaker.lastError = err?.message || String(err);
+  breaker.lastFailureAt = new Date().toISOString();
+
+  const threshold = envInt("CIRCUIT_FAILURE_THRESHOLD", 5);
+  if (breaker.state === "half-open" || breaker.failures >= threshold) {
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+    logger.warn("Circuit opened", { upstream: breaker.upstream, failures: breaker.failures, error: breaker.lastError });
+  }
+}
+
+// Runs fn through the upstream's breaker, retrying transient failures
+export async function callUpstream(upstream, fn, { retries = envInt("UPSTREAM_RETRIES", 1) } = {}) {
+  const breaker = getBreaker(upstream);
+  const state = currentState(breaker);
+
+  if (state === "open" || (state === "half-open" && breaker.trialInFlight)) {
+    const retryInMs = breaker.openedAt + envInt("CIRCUIT_COOLDOWN_MS", 30000) - Date.now();
+    throw new CircuitOpenError(upstream, Math.max(0, retryInMs));
+  }
+  // Only the trial call clears the flag; other calls still finishing from
+  // before the breaker opened must not let a second trial through
+  const isTrial = state === "half-open";
+  if (isTrial) {
+    breaker.state = "half-open";
+    breaker.trialInFlight = true;
+  }
+
+  const baseDelayMs = envInt("UPSTREAM_RETRY_BASE_MS", 250);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await fn();
+        recordSuccess(breaker);
+        return result;
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) {
+          recordFailure(breaker, err);
+          throw err;
+        }
+        const delayMs = baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+        logger.warn("Retrying upstream call", { upstream, attempt: attempt + 1, delayMs: Math.round(delayMs), error: err?.message });
+        await sleep(delayMs);
+      }
+    }
+  } finally {
+    if (isTrial) breaker.trialInFlight = false;
+  }
+}
+
+// Public through /api/ready, so only the state: upstream error messages can
+// carry request URLs and addresses
+export function getUpstreamStatus() {
+  return [...breakers.values()].map(b => ({
+    upstream: b.upstream,
+    configured: Boolean(b.isConfigured()),
+    state: currentState(b)
+  }));
+}
+
+gauge("groomly_circuit_state", "Upstream circuit state (0 closed, 1 half-open, 2 open)", () =>
+  [...breakers.values()].map(b => ({ labels: { upstream: b.upstream }, value: STATE_VALUES[currentState(b)] }))
+);
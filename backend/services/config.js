@@ -0,0 +1,31 @@
+// Runtime-neutral configuration. Node reads process.env; the Worker passes its
+// env bindings to configure() on each request. Values are read lazily so the
+// same modules work in both runtimes.
+
+let overrides = null;
+
+export function configure(vars) {
+  overrides = vars || null;
+}
+
+export function env(name, fallback = undefined) {
+  const source = overrides || globalThis.process?.env || {};
+  const value = source[name];
+  return value === undefined || value === null || value === "" ? fallback : value;
+}
+
+export function envInt(name, fallback) {
+  const n = parseInt(env(name, ""), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function envFloat(name, fallback) {
+  const n = parseFloat(env(name, ""));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function envFlag(name, fallback = false) {
+  const value = env(name);
+  if (value === undefined) return fallback;
+  return value === true || value === "true" || value === "1";
+}
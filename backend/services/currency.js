@@ -0,0 +1,89 @@
+import table from "../data/exchange-rates.json" with { type: "json" };
+import { env } from "./config.js";
+import { logger } from "./logger.js";
+
+// Offline exchange rates for showing an estimate in the user's chosen
+// display currency. data/exchange-rates.json holds units per 1 USD;
+// EXCHANGE_RATES (a JSON object such as {"CAD":1.36,"BRL":5.4}) overrides or
+// adds rates without a deploy, and EXCHANGE_RATES_AS_OF dates them. Nothing
+// here calls an upstream, so a stale table only skews the converted figure,
+// never the local-currency estimate.
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+let loaded = { source: null, rates: null };
+
+function parseOverrides(source) {
+  if (!source) return {};
+  try {
+    const parsed = JSON.parse(source);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("not an object");
+    return Object.fromEntries(
+      Object.entries(parsed).filter(([code, rate]) => CURRENCY_CODE.test(code) && typeof rate === "number" && rate > 0 && Number.isFinite(rate))
+    );
+  } catch (err) {
+    logger.warn("EXCHANGE_RATES ignored", { error: err.message });
+    return {};
+  }
+}
+
+// { base, asOf, rates }; re-read when EXCHANGE_RATES changes
+export function getExchangeRates() {
+  const source = env("EXCHANGE_RATES", "");
+  if (loaded.source !== source) {
+    loaded = { source, rates: { ...table.rates, ...parseOverrides(source), [table.base]: 1 } };
+  }
+  return { base: table.base, asOf: env("EXCHANGE_RATES_AS_OF", table.asOf), rates: loaded.rates };
+}
+
+export function getSupportedCurrencies() {
+  return Object.keys(getExchangeRates().rates).sort();
+}
+
+export function isSupportedCurrency(code) {
+  return typeof code === "string" && Object.hasOwn(getExchangeRates().rates, code);
+}
+
+// Units of currency per 1 USD, or null when the table has no rate for it
+export function unitsPerBase(currency) {
+  return getExchangeRates().rates[currency] ?? null;
+}
+
+// Whole units of `to` for an amount in `from`; null when either rate is missing
+export function convertAmount(amount, from, to) {
+  if (amount === null || amount === undefined) return null;
+  const fromRate = unitsPerBase(from);
+  const toRate = unitsPerBase(to);
+  if (!fromRate || !toRate) return null;
+  return Math.round(amount * toRate / fromRate);
+}
+
+// An estimate's price in the display currency:
+// { currency, min, max, lineItems?, rate, ratesAsOf } where rate is units of
+// the display currency per unit of the local one. Null when either currency
+// is missing from the table.
+export function convertPrice(price, to) {
+  const from = price.currency;
+  const { asOf } = getExchangeRates();
+  if (!unitsPerBase(from) || !unitsPerBase(to)) return null;
+  const convert = amount => (from === to ? amount : convertAmount(amount, from, to));
+
+  const converted = { currency: to, min: convert(price.min), max: convert(price.max) };
+  if (Array.isArray(price.lineItems)) {
+    converted.lineItems = price.lineItems.map(item => ({ ...item, min: convert(item.min), max: convert(item.max) }));
+  }
+  return {
+    ...converted,
+    rate: from === to ? 1 : +(unitsPerBase(to) / unitsPerBase(from)).toFixed(6),
+    ratesAsOf: from === to ? null : asOf
+  };
+}
+
+// "$82", "CA$82", "£82" for messages built on the server
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
@@ -0,0 +1,98 @@
+import { envFlag } from "./config.js";
+import { haversineKm } from "./places.js";
+
+// Demo mode: when no real or directory groomers are found, a fixed set of
+// sample groomers around the searched location keeps the UI populated. They
+// are seeded from the location, so the same search always shows the same
+// samples, use 555-01xx fictional phone numbers and never count as market
+// evidence for the estimate.
+
+const DEMO_GROOMER_NAMES = [
+  "Pampered Paws Grooming",
+  "Happy Tails Pet Salon",
+  "Fur & Feather Care",
+  "Pawsitive Grooming Studio",
+  "The Grooming Lab",
+  "Bark & Bubble Pet Spa",
+  "Elegant Paws Boutique",
+  "Tail Waggers Grooming",
+  "Premium Pet Grooming Co.",
+  "Fluffy Friends Salon",
+  "Noble Hound Grooming",
+  "Sunshine Pet Care",
+  "Pristine Paws Professional Grooming",
+  "The Pet Parlor",
+  "Royal Pet Grooming"
+];
+
+// Degree offsets from the search center
+const DEMO_OFFSETS = [
+  [0.01, 0.01], [-0.015, 0.008], [0.008, -0.012],
+  [0.012, 0.015], [-0.02, -0.005], [0.018, 0.002],
+  [-0.008, 0.018], [0.022, -0.010]
+];
+
+// DEMO_GROOMERS=false returns no groomers instead of samples
+export function isDemoModeEnabled() {
+  return envFlag("DEMO_GROOMERS", true);
+}
+
+export function isDemoGroomer(groomer) {
+  return groomer?.source === "mock";
+}
+
+// FNV-1a, so a location string always gives the same seed
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for sample data
+export function seededRandom(seed) {
+  let state = typeof seed === "number" ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function createDemoGroomers(center, petType) {
+  // Rounded so nearby geocodes of the same place share samples
+  const random = seededRandom(`${center.lat.toFixed(3)},${center.lng.toFixed(3)}`);
+  const names = [...DEMO_GROOMER_NAMES];
+  for (let i = names.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [names[i], names[j]] = [names[j], names[i]];
+  }
+  const areaCode = 200 + Math.floor(random() * 800);
+  const area = center.city || center.formatted;
+
+  return DEMO_OFFSETS.map(([dLat, dLng], i) => {
+    const lat = center.lat + dLat;
+    const lng = center.lng + dLng;
+    return {
+      name: names[i],
+      address: `Sample listing near ${area}`,
+      place_id: null,
+      lat,
+      lng,
+      rating: +(3.8 + random() * 1.2).toFixed(1),
+      phone: `(${areaCode}) 555-01${String(i * 11 + Math.floor(random() * 10)).padStart(2, "0")}`,
+      hours: "Mon-Fri 9AM-6PM, Sat 10AM-4PM",
+      website: null,
+      types: ["pet_groomer"],
+      services: [petType],
+      service_match: true,
+      distanceKm: haversineKm(center.lat, center.lng, lat, lng),
+      source: "mock",
+      demo: true
+    };
+  });
+}
@@ -0,0 +1,163 @@
+import { env, envInt } from "./config.js";
+import { logger } from "./logger.js";
+
+// Saved estimates behind shareable links. A /api/price (or /price/stream)
+// response is stored under a random ID when the request sets share: true, and
+// served back by GET /api/estimates/:id until it expires; batch and compare
+// responses are never stored. Otherwise the response carries a shareToken,
+// an HMAC of the body, and POST /api/estimates saves that exact body later
+// without pricing it again. An estimate store exposes
+// async get(id) and save(record); records are { id, createdAt, expiresAt,
+// estimate } where estimate is the response body.
+
+const DAY = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{24}$/;
+
+export function getEstimateSettings() {
+  return { ttlDays: envInt("ESTIMATE_TTL_DAYS", 30) };
+}
+
+// Expired records are dropped when the next estimate is saved
+export function createMemoryEstimateStore() {
+  const records = new Map();
+  return {
+    async get(id) {
+      const record = records.get(id);
+      return record ? { ...record } : null;
+    },
+    async save(record) {
+      const now = Date.now();
+      for (const [id, r] of records) {
+        if (Date.parse(r.expiresAt) <= now) records.delete(id);
+      }
+      records.set(record.id, record);
+    }
+  };
+}
+
+// Workers KV expires the keys itself
+export function createKVEstimateStore(kv) {
+  return {
+    async get(id) {
+      return kv.get(`estimate:${id}`, "json");
+    },
+    async save(record) {
+      await kv.put(`estimate:${record.id}`, JSON.stringify(record), {
+        expiration: Math.floor(Date.parse(record.expiresAt) / 1000)
+      });
+    }
+  };
+}
+
+let estimateStore = null;
+
+// Without a store estimates are not saved and responses carry no share link
+export function setEstimateStore(store) {
+  estimateStore = store;
+}
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+function newEstimateId() {
+  return toHex(globalThis.crypto.getRandomValues(new Uint8Array(12)));
+}
+
+// Share tokens are signed with ESTIMATE_SHARE_SECRET. Without it each process
+// signs with its own random key, so a token only works on the process that
+// issued it: set the secret wherever several processes or Worker isolates
+// serve the API.
+let fallbackSecret = null;
+
+function shareKey(usage) {
+  if (!fallbackSecret) fallbackSecret = toHex(globalThis.crypto.getRandomValues(new Uint8Array(32)));
+  const secret = env("ESTIMATE_SHARE_SECRET") || fallbackSecret;
+  return globalThis.crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [usage]);
+}
+
+// The shareToken for a response body, or null without a store to save it in
+export async function signEstimate(body) {
+  if (!estimateStore) return null;
+  const signature = await globalThis.crypto.subtle.sign("HMAC", await shareKey("sign"), new TextEncoder().encode(JSON.stringify(body)));
+  return toHex(signature);
+}
+
+// A share link for a signed body is always the same ID
+export function shareTokenId(shareToken) {
+  return shareToken.slice(0, 24);
+}
+
+// Stores a response body; resolves to { id, expiresAt } for its share link,
+// or null when there is no store or saving failed
+export async function saveEstimate(body, { now = Date.now(), id = newEstimateId() } = {}) {
+  if (!estimateStore) return null;
+  const record = {
+    id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getEstimateSettings().ttlDays * DAY).toISOString(),
+    estimate: body
+  };
+  try {
+    await estimateStore.save(record);
+  } catch (err) {
+    logger.error("Estimate save failed", { err });
+    return null;
+  }
+  return { id: record.id, expiresAt: record.expiresAt };
+}
+
+// { status, body } for GET /api/estimates/:id
+export async function loadEstimate(id, { now = Date.now() } = {}) {
+  const record = estimateStore && ID_PATTERN.test(id) ? await estimateStore.get(id) : null;
+  if (!record) {
+    return { status: 404, body: { error: "Estimate not found" } };
+  }
+  if (Date.parse(record.expiresAt) <= now) {
+    return { status: 410, body: { error: "Estimate expired", details: [`shared estimates are kept for ${getEstimateSettings().ttlDays} days`] } };
+  }
+  return {
+    status: 200,
+    body: { id: record.id, createdAt: record.createdAt, expiresAt: record.expiresAt, ...record.estimate }
+  };
+}
+
+// POST /api/estimates body -> { estimate, shareToken }
+export function validateShareRequest(body) {
+  const errors = [];
+  const { estimate, shareToken } = body || {};
+  if (!estimate || typeof estimate !== "object" || Array.isArray(estimate)) {
+    errors.push("estimate must be the /api/price response body");
+  }
+  if (typeof shareToken !== "string" || !/^[0-9a-f]{64}$/.test(shareToken)) {
+    errors.push("shareToken must be the shareToken from that response");
+  }
+  return errors;
+}
+
+// Saves a validated { estimate, shareToken } once the token is checked
+// against the body (in constant time, by WebCrypto). Resolves to
+// { status, body } with { id, expiresAt } for the share link.
+export async function shareEstimate({ estimate, shareToken }) {
+  if (!estimateStore) {
+    return { status: 501, body: { error: "Share links are not enabled" } };
+  }
+  const signed = await globalThis.crypto.subtle.verify(
+    "HMAC",
+    await shareKey("verify"),
+    fromHex(shareToken),
+    new TextEncoder().encode(JSON.stringify(estimate))
+  );
+  if (!signed) {
+    return { status: 403, body: { error: "Invalid share token", details: ["share the estimate exactly as /api/price returned it"] } };
+  }
+  const share = await saveEstimate(estimate, { id: shareTokenId(shareToken) });
+  if (!share) {
+    return { status: 500, body: { error: "Estimate save failed", code: "ESTIMATE_SAVE_FAILED" } };
+  }
+  return { status: 201, body: share };
+}
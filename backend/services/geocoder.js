@@ -0,0 +1,265 @@
+import { getJSON } from "./http.js";
+import { env, envInt, envFlag } from "./config.js";
+import { logger } from "./logger.js";
+import { upstreamRequests, fallbacks } from "./metrics.js";
+import { callUpstream, getBreaker } from "./circuit-breaker.js";
+import centroids from "../data/us-centroids.json" with { type: "json" };
+
+// Geocoder chain: each provider exposes { name, isConfigured(), geocode(location) }.
+// geocode() resolves to a result or null (no match) and throws on upstream errors;
+// the chain moves on to the next provider in either case.
+//
+// Result shape:
+//   { lat, lng, formatted, provider, precision, city, state, zip, country }
+// precision is one of: rooftop, street, zip, city, county, state
+
+const DEFAULT_CHAIN = "geocodio,nominatim,offline";
+
+function stateCodeFromName(name) {
+  if (!name) return null;
+  const upper = name.trim().toUpperCase();
+  if (centroids.states[upper]) return upper;
+  const match = Object.entries(centroids.states).find(([, s]) => s.name.toUpperCase() === upper);
+  return match ? match[0] : null;
+}
+
+// --- Geocodio ---
+const GEOCODIO_PRECISION = {
+  rooftop: "rooftop",
+  point: "rooftop",
+  nearest_rooftop_match: "rooftop",
+  range_interpolation: "street",
+  nearest_street: "street",
+  street_center: "street",
+  intersection: "street",
+  place: "city",
+  county: "county",
+  state: "state"
+};
+
+const geocodio = {
+  name: "geocodio",
+  isConfigured() {
+    return Boolean(env("GEOCODIO_API_KEY"));
+  },
+  async geocode(location) {
+    const key = env("GEOCODIO_API_KEY");
+    const url = `https://api.geocod.io/v1.7/geocode?q=${encodeURIComponent(location)}&api_key=${key}`;
+    const data = await getJSON(url, { timeoutMs: envInt("GEOCODIO_TIMEOUT_MS", 10000) });
+
+    const result = data?.results?.[0];
+    if (!result) return null;
+
+    const components = result.address_components || {};
+    return {
+      lat: result.location.lat,
+      lng: result.location.lng,
+      formatted: result.formatted_address,
+      provider: "geocodio",
+      precision: GEOCODIO_PRECISION[result.accuracy_type] || "city",
+      city: components.city || null,
+      state: components.state || null,
+      zip: components.zip || null,
+      country: components.country || "US"
+    };
+  }
+};
+
+// --- Nominatim (OpenStreetMap) ---
+const NOMINATIM_PRECISION = {
+  house: "rooftop",
+  building: "rooftop",
+  amenity: "rooftop",
+  shop: "rooftop",
+  road: "street",
+  postcode: "zip",
+  neighbourhood: "city",
+  suburb: "city",
+  hamlet: "city",
+  village: "city",
+  town: "city",
+  city: "city",
+  municipality: "city",
+  county: "county",
+  state: "state"
+};
+
+const nominatim = {
+  name: "nominatim",
+  isConfigured() {
+    return !envFlag("NOMINATIM_DISABLED");
+  },
+  async geocode(location) {
+    const base = env("NOMINATIM_URL", "https://nominatim.openstreetmap.org");
+    // Worldwide unless NOMINATIM_COUNTRY_CODES narrows it (e.g. "us,ca")
+    const countryCodes = env("NOMINATIM_COUNTRY_CODES", "");
+    const countryParam = countryCodes ? `&countrycodes=${countryCodes}` : "";
+    const url = `${base}/search?format=jsonv2&addressdetails=1&limit=1${countryParam}&q=${encodeURIComponent(location)}`;
+    const data = await getJSON(url, {
+      timeoutMs: envInt("NOMINATIM_TIMEOUT_MS", 5000),
+      headers: {
+        "User-Agent": env("NOMINATIM_USER_AGENT", "Groomly/1.0 (pet grooming price estimator)"),
+        "Accept-Language": "en-US"
+      }
+    });
+
+    const result = Array.isArray(data) ? data[0] : null;
+    if (!result) return null;
+
+    const address = result.address || {};
+    const isoState = address["ISO3166-2-lvl4"];
+    return {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      formatted: result.display_name,
+      provider: "nominatim",
+      precision: NOMINATIM_PRECISION[result.addresstype] || "city",
+      city: address.city || address.town || address.village || null,
+      state: isoState ? isoState.split("-")[1] : stateCodeFromName(address.state),
+      zip: address.postcode || null,
+      country: (address.country_code || "us").toUpperCase()
+    };
+  }
+};
+
+// --- Offline US ZIP / city centroid table ---
+function stateForZip(zip) {
+  const prefix = zip.slice(0, 3);
+  const range = centroids.zip3Ranges.find(([from, to]) => prefix >= from && prefix <= to);
+  return range ? range[2] : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function mentionsCity(lower, city) {
+  return new RegExp(`\\b${escapeRegExp(city.toLowerCase())}\\b`).test(lower);
+}
+
+// A trailing two-letter code is only read as a state when the rest of the
+// text looks American (a ZIP, "USA" or a known US city), so "Berlin DE" and
+// "Toronto, CA" are not taken for Delaware and California.
+function looksLikeUS(text) {
+  const lower = text.toLowerCase();
+  return /\b\d{5}(?:-\d{4})?\b/.test(text) ||
+    /\b(?:usa|u\.s\.a\.?|united states)\b/.test(lower) ||
+    centroids.cities.some(c => mentionsCity(lower, c.city));
+}
+
+function findStateInText(text) {
+  const bare = text.replace(/[,\s]*\b(?:usa|u\.s\.a\.?|united states)\.?\s*$/i, "");
+  const abbrev = bare.match(/(?:,|\s)\s*([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?\s*$/)?.[1]?.toUpperCase();
+  if (abbrev && centroids.states[abbrev] && looksLikeUS(text)) return abbrev;
+
+  const lower = text.toLowerCase();
+  const byName = Object.entries(centroids.states)
+    .filter(([, s]) => new RegExp(`\\b${s.name.toLowerCase()}\\b`).test(lower))
+    .sort((a, b) => b[1].name.length - a[1].name.length)[0];
+  return byName ? byName[0] : null;
+}
+
+function cityResult(entry, zip, precision) {
+  return {
+    lat: entry.lat,
+    lng: entry.lng,
+    formatted: `${entry.city}, ${entry.state}${zip ? ` ${zip}` : ""}`,
+    provider: "offline",
+    precision,
+    city: entry.city,
+    state: entry.state,
+    zip: zip || null,
+    country: "US"
+  };
+}
+
+function lookupOffline(location) {
+  const text = location.trim();
+  const zip = text.match(/\b(\d{5})(?:-\d{4})?\b/)?.[1] || null;
+
+  if (zip) {
+    const entry = centroids.cities.find(c => c.zips.includes(zip));
+    if (entry) return cityResult(entry, zip, "zip");
+  }
+
+  const state = findStateInText(text) || (zip ? stateForZip(zip) : null);
+  const lower = text.toLowerCase();
+  const city = centroids.cities
+    .filter(c => (!state || c.state === state) && mentionsCity(lower, c.city))
+    .sort((a, b) => b.city.length - a.city.length)[0];
+  if (city) return cityResult(city, zip, "city");
+
+  if (state) {
+    const s = centroids.states[state];
+    return {
+      lat: s.lat,
+      lng: s.lng,
+      formatted: `${s.name}${zip ? ` ${zip}` : ""}, US`,
+      provider: "offline",
+      precision: "state",
+      city: null,
+      state,
+      zip,
+      country: "US"
+    };
+  }
+
+  return null;
+}
+
+const offline = {
+  name: "offline",
+  isConfigured() {
+    return true;
+  },
+  async geocode(location) {
+    return lookupOffline(location);
+  }
+};
+
+const PROVIDERS = { geocodio, nominatim, offline };
+
+for (const provider of [geocodio, nominatim]) {
+  getBreaker(provider.name, () => provider.isConfigured() && getGeocoderChain().includes(provider));
+}
+
+export function getGeocoderChain() {
+  const names = env("GEOCODER_PROVIDERS", DEFAULT_CHAIN)
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  return names.map(n => PROVIDERS[n]).filter(Boolean);
+}
+
+export async function geocodeLocation(location) {
+  const attempts = [];
+
+  for (const provider of getGeocoderChain()) {
+    if (!provider.isConfigured()) {
+      attempts.push(`${provider.name}: not configured`);
+      continue;
+    }
+
+    const isUpstream = provider.name !== "offline";
+    try {
+      const result = isUpstream
+        ? await callUpstream(provider.name, () => provider.geocode(location))
+        : await provider.geocode(location);
+      if (isUpstream) upstreamRequests.inc({ upstream: provider.name, outcome: "success" });
+      if (result) {
+        if (!isUpstream) fallbacks.inc({ kind: "offline_geocode" });
+        logger.info("Geocoded", { provider: provider.name, precision: result.precision, formatted: result.formatted });
+        return result;
+      }
+      attempts.push(`${provider.name}: no results`);
+    } catch (err) {
+      if (isUpstream) upstreamRequests.inc({ upstream: provider.name, outcome: err?.circuitOpen ? "circuit_open" : "error" });
+      logger.warn("Geocoder failed", { provider: provider.name, status: err?.status, error: err?.message });
+      attempts.push(`${provider.name}: ${err?.message}`);
+    }
+  }
+
+  logger.error("All geocoders failed", { location, attempts });
+  // The address stays out of the message, which ends up in logs
+  throw new Error("Address not found");
+}
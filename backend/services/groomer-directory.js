@@ -0,0 +1,402 @@
+import { haversineKm, KM_TO_MILES, getSearchDefaults } from "./places.js";
+import { SERVICE_IDS, isServiceAvailable, getCountryPricing } from "./pricing.js";
+import { unitsPerBase } from "./currency.js";
+import { geocodeLocation } from "./geocoder.js";
+import { cached, CACHE_TTL } from "./cache.js";
+import { logger } from "./logger.js";
+
+// Groomer directory: listings submitted by groomers themselves (mobile
+// groomers, home-based exotic specialists, anyone Places misses). Listings
+// start out pending and only approved ones are merged into search results.
+// Owners manage a listing with the edit token returned on submission, sent
+// as "X-Listing-Token". A directory store exposes async list(), remove(id)
+// and update(id, fn): fn(record or null, listings) runs on freshly read
+// listings, under the file store's lock, and returns the record to write or
+// null to leave them as they are; update resolves to what was written.
+// Records are { id, status, name, address, lat, lng, phone,
+// website, email, hours, description, species, services, priceList, mobile,
+// serviceRadiusMiles, placeId, country, tokenHash, reviewNote, createdAt,
+// updatedAt, reviewedAt }. Listed prices are in the local currency of the
+// listing's country.
+
+export const LISTING_STATUSES = ["pending", "approved", "rejected"];
+
+const MAX_PRICE_ITEMS = 30;
+
+// Listed prices may go up to this many US dollars, converted to the local
+// currency once the address is geocoded, as price-schema.js scales its bounds
+const PRICE_LIST_MAX_USD = 5000;
+
+// Places results this close to a listing with the same name are the same business
+const SAME_BUSINESS_KM = 0.25;
+
+export function createMemoryDirectoryStore() {
+  const listings = new Map();
+  return {
+    async list() {
+      return [...listings.values()].map(r => ({ ...r }));
+    },
+    async update(id, fn) {
+      const current = listings.get(id);
+      const next = fn(current ? { ...current } : null, [...listings.values()]);
+      if (next) listings.set(id, { ...next });
+      return next;
+    },
+    async remove(id) {
+      listings.delete(id);
+    }
+  };
+}
+
+// Workers KV: "listing:<id>" -> record JSON. Listings are submitted and
+// reviewed on the Node server and published to the Worker's DIRECTORY_KV
+// with the same key and record (npm run directory -- publish). KV has no
+// lock, so update() here is a plain read and write.
+export function createKVDirectoryStore(kv) {
+  return {
+    async list() {
+      const records = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix: "listing:", cursor });
+        records.push(...await Promise.all(page.keys.map(k => kv.get(k.name, "json"))));
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return records.filter(Boolean);
+    },
+    async update(id, fn) {
+      const next = fn(await kv.get(`listing:${id}`, "json"), await this.list());
+      if (next) await kv.put(`listing:${id}`, JSON.stringify(next));
+      return next;
+    },
+    async remove(id) {
+      await kv.delete(`listing:${id}`);
+    }
+  };
+}
+
+let directoryStore = null;
+
+// The Node server sets a file store and the Worker a KV one when
+// DIRECTORY_KV is bound; without one searches see no listings
+export function setDirectoryStore(store) {
+  directoryStore = store;
+}
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function randomHex(byteLength) {
+  return toHex(globalThis.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+export async function hashListingToken(token) {
+  return toHex(await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(`listing:${token}`)));
+}
+
+function trimmed(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  return text === "" ? undefined : text;
+}
+
+const LISTING_FIELDS = ["name", "address", "phone", "website", "email", "hours", "description", "species", "services", "priceList", "mobile", "serviceRadiusMiles", "placeId"];
+
+// Only the fields present in body, so a PATCH can be merged onto a listing
+export function parseListing(body) {
+  body = body || {};
+  const lower = value => (typeof value === "string" ? value.trim().toLowerCase() : value);
+  const parsed = {};
+  for (const field of LISTING_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === "species" || field === "services") {
+      parsed[field] = Array.isArray(body[field]) ? [...new Set(body[field].map(lower))] : body[field];
+    } else if (field === "priceList") {
+      parsed.priceList = Array.isArray(body.priceList)
+        ? body.priceList.map(item => (item && typeof item === "object" ? { ...item, service: lower(item.service), size: lower(item.size) ?? null } : item))
+        : body.priceList;
+    } else if (field === "mobile" || field === "serviceRadiusMiles") {
+      parsed[field] = body[field];
+    } else {
+      parsed[field] = trimmed(body[field]) ?? null;
+    }
+  }
+  return parsed;
+}
+
+function optionalString(value, max) {
+  return value === undefined || value === null || (typeof value === "string" && value.length <= max);
+}
+
+export function validateListing(listing, { species: allowedSpecies, sizes: allowedSizes }) {
+  const errors = [];
+  const { name, address, phone, website, email, hours, description, species, services, priceList, mobile, serviceRadiusMiles, placeId } = listing || {};
+
+  if (typeof name !== "string" || name.length > 100) {
+    errors.push("name is required (at most 100 characters)");
+  }
+
+  if (typeof address !== "string" || address.length < 2 || address.length > 200) {
+    errors.push("address is required (a street address, or the ZIP a mobile groomer works from)");
+  }
+
+  if (!optionalString(phone, 30) || (typeof phone === "string" && !/^[\d\s()+.-]{7,}$/.test(phone))) {
+    errors.push("phone must be a phone number");
+  }
+
+  if (!optionalString(website, 200) || (typeof website === "string" && !/^https?:\/\/\S+$/i.test(website))) {
+    errors.push("website must be an http(s) URL of at most 200 characters");
+  }
+
+  if (!optionalString(email, 200) || (typeof email === "string" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    errors.push("email must be an email address");
+  }
+
+  if (!optionalString(hours, 200)) errors.push("hours must be a string of at most 200 characters");
+  if (!optionalString(description, 500)) errors.push("description must be a string of at most 500 characters");
+
+  if (!Array.isArray(species) || species.length === 0 || species.some(sp => !allowedSpecies.includes(sp))) {
+    errors.push(`species must be a non-empty array of: ${allowedSpecies.join(", ")}`);
+  }
+
+  if (services !== undefined && (!Array.isArray(services) || services.some(sv => !SERVICE_IDS.includes(sv)))) {
+    errors.push(`services must be any of: ${SERVICE_IDS.join(", ")}`);
+  } else if (Array.isArray(services) && Array.isArray(species)) {
+    const unavailable = services.filter(sv => !species.some(sp => isServiceAvailable(sv, sp)));
+    if (unavailable.length) errors.push(`services not offered for the listed species: ${unavailable.join(", ")}`);
+  }
+
+  if (priceList !== undefined) {
+    if (!Array.isArray(priceList) || priceList.length > MAX_PRICE_ITEMS) {
+      errors.push(`priceList must be an array of at most ${MAX_PRICE_ITEMS} items`);
+    } else {
+      priceList.forEach((item, i) => {
+        if (!item || typeof item !== "object") return errors.push(`priceList[${i}] must be an object`);
+        if (!SERVICE_IDS.includes(item.service)) errors.push(`priceList[${i}].service must be one of: ${SERVICE_IDS.join(", ")}`);
+        if (item.size !== null && !allowedSizes.includes(item.size)) errors.push(`priceList[${i}].size must be one of: ${allowedSizes.join(", ")}`);
+        const valid = amount => typeof amount === "number" && Number.isFinite(amount) && amount > 0;
+        if (!valid(item.min) || !valid(item.max) || item.min > item.max) {
+          errors.push(`priceList[${i}] needs min and max above 0 with min <= max`);
+        }
+      });
+    }
+  }
+
+  if (mobile !== undefined && typeof mobile !== "boolean") {
+    errors.push("mobile must be a boolean");
+  }
+
+  const { maxRadiusMiles } = getSearchDefaults();
+  if (serviceRadiusMiles !== undefined && serviceRadiusMiles !== null) {
+    if (mobile !== true) {
+      errors.push("serviceRadiusMiles only applies to mobile groomers");
+    } else if (typeof serviceRadiusMiles !== "number" || !Number.isFinite(serviceRadiusMiles) || serviceRadiusMiles < 1 || serviceRadiusMiles > maxRadiusMiles) {
+      errors.push(`serviceRadiusMiles must be a number between 1 and ${maxRadiusMiles}`);
+    }
+  }
+
+  if (placeId !== undefined && placeId !== null && (typeof placeId !== "string" || !/^[\w-]{10,300}$/.test(placeId))) {
+    errors.push("placeId must be a Google Places place_id");
+  }
+
+  return errors;
+}
+
+// What anyone may see of an approved listing
+export function publicListing(record) {
+  const { tokenHash, email, reviewNote, ...rest } = record;
+  return rest;
+}
+
+// What the owner and admins see
+export function ownerListing(record) {
+  const { tokenHash, ...rest } = record;
+  return rest;
+}
+
+async function geocodeListing(address) {
+  try {
+    const { value } = await cached("geocode", [address], CACHE_TTL.geocode, () => geocodeLocation(address));
+    return value;
+  } catch {
+    return null;
+  }
+}
+
+// The ceiling for listed prices in the country's currency, checked once the
+// listing's address has been geocoded
+function priceListRejection(priceList, country) {
+  const { currency } = getCountryPricing(country);
+  const ceiling = Math.round(PRICE_LIST_MAX_USD * (unitsPerBase(currency) ?? 1));
+  const details = (priceList || []).flatMap((item, i) =>
+    item.max > ceiling ? [`priceList[${i}] amounts must be at most ${ceiling} ${currency}`] : []
+  );
+  return details.length ? { status: 422, body: { error: "Listing rejected", details } } : null;
+}
+
+function claimConflict(listings, placeId, exceptId = null) {
+  return placeId ? listings.find(r => r.placeId === placeId && r.status === "approved" && r.id !== exceptId) : null;
+}
+
+function conflictResponse() {
+  return { status: 409, body: { error: "Listing conflict", details: ["placeId is already claimed by an approved listing"] } };
+}
+
+// Resolves to { status, body }; the plaintext edit token is only returned here.
+// The placeId claim is checked under the store's lock, after the slow geocode.
+export async function submitListing(store, listing) {
+  const geocode = await geocodeListing(listing.address);
+  if (!geocode) {
+    return { status: 422, body: { error: "Listing rejected", details: ["address could not be found"] } };
+  }
+  const rejection = priceListRejection(listing.priceList, geocode.country);
+  if (rejection) return rejection;
+
+  const token = randomHex(24);
+  const now = new Date().toISOString();
+  const record = {
+    id: randomHex(8),
+    status: "pending",
+    phone: null,
+    website: null,
+    email: null,
+    hours: null,
+    description: null,
+    services: [],
+    priceList: [],
+    mobile: false,
+    serviceRadiusMiles: null,
+    placeId: null,
+    ...listing,
+    lat: geocode.lat,
+    lng: geocode.lng,
+    country: geocode.country ?? null,
+    tokenHash: await hashListingToken(token),
+    reviewNote: null,
+    createdAt: now,
+    updatedAt: now,
+    reviewedAt: null
+  };
+  const saved = await store.update(record.id, (existing, listings) => (claimConflict(listings, record.placeId) ? null : record));
+  if (!saved) return conflictResponse();
+  logger.info("Directory listing submitted", { id: record.id, claim: Boolean(record.placeId), mobile: record.mobile });
+  return { status: 201, body: { token, listing: ownerListing(record) } };
+}
+
+// The listing when token is its edit token, otherwise null
+export async function findOwnedListing(store, id, token) {
+  if (typeof token !== "string" || !token) return null;
+  const record = (await store.list()).find(r => r.id === id);
+  if (!record) return null;
+  return record.tokenHash === await hashListingToken(token) ? record : null;
+}
+
+// Owner edits go back to pending so admins review what is actually shown.
+// The changes are merged onto the listing as it is when the lock is taken.
+export async function updateListing(store, record, changes) {
+  let located = {};
+  if (changes.address && changes.address !== record.address) {
+    const geocode = await geocodeListing(changes.address);
+    if (!geocode) {
+      return { status: 422, body: { error: "Listing rejected", details: ["address could not be found"] } };
+    }
+    located = { lat: geocode.lat, lng: geocode.lng, country: geocode.country ?? null };
+  }
+
+  let response = null;
+  const next = await store.update(record.id, (current, listings) => {
+    if (!current) {
+      response = { status: 404, body: { error: "Not found" } };
+      return null;
+    }
+    if (claimConflict(listings, changes.placeId, record.id)) {
+      response = conflictResponse();
+      return null;
+    }
+    const merged = { ...current, ...changes, ...located, status: "pending", updatedAt: new Date().toISOString() };
+    response = priceListRejection(merged.priceList, merged.country);
+    return response ? null : merged;
+  });
+  if (!next) return response;
+  logger.info("Directory listing updated", { id: next.id });
+  return { status: 200, body: ownerListing(next) };
+}
+
+export async function reviewListing(store, id, { status, note = null }) {
+  let response = { status: 404, body: { error: "Not found" } };
+  const next = await store.update(id, (current, listings) => {
+    if (!current) return null;
+    if (status === "approved" && claimConflict(listings, current.placeId, id)) {
+      response = conflictResponse();
+      return null;
+    }
+    return { ...current, status, reviewNote: note, reviewedAt: new Date().toISOString() };
+  });
+  if (!next) return response;
+  logger.info("Directory listing reviewed", { id, status });
+  return { status: 200, body: ownerListing(next) };
+}
+
+function normalizeName(name) {
+  return (name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function toGroomer(record, center) {
+  return {
+    name: record.name,
+    address: record.address,
+    place_id: record.placeId,
+    directoryId: record.id,
+    lat: record.lat,
+    lng: record.lng,
+    rating: null,
+    reviewCount: null,
+    phone: record.phone,
+    hours: record.hours,
+    website: record.website,
+    types: ["pet_groomer"],
+    services: record.species,
+    service_match: true,
+    speciesHints: record.species,
+    groomingServices: record.services,
+    priceList: record.priceList,
+    mobile: record.mobile,
+    description: record.description,
+    distanceKm: haversineKm(center.lat, center.lng, record.lat, record.lng),
+    source: "directory"
+  };
+}
+
+// Approved listings that serve the species ("pet" matches any) within
+// radiusMiles of center. Mobile groomers count when center is inside their
+// service radius, however far their base is. Listed prices are in the
+// listing's local currency, so listings from another country than the
+// search are left out near a border rather than converted.
+export async function findDirectoryGroomers(center, species, { radiusMiles }) {
+  if (!directoryStore) return [];
+  const country = getCountryPricing(center.country).country;
+  const listings = await directoryStore.list();
+  return listings
+    .filter(r => r.status === "approved" && (species === "pet" || r.species.includes(species)))
+    .filter(r => getCountryPricing(r.country).country === country)
+    .map(r => ({ record: r, groomer: toGroomer(r, center) }))
+    .filter(({ record, groomer }) => {
+      const miles = groomer.distanceKm * KM_TO_MILES;
+      return miles <= radiusMiles || (record.mobile && miles <= (record.serviceRadiusMiles ?? 0));
+    })
+    .map(({ groomer }) => groomer);
+}
+
+// Directory listings replace the Places results for the same business: the
+// place a listing claimed, or a same-named place within SAME_BUSINESS_KM
+export function mergeDirectoryGroomers(placesGroomers, directoryGroomers) {
+  const claimed = new Set(directoryGroomers.map(g => g.place_id).filter(Boolean));
+  const isListed = g =>
+    claimed.has(g.place_id) ||
+    directoryGroomers.some(d =>
+      normalizeName(d.name) === normalizeName(g.name) &&
+      haversineKm(d.lat, d.lng, g.lat, g.lng) <= SAME_BUSINESS_KM
+    );
+  return [...placesGroomers.filter(g => !isListed(g)), ...directoryGroomers];
+}
@@ -0,0 +1,92 @@
+import { extractSpeciesHints } from "./place-details.js";
+import { KM_TO_MILES } from "./places.js";
+
+// Groomer relevance, species confidence and listing filters. Filters and sort
+// order only shape the groomer list a response returns; the estimate is
+// always based on every nearby groomer.
+
+export const SORT_OPTIONS = ["distance", "relevance", "rating"];
+
+const EXOTIC_SPECIES = ["rabbit", "bird", "hamster", "lizard", "snake", "tortoise", "fish", "amphibian"];
+
+// How sure we are that a groomer takes the species:
+//   confirmed - named in its Place Details reviews/types or its own name/types
+//   likely    - returned by a Places search for that species
+//   unknown   - neither (including mock groomers)
+const SPECIES_CONFIDENCE = { confirmed: 1, likely: 0.6, unknown: 0.3 };
+
+const RELEVANCE_WEIGHTS = { distance: 0.35, rating: 0.25, reviews: 0.15, species: 0.25 };
+
+// Review counts past this add nothing more to relevance
+const REVIEWS_SATURATION = 500;
+
+function groomerHints(groomer) {
+  if (groomer.source === "mock") return [];
+  return groomer.speciesHints || extractSpeciesHints([groomer.name, ...(groomer.types || [])]);
+}
+
+export function speciesMatch(groomer, species) {
+  if (groomer.source === "mock") return "unknown";
+  if (groomerHints(groomer).includes(species)) return "confirmed";
+  if (groomer.services?.includes(species)) return "likely";
+  return "unknown";
+}
+
+// 0-1; distance is relative to the farthest groomer in the list
+export function relevanceScore(groomer, farthestMiles) {
+  const miles = groomer.distanceKm * KM_TO_MILES;
+  const distance = Number.isFinite(miles) && farthestMiles > 0 ? Math.max(0, 1 - miles / farthestMiles) : 0;
+  const rating = typeof groomer.rating === "number" ? groomer.rating / 5 : 0.5;
+  const reviews = groomer.reviewCount > 0
+    ? Math.min(1, Math.log10(groomer.reviewCount + 1) / Math.log10(REVIEWS_SATURATION + 1))
+    : 0;
+  const species = groomer.speciesConfidence ?? SPECIES_CONFIDENCE.unknown;
+
+  const score = RELEVANCE_WEIGHTS.distance * distance +
+    RELEVANCE_WEIGHTS.rating * rating +
+    RELEVANCE_WEIGHTS.reviews * reviews +
+    RELEVANCE_WEIGHTS.species * species;
+  return Math.round(score * 1000) / 1000;
+}
+
+function isExoticSpecialist(groomer) {
+  return /\bexotic/i.test(groomer.name || "") || groomerHints(groomer).some(sp => EXOTIC_SPECIES.includes(sp));
+}
+
+// Adds speciesMatch, speciesConfidence, exoticSpecialist and relevance so
+// clients can sort and filter without re-deriving them
+export function annotateGroomers(groomers, species) {
+  const miles = groomers.map(g => g.distanceKm * KM_TO_MILES).filter(Number.isFinite);
+  const farthestMiles = miles.length ? Math.max(1, ...miles) : 1;
+
+  return groomers.map(g => {
+    const match = speciesMatch(g, species);
+    const annotated = {
+      ...g,
+      speciesMatch: match,
+      speciesConfidence: SPECIES_CONFIDENCE[match],
+      exoticSpecialist: isExoticSpecialist(g)
+    };
+    return { ...annotated, relevance: relevanceScore(annotated, farthestMiles) };
+  });
+}
+
+export function filterGroomers(groomers, { openNow, minRating, maxDistanceMiles, exotic } = {}) {
+  return groomers.filter(g =>
+    (!openNow || g.openNow === true) &&
+    (minRating === undefined || (typeof g.rating === "number" && g.rating >= minRating)) &&
+    (maxDistanceMiles === undefined || g.distanceKm * KM_TO_MILES <= maxDistanceMiles) &&
+    (!exotic || isExoticSpecialist(g))
+  );
+}
+
+const SORTS = {
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity),
+  relevance: (a, b) => b.relevance - a.relevance,
+  rating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0) || (b.reviewCount ?? 0) - (a.reviewCount ?? 0)
+};
+
+// Filtered copy of the list in the requested order
+export function rankGroomers(groomers, { sort = "distance", ...filters } = {}) {
+  return filterGroomers(groomers, filters).sort(SORTS[sort] || SORTS.distance);
+}
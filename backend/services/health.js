@@ -0,0 +1,37 @@
+import { env } from "./config.js";
+import { getUpstreamStatus } from "./circuit-breaker.js";
+
+// Liveness and readiness reports shared by the Express and Worker routes.
+
+const startedAt = Date.now();
+
+export function getHealth() {
+  return { status: "ok", uptimeSeconds: Math.round((Date.now() - startedAt) / 1000), time: new Date().toISOString() };
+}
+
+// Every upstream has a fallback, so an open circuit only makes the service
+// "degraded". Upstreams listed in READY_REQUIRED_UPSTREAMS (e.g. "groq") must
+// be configured and not open for the instance to report ready.
+export function getReadiness() {
+  const upstreams = getUpstreamStatus();
+  const required = env("READY_REQUIRED_UPSTREAMS", "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  const unmet = required.filter(name => {
+    const u = upstreams.find(x => x.upstream === name);
+    return !u || !u.configured || u.state === "open";
+  });
+  const degraded = upstreams.some(u => u.configured && u.state !== "closed");
+
+  return {
+    ready: unmet.length === 0,
+    body: {
+      status: unmet.length ? "not_ready" : degraded ? "degraded" : "ready",
+      required,
+      unmet,
+      upstreams
+    }
+  };
+}
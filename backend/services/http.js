@@ -0,0 +1,126 @@
+// fetch-based JSON helpers shared by every upstream call (Geocodio, Nominatim,
+// Google Places, LLM providers). Failures throw HttpError carrying the status
+// and parsed body so callers can log upstream error messages.
+
+export class HttpError extends Error {
+  constructor(message, { status = null, data = null, timeout = false } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.data = data;
+    this.timeout = timeout;
+  }
+}
+
+// Record/replay: with a fixture store installed, "record" saves every upstream
+// response and "replay" answers from the saved ones without touching the
+// network. A store exposes lookup(key) and save(exchange).
+let fixtureStore = null;
+let fixtureMode = "off";
+
+export function setFixtureStore(store, mode) {
+  fixtureStore = store;
+  fixtureMode = store ? mode : "off";
+}
+
+const SECRET_PARAMS = ["key", "api_key"];
+
+// API keys never reach fixture files or fixture keys
+export function redactUrl(url) {
+  const u = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    if (u.searchParams.has(param)) u.searchParams.set(param, "REDACTED");
+  }
+  return u.toString();
+}
+
+export async function fixtureKey(method, url, bodyText = "") {
+  const digest = await globalThis.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${method} ${redactUrl(url)}\n${bodyText}`)
+  );
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function send(url, { method, headers, bodyText, timeoutMs }) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method,
+      headers,
+      body: bodyText,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    const timeout = err?.name === "TimeoutError";
+    throw new HttpError(timeout ? `timeout of ${timeoutMs}ms exceeded` : err?.cause?.message || err?.message, { timeout });
+  }
+
+  const text = await resp.text();
+  let data = text;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // Non-JSON body; keep the raw text
+  }
+  return { status: resp.status, data };
+}
+
+async function request(url, { method = "GET", headers = {}, body, timeoutMs = 10000 } = {}) {
+  const bodyText = body === undefined ? undefined : JSON.stringify(body);
+  let response;
+
+  if (fixtureMode === "replay") {
+    const key = await fixtureKey(method, url, bodyText);
+    response = fixtureStore.lookup(key)?.response;
+    if (!response) {
+      // The query string holds the searched address, so only the endpoint is named
+      const { origin, pathname } = new URL(url);
+      const err = new HttpError(`No recorded fixture for ${method} ${origin}${pathname} (${key})`);
+      err.retryable = false;
+      throw err;
+    }
+  } else {
+    response = await send(url, { method, headers, bodyText, timeoutMs });
+    if (fixtureMode === "record") {
+      fixtureStore.save({
+        key: await fixtureKey(method, url, bodyText),
+        request: { method, url: redactUrl(url), body: body === undefined ? null : body },
+        response
+      });
+    }
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new HttpError(`Request failed with status code ${response.status}`, { status: response.status, data: response.data });
+  }
+  return response.data;
+}
+
+// Google APIs answer 200 with a status field. These statuses mean the API
+// itself is unhealthy or refusing us (as opposed to a bad query) and should
+// count against its circuit breaker; UNKNOWN_ERROR is worth a retry.
+const GOOGLE_UPSTREAM_STATUSES = ["REQUEST_DENIED", "OVER_QUERY_LIMIT", "UNKNOWN_ERROR"];
+
+export function checkGoogleStatus(data, api) {
+  const status = data?.status;
+  if (GOOGLE_UPSTREAM_STATUSES.includes(status)) {
+    const err = new Error(`${api} status ${status}: ${data?.error_message || "no message"}`);
+    err.retryable = status === "UNKNOWN_ERROR";
+    throw err;
+  }
+  return data;
+}
+
+export function getJSON(url, options = {}) {
+  return request(url, { ...options, method: "GET" });
+}
+
+export function postJSON(url, body, options = {}) {
+  return request(url, {
+    ...options,
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...options.headers },
+    body
+  });
+}
@@ -0,0 +1,166 @@
+import { postJSON } from "./http.js";
+import { env, envInt, envFloat } from "./config.js";
+import { logger } from "./logger.js";
+import { upstreamRequests, gauge } from "./metrics.js";
+import { callUpstream, getBreaker } from "./circuit-breaker.js";
+
+// LLM provider chain. LLM_PROVIDERS lists providers in failover order, e.g.
+// "groq,ollama" or "stub". Every provider except the stub speaks the OpenAI
+// chat-completions protocol; settings are read per provider from
+// <PREFIX>_API_KEY, _BASE_URL, _MODEL, _TIMEOUT_MS, _TEMPERATURE and _MAX_TOKENS.
+
+const DEFAULT_CHAIN = "groq";
+
+const SYSTEM_PROMPT = "You are a pet grooming pricing expert. Respond ONLY with valid JSON, no markdown formatting.";
+
+const PRESETS = {
+  groq: {
+    envPrefix: "GROQ",
+    baseUrl: "https://api.groq.com/openai/v1",
+    model: "llama-3.3-70b-versatile",
+    requiresKey: true
+  },
+  openai: {
+    envPrefix: "OPENAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    requiresKey: true
+  },
+  ollama: {
+    envPrefix: "OLLAMA",
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    requiresKey: false
+  }
+};
+
+// Concurrency limiter for LLM calls
+let activeLLMCalls = 0;
+const llmQueue = [];
+
+async function acquireLLMSlot() {
+  if (activeLLMCalls < envInt("MAX_CONCURRENT_LLM_CALLS", 5)) {
+    activeLLMCalls++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => llmQueue.push(resolve));
+}
+
+gauge("groomly_llm_queue_depth", "LLM calls waiting for a concurrency slot", () => [{ value: llmQueue.length }]);
+gauge("groomly_llm_active_calls", "LLM calls in flight", () => [{ value: activeLLMCalls }]);
+
+function releaseLLMSlot() {
+  activeLLMCalls--;
+  if (llmQueue.length > 0) {
+    const next = llmQueue.shift();
+    activeLLMCalls++;
+    next();
+  }
+}
+
+export function getProviderConfig(name) {
+  if (name === "stub") {
+    return { name, model: "stub", configured: true };
+  }
+
+  const preset = PRESETS[name];
+  if (!preset) return null;
+
+  const p = preset.envPrefix;
+  const apiKey = env(`${p}_API_KEY`, null);
+  return {
+    name,
+    apiKey,
+    baseUrl: env(`${p}_BASE_URL`, preset.baseUrl).replace(/\/+$/, ""),
+    model: env(`${p}_MODEL`, preset.model),
+    timeoutMs: envInt(`${p}_TIMEOUT_MS`, 30000),
+    temperature: envFloat(`${p}_TEMPERATURE`, 0.7),
+    maxTokens: envInt(`${p}_MAX_TOKENS`, 500),
+    configured: !preset.requiresKey || Boolean(apiKey)
+  };
+}
+
+for (const name of Object.keys(PRESETS)) {
+  getBreaker(name, () => getProviderChain().some(c => c.name === name && c.configured));
+}
+
+export function getProviderChain() {
+  return env("LLM_PROVIDERS", DEFAULT_CHAIN)
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map(getProviderConfig)
+    .filter(Boolean);
+}
+
+async function callOpenAICompatible(config, prompt) {
+  const headers = {};
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const data = await postJSON(
+    `${config.baseUrl}/chat/completions`,
+    {
+      model: config.model,
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: prompt }
+      ],
+      temperature: config.temperature,
+      max_tokens: config.maxTokens
+    },
+    { headers, timeoutMs: config.timeoutMs }
+  );
+
+  return data?.choices?.[0]?.message?.content || "";
+}
+
+// Deterministic stand-in for tests and keyless dev: the same prompt always
+// yields the same estimate. LLM_STUB_RESPONSE overrides the raw reply text.
+function callStub(prompt) {
+  const override = env("LLM_STUB_RESPONSE");
+  if (override !== undefined) return override;
+
+  let hash = 5381;
+  for (let i = 0; i < prompt.length; i++) {
+    hash = ((hash * 33) ^ prompt.charCodeAt(i)) >>> 0;
+  }
+  const min = 40 + (hash % 40);
+  const max = min + 40 + (hash % 3) * 10;
+  // Answers in whatever currency the prompt asks for; amounts stay dollar-sized
+  const currency = prompt.match(/"currency": "([A-Z]{3})"/)?.[1] || "USD";
+  return JSON.stringify({ min, max, currency, confidence: "medium", notes: "Stub estimate (deterministic)" });
+}
+
+export async function callLLM(prompt) {
+  const chain = getProviderChain();
+  const errors = [];
+
+  await acquireLLMSlot();
+  try {
+    for (const config of chain) {
+      if (!config.configured) {
+        errors.push(`${config.name}: not configured`);
+        continue;
+      }
+
+      try {
+        logger.info("Calling LLM provider", { provider: config.name, model: config.model, active: activeLLMCalls, queued: llmQueue.length });
+        const text = config.name === "stub"
+          ? callStub(prompt)
+          : await callUpstream(config.name, () => callOpenAICompatible(config, prompt));
+        if (config.name !== "stub") upstreamRequests.inc({ upstream: config.name, outcome: "success" });
+        logger.info("LLM response received", { provider: config.name, length: text.length });
+        return { text, provider: config.name, model: config.model };
+      } catch (err) {
+        const message = err?.data?.error?.message || err?.message || String(err);
+        if (config.name !== "stub") upstreamRequests.inc({ upstream: config.name, outcome: err?.circuitOpen ? "circuit_open" : "error" });
+        logger.warn("LLM provider failed", { provider: config.name, status: err?.status, error: message });
+        errors.push(`${config.name}: ${message}`);
+      }
+    }
+  } finally {
+    releaseLLMSlot();
+  }
+
+  throw new Error("All LLM providers failed: " + (errors.join("; ") || "none configured"));
+}
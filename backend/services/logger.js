@@ -0,0 +1,104 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { env } from "./config.js";
+
+// Leveled logger. Each line is one JSON object carrying the current request
+// ID, so output from concurrent requests can be told apart. LOG_LEVEL sets
+// the minimum level (default info, "silent" for none); LOG_FORMAT=pretty
+// prints readable lines for local development. Fields that carry a street
+// address or an email are redacted, as are URL query strings and emails
+// inside free text such as error messages. The Worker needs the nodejs_als
+// compatibility flag.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Accept a caller-supplied ID only if it is short and plain
+export function resolveRequestId(incoming) {
+  if (typeof incoming === "string" && /^[\w.:-]{1,64}$/.test(incoming)) return incoming;
+  return globalThis.crypto.randomUUID();
+}
+
+// Customer addresses and emails never reach log lines, at any depth
+const REDACTED_FIELDS = new Set(["location", "locations", "address", "formatted", "email"]);
+const MAX_DEPTH = 6;
+
+// Upstream URLs carry the searched address in their query string, and error
+// messages quote them, so free text keeps only a URL's origin and path
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>]+/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+function redactText(text) {
+  return text
+    .replace(URL_PATTERN, url => {
+      try {
+        const { origin, pathname, search } = new URL(url);
+        return `${origin}${pathname}${search ? "?[redacted]" : ""}`;
+      } catch {
+        return "[redacted url]";
+      }
+    })
+    .replace(EMAIL_PATTERN, "[redacted]");
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function redactFields(object, depth) {
+  const out = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+    out[key] = REDACTED_FIELDS.has(key) && value !== null ? "[redacted]" : serialize(value, depth + 1);
+  }
+  return out;
+}
+
+// Errors, arrays and plain objects are walked so nested fields such as
+// geocode.formatted, an error's cause or its message are redacted too
+function serialize(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > MAX_DEPTH) return "[truncated]";
+  if (value instanceof Error) {
+    const { message, name, status, stack, cause } = value;
+    return redactFields({ message, name, status, stack, cause }, depth);
+  }
+  if (Array.isArray(value)) return value.map(item => serialize(item, depth + 1));
+  return isPlainObject(value) ? redactFields(value, depth) : value;
+}
+
+function write(level, msg, fields) {
+  const threshold = LEVELS[env("LOG_LEVEL", "info")] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+  Object.assign(entry, redactFields(fields || {}, 0));
+
+  const out = level === "error" || level === "warn" ? console.error : console.log;
+  if (env("LOG_FORMAT") === "pretty") {
+    const { time, level: lvl, msg: text, requestId: id, ...rest } = entry;
+    const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`).join(" ");
+    out(`${time} ${lvl.toUpperCase().padEnd(5)}${id ? ` [${id}]` : ""} ${text}${extra ? ` ${extra}` : ""}`);
+  } else {
+    out(JSON.stringify(entry));
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
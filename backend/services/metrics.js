@@ -0,0 +1,98 @@
+// In-process Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format by renderMetrics(). Values are per
+// process (per isolate on Workers).
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function register(name, type, help, extra = {}) {
+  if (!registry.has(name)) registry.set(name, { name, type, help, series: new Map(), ...extra });
+  return registry.get(name);
+}
+
+function series(metric, labels, init) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+  return metric.series.get(key);
+}
+
+export function counter(name, help) {
+  const metric = register(name, "counter", help);
+  return {
+    inc(labels = {}, by = 1) {
+      series(metric, labels, () => ({ value: 0 })).value += by;
+    }
+  };
+}
+
+// collect() is called at scrape time and returns [{ labels, value }]
+export function gauge(name, help, collect) {
+  register(name, "gauge", help, { collect });
+}
+
+export function histogram(name, help, buckets = LATENCY_BUCKETS) {
+  const metric = register(name, "histogram", help, { buckets });
+  return {
+    observe(labels, value) {
+      const s = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    }
+  };
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    if (metric.type === "gauge") {
+      for (const { labels, value } of metric.collect()) {
+        lines.push(`${metric.name}${formatLabels(labels || {})} ${value}`);
+      }
+      continue;
+    }
+    for (const s of metric.series.values()) {
+      if (metric.type === "counter") {
+        lines.push(`${metric.name}${formatLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => lines.push(`${metric.name}_bucket${formatLabels(s.labels, { le })} ${s.counts[i]}`));
+      lines.push(`${metric.name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${+s.sum.toFixed(6)}`);
+      lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Application metrics
+
+export const httpRequests = counter("groomly_http_requests_total", "HTTP requests by route, method and status");
+export const httpDuration = histogram("groomly_http_request_duration_seconds", "HTTP request latency by route");
+export const stageDuration = histogram("groomly_stage_duration_seconds", "Pricing pipeline stage latency (geocode, places, details, llm)");
+export const upstreamRequests = counter("groomly_upstream_requests_total", "Upstream API calls by upstream and outcome");
+export const fallbacks = counter("groomly_fallbacks_total", "Mock and fallback paths taken, by kind");
+
+// Times fn() as a pipeline stage, whether it resolves or throws
+export async function timeStage(stage, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    stageDuration.observe({ stage }, (Date.now() - start) / 1000);
+  }
+}
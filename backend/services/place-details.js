@@ -0,0 +1,94 @@
+import { getJSON, checkGoogleStatus } from "./http.js";
+import { env, envInt } from "./config.js";
+import { cached, CACHE_TTL } from "./cache.js";
+import { logger } from "./logger.js";
+import { upstreamRequests } from "./metrics.js";
+import { callUpstream, getBreaker } from "./circuit-breaker.js";
+import { mapWithConcurrency } from "./concurrency.js";
+
+// Fills in phone, website and weekly hours for the top Places results via the
+// Place Details API, plus species hints mined from the name, types and reviews.
+
+const DETAILS_FIELDS = "formatted_phone_number,website,opening_hours,reviews,types,url";
+
+const SPECIES_KEYWORDS = {
+  dog: ["dog", "dogs", "puppy", "puppies", "canine", "doodle", "poodle"],
+  cat: ["cat", "cats", "kitten", "kittens", "feline"],
+  rabbit: ["rabbit", "rabbits", "bunny", "bunnies"],
+  bird: ["bird", "birds", "parrot", "parrots", "avian", "beak", "cockatiel", "budgie"],
+  hamster: ["hamster", "hamsters", "guinea pig", "guinea pigs", "small animal", "small animals"],
+  lizard: ["lizard", "lizards", "reptile", "reptiles", "iguana", "gecko", "bearded dragon"],
+  snake: ["snake", "snakes", "reptile", "reptiles", "python", "boa"],
+  tortoise: ["tortoise", "tortoises", "turtle", "turtles", "reptile", "reptiles"],
+  fish: ["fish", "aquarium", "aquariums", "koi"],
+  amphibian: ["frog", "frogs", "amphibian", "amphibians", "axolotl", "salamander"]
+};
+
+export function extractSpeciesHints(texts) {
+  const haystack = ` ${texts.filter(Boolean).join(" ").toLowerCase().replace(/[^a-z\s]+/g, " ")} `;
+  return Object.entries(SPECIES_KEYWORDS)
+    .filter(([, words]) => words.some(w => haystack.includes(` ${w} `)))
+    .map(([species]) => species);
+}
+
+getBreaker("google_place_details", () => Boolean(env("GOOGLE_PLACES_API_KEY")) && envInt("GROOMER_DETAILS_TOP_N", 5) > 0);
+
+async function fetchPlaceDetails(placeId, googleKey) {
+  const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(placeId)}&fields=${DETAILS_FIELDS}&key=${googleKey}`;
+  let data;
+  try {
+    data = await callUpstream("google_place_details", async () =>
+      checkGoogleStatus(await getJSON(url, { timeoutMs: 10000 }), "Place Details")
+    );
+  } catch (err) {
+    upstreamRequests.inc({ upstream: "google_place_details", outcome: err?.circuitOpen ? "circuit_open" : "error" });
+    throw err;
+  }
+  upstreamRequests.inc({ upstream: "google_place_details", outcome: data?.status === "OK" ? "success" : "error" });
+  if (data?.status !== "OK") {
+    throw new Error(`Place Details status ${data?.status}: ${data?.error_message || "no message"}`);
+  }
+  return data.result || {};
+}
+
+function applyDetails(groomer, details) {
+  const weekly = details.opening_hours?.weekday_text || null;
+  const reviews = (details.reviews || []).map(r => r.text);
+  const speciesHints = extractSpeciesHints([groomer.name, ...(details.types || groomer.types || []), ...reviews]);
+
+  return {
+    ...groomer,
+    phone: details.formatted_phone_number || groomer.phone,
+    website: details.website || groomer.website,
+    mapsUrl: details.url || null,
+    weeklyHours: weekly,
+    openNow: details.opening_hours?.open_now ?? null,
+    hours: weekly ? weekly.join("; ") : groomer.hours,
+    speciesHints,
+    enriched: true
+  };
+}
+
+// Enrich the first topN Places groomers; everyone else passes through untouched.
+// Failures are logged and leave the groomer as it was.
+export async function enrichGroomers(groomers, { topN = envInt("GROOMER_DETAILS_TOP_N", 5) } = {}) {
+  const googleKey = env("GOOGLE_PLACES_API_KEY");
+  if (!googleKey || topN <= 0) return groomers;
+
+  const targets = groomers
+    .map((g, i) => ({ g, i }))
+    .filter(({ g }) => g.source === "google-places" && g.place_id)
+    .slice(0, topN);
+
+  const enriched = [...groomers];
+  await mapWithConcurrency(targets, envInt("GROOMER_DETAILS_CONCURRENCY", 3), async ({ g, i }) => {
+    try {
+      const { value: details } = await cached("details", [g.place_id], CACHE_TTL.details, () => fetchPlaceDetails(g.place_id, googleKey));
+      enriched[i] = applyDetails(g, details);
+    } catch (err) {
+      logger.warn("Place Details failed", { placeId: g.place_id, error: err?.message });
+    }
+  });
+
+  return enriched;
+}
@@ -0,0 +1,166 @@
+import { getJSON, checkGoogleStatus } from "./http.js";
+import { env, envInt, envFloat } from "./config.js";
+import { cached, CACHE_TTL } from "./cache.js";
+import { logger } from "./logger.js";
+import { upstreamRequests } from "./metrics.js";
+import { callUpstream, getBreaker } from "./circuit-breaker.js";
+
+export const KM_TO_MILES = 0.621371;
+
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const toRad = x => (x * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Groomer search settings. Searches rank by distance, so each page is the next
+// ring of nearest results; pagination stops once maxResults are collected or
+// results fall outside the requested radius.
+export function getSearchDefaults() {
+  return {
+    radiusMiles: envFloat("GROOMER_SEARCH_RADIUS_MILES", 40),
+    maxRadiusMiles: envFloat("GROOMER_SEARCH_MAX_RADIUS_MILES", 100),
+    maxResults: envInt("GROOMER_MAX_RESULTS", 12),
+    maxResultsLimit: envInt("GROOMER_MAX_RESULTS_LIMIT", 40),
+    maxPages: envInt("PLACES_MAX_PAGES", 3),
+    pageDelayMs: envInt("PLACES_PAGE_DELAY_MS", 2000)
+  };
+}
+
+getBreaker("google_places", () => Boolean(env("GOOGLE_PLACES_API_KEY")));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queries run concurrently and are merged by place_id
+function placesQueries(petType) {
+  return [
+    { keyword: `pet grooming ${petType}`, type: "pet_store" },
+    { keyword: `${petType} groomer` }
+  ];
+}
+
+async function fetchPlacesPage(params, googleKey) {
+  const qs = new URLSearchParams({ ...params, key: googleKey });
+  const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?${qs}`;
+
+  // A fresh next_page_token is briefly INVALID_REQUEST until Google activates it
+  const attempts = params.pagetoken ? 3 : 1;
+  for (let i = 1; i <= attempts; i++) {
+    let data;
+    try {
+      data = await callUpstream("google_places", async () =>
+        checkGoogleStatus(await getJSON(url, { timeoutMs: 10000 }), "Places")
+      );
+    } catch (err) {
+      upstreamRequests.inc({ upstream: "google_places", outcome: err?.circuitOpen ? "circuit_open" : "error" });
+      throw err;
+    }
+    const status = data?.status;
+    if (status === "OK" || status === "ZERO_RESULTS") {
+      upstreamRequests.inc({ upstream: "google_places", outcome: "success" });
+      return data;
+    }
+    if (status === "INVALID_REQUEST" && i < attempts) {
+      await sleep(getSearchDefaults().pageDelayMs);
+      continue;
+    }
+    upstreamRequests.inc({ upstream: "google_places", outcome: "error" });
+    throw new Error(`Places status ${status}: ${data?.error_message || "no message"}`);
+  }
+}
+
+async function fetchPlaces(lat, lng, query, { radiusMiles, maxResults }, googleKey) {
+  const { maxPages, pageDelayMs } = getSearchDefaults();
+  const results = [];
+  let pageToken = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    if (pageToken) await sleep(pageDelayMs);
+
+    const params = pageToken
+      ? { pagetoken: pageToken }
+      : { location: `${lat},${lng}`, rankby: "distance", ...query };
+    const data = await fetchPlacesPage(params, googleKey);
+    const pageResults = data.results || [];
+    results.push(...pageResults);
+
+    const last = pageResults[pageResults.length - 1];
+    const lastMiles = last
+      ? haversineKm(lat, lng, last.geometry.location.lat, last.geometry.location.lng) * KM_TO_MILES
+      : Infinity;
+
+    pageToken = data.next_page_token || null;
+    if (!pageToken || results.length >= maxResults || lastMiles > radiusMiles) break;
+  }
+
+  logger.info("Places query finished", { keyword: query.keyword, results: results.length });
+  return results;
+}
+
+// Search for real groomers using Google Places API
+// cacheLog (optional) collects one HIT/MISS per query for the response headers
+export async function searchRealGroomers(lat, lng, petType, options, cacheLog = null) {
+  const { radiusMiles, maxResults } = options;
+  logger.info("Searching for real groomers", { radiusMiles, lat, lng });
+
+  const googleKey = env("GOOGLE_PLACES_API_KEY");
+
+  if (!googleKey) {
+    logger.warn("GOOGLE_PLACES_API_KEY not set, skipping real groomer search");
+    return [];
+  }
+
+  const settled = await Promise.allSettled(placesQueries(petType).map(async query => {
+    const { value, hit } = await cached(
+      "places",
+      [lat.toFixed(4), lng.toFixed(4), query.keyword, query.type, radiusMiles, maxResults],
+      CACHE_TTL.places,
+      () => fetchPlaces(lat, lng, query, options, googleKey)
+    );
+    cacheLog?.push(hit ? "HIT" : "MISS");
+    return value;
+  }));
+
+  const seen = new Set();
+  const groomers = [];
+  for (const outcome of settled) {
+    if (outcome.status === "rejected") {
+      const err = outcome.reason;
+      logger.error("Google Places API error", { status: err?.status, error: err?.message });
+      continue;
+    }
+
+    for (const p of outcome.value) {
+      if (seen.has(p.place_id)) continue;
+      seen.add(p.place_id);
+
+      const distKm = haversineKm(lat, lng, p.geometry.location.lat, p.geometry.location.lng);
+      if (distKm * KM_TO_MILES > radiusMiles) continue;
+
+      groomers.push({
+        name: p.name,
+        address: p.vicinity || p.formatted_address,
+        place_id: p.place_id,
+        lat: p.geometry.location.lat,
+        lng: p.geometry.location.lng,
+        rating: p.rating || null,
+        reviewCount: p.user_ratings_total ?? null,
+        phone: null, // Filled in by enrichGroomers for the top results
+        hours: p.opening_hours?.open_now ? "Open now" : null,
+        openNow: p.opening_hours?.open_now ?? null,
+        website: null,
+        types: p.types || [],
+        services: [petType],
+        service_match: true,
+        distanceKm: distKm,
+        source: "google-places"
+      });
+    }
+  }
+
+  return groomers;
+}
@@ -0,0 +1,428 @@
+import { envInt, envFloat } from "./config.js";
+import { haversineKm, KM_TO_MILES } from "./places.js";
+import { estimatePrice, getCountryPricing, SERVICE_IDS, isServiceAvailable } from "./pricing.js";
+import { isSupportedCurrency, unitsPerBase, formatMoney } from "./currency.js";
+import { geocodeLocation } from "./geocoder.js";
+import { cached, CACHE_TTL } from "./cache.js";
+import { logger } from "./logger.js";
+
+// Crowd-sourced price reports: what people actually paid a groomer. Reports
+// are checked against the rule baseline and against other local reports
+// before they are stored, and /api/price blends matching local reports into
+// its estimate. Amounts are in the local currency of the groomer's country.
+// A report store exposes async add(report) and list(near); with near = { lat,
+// lng, radiusMiles } a store may return only the reports around that point,
+// and callers still filter by distance. Records are { id,
+// placeId, species, size, services, amount, currency, paidAt, lat, lng,
+// area, state, clientHash, createdAt }.
+
+const DAY = 24 * 60 * 60 * 1000;
+const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+export function getReportSettings() {
+  return {
+    radiusMiles: envFloat("REPORTS_RADIUS_MILES", 25),
+    maxAgeDays: envInt("REPORTS_MAX_AGE_DAYS", 365),
+    minSamples: envInt("REPORTS_MIN_SAMPLES", 3),
+    highConfidenceSamples: envInt("REPORTS_HIGH_CONFIDENCE_SAMPLES", 10),
+    maxWeight: envFloat("REPORTS_MAX_WEIGHT", 0.75),
+    perClientPerDay: envInt("REPORTS_PER_CLIENT_PER_DAY", 5),
+    duplicateDays: envInt("REPORTS_DUPLICATE_DAYS", 30),
+    // Plausible amounts are within these multiples of the rule baseline
+    minBaselineRatio: envFloat("REPORTS_MIN_BASELINE_RATIO", 0.4),
+    maxBaselineRatio: envFloat("REPORTS_MAX_BASELINE_RATIO", 2.5)
+  };
+}
+
+export function createMemoryPriceReportStore() {
+  const reports = [];
+  return {
+    async add(report) {
+      reports.push(report);
+    },
+    async list() {
+      return reports.map(r => ({ ...r }));
+    }
+  };
+}
+
+// Workers KV: one key per report with the record repeated as the key's
+// metadata, so list() reads reports from kv.list() pages without a get per
+// key. Keys are indexed by a 1-degree grid cell (report:<lat>:<lng>:<id>), so
+// an estimate's list(near) reads only the cells its radius touches; a full
+// list() stops after REPORTS_KV_MAX_KEYS keys. Reports past
+// REPORTS_MAX_AGE_DAYS are never blended, so KV expires them. KV is eventually
+// consistent: a report can take a minute to show up in other locations, and
+// the per-client and duplicate checks are best-effort.
+function reportCell(lat, lng) {
+  return `${Math.floor(lat)}:${Math.floor(lng)}`;
+}
+
+function cellsNear({ lat, lng, radiusMiles }) {
+  const latDelta = radiusMiles / 69;
+  const lngDelta = radiusMiles / (69 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+  const cells = [];
+  for (let y = Math.floor(Math.max(-90, lat - latDelta)); y <= Math.floor(Math.min(89.999, lat + latDelta)); y++) {
+    for (let x = Math.floor(Math.max(-180, lng - lngDelta)); x <= Math.floor(Math.min(179.999, lng + lngDelta)); x++) {
+      cells.push(`${y}:${x}`);
+    }
+  }
+  return cells;
+}
+
+export function createKVPriceReportStore(kv) {
+  async function listPrefix(prefix, reports, limit) {
+    let cursor;
+    do {
+      const page = await kv.list({ prefix, cursor });
+      for (const key of page.keys) {
+        if (key.metadata) reports.push(key.metadata);
+      }
+      if (reports.length >= limit) {
+        logger.warn("Price report list truncated", { prefix, limit });
+        return;
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+
+  return {
+    async add(report) {
+      await kv.put(`report:${reportCell(report.lat, report.lng)}:${report.id}`, JSON.stringify(report), {
+        metadata: report,
+        expirationTtl: getReportSettings().maxAgeDays * DAY / 1000
+      });
+    },
+    async list(near) {
+      const limit = envInt("REPORTS_KV_MAX_KEYS", 10000);
+      const reports = [];
+      const prefixes = near ? cellsNear(near).map(cell => `report:${cell}:`) : ["report:"];
+      for (const prefix of prefixes) {
+        if (reports.length >= limit) break;
+        await listPrefix(prefix, reports, limit);
+      }
+      return reports;
+    }
+  };
+}
+
+let reportStore = null;
+
+// The Node server sets a file store and the Worker a KV one when
+// PRICE_REPORTS_KV is bound; without one nothing is blended
+export function setPriceReportStore(store) {
+  reportStore = store;
+}
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Reports keep a hash of the submitting client, never the IP or key itself
+export async function hashClientId(clientId) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(`report:${clientId}`));
+  return toHex(digest).slice(0, 32);
+}
+
+export function normalizeReportServices(services) {
+  return [...new Set(services)].sort();
+}
+
+export function parsePriceReport(body) {
+  body = body || {};
+  const lower = value => (typeof value === "string" ? value.trim().toLowerCase() : value);
+  return {
+    placeId: typeof body.placeId === "string" ? body.placeId.trim() : body.placeId,
+    location: typeof body.location === "string" ? body.location.trim() : body.location,
+    species: lower(body.species),
+    size: lower(body.size),
+    services: Array.isArray(body.services) ? body.services.map(lower) : body.services,
+    amount: body.amount,
+    currency: body.currency === undefined ? "USD" : body.currency,
+    paidAt: body.paidAt
+  };
+}
+
+export function validatePriceReport(report, { species: allowedSpecies, sizes: allowedSizes }) {
+  const errors = [];
+  const { placeId, location, species, size, services, amount, currency, paidAt } = report || {};
+
+  if (typeof placeId !== "string" || !/^[\w-]{10,300}$/.test(placeId)) {
+    errors.push("placeId must be a Google Places place_id");
+  }
+
+  if (typeof location !== "string" || location.length < 2 || location.length > 200) {
+    errors.push("location is required (the groomer's address or ZIP)");
+  }
+
+  if (typeof species !== "string" || !allowedSpecies.includes(species)) {
+    errors.push(`species must be one of: ${allowedSpecies.join(", ")}`);
+  }
+
+  if (typeof size !== "string" || !allowedSizes.includes(size)) {
+    errors.push(`size must be one of: ${allowedSizes.join(", ")}`);
+  }
+
+  if (!Array.isArray(services) || services.length === 0 || services.some(sv => typeof sv !== "string")) {
+    errors.push("services must be a non-empty array of strings");
+  } else if (services.some(sv => !SERVICE_IDS.includes(sv))) {
+    errors.push(`services must be any of: ${SERVICE_IDS.join(", ")}`);
+  } else if (typeof species === "string") {
+    const unavailable = services.filter(sv => !isServiceAvailable(sv, species));
+    if (unavailable.length) errors.push(`services not offered for ${species}: ${unavailable.join(", ")}`);
+  }
+
+  // The cap is 5000 USD in the report's currency
+  const maxAmount = isSupportedCurrency(currency) ? Math.round(5000 * unitsPerBase(currency)) : 5000;
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0 || amount > maxAmount) {
+    errors.push(`amount must be a number between 0 and ${maxAmount}`);
+  }
+
+  if (!isSupportedCurrency(currency)) {
+    errors.push("currency must be a supported ISO 4217 code");
+  }
+
+  if (paidAt !== undefined && paidAt !== null) {
+    const paid = typeof paidAt === "string" ? Date.parse(paidAt) : NaN;
+    if (!Number.isFinite(paid)) {
+      errors.push("paidAt must be an ISO date");
+    } else if (paid > Date.now() + DAY || paid < Date.now() - getReportSettings().maxAgeDays * DAY) {
+      errors.push("paidAt must be within the past year");
+    }
+  }
+
+  return errors;
+}
+
+// Area key for aggregation: ZIP3 when the geocode has a ZIP, otherwise state
+export function reportArea(geocode) {
+  if (geocode?.zip) return `zip3:${String(geocode.zip).slice(0, 3)}`;
+  if (geocode?.state) return `state:${geocode.state}`;
+  return "unknown";
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+const round = value => Math.round(value);
+
+export function summarizeAmounts(amounts) {
+  const sorted = [...amounts].sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0, min: null, max: null, median: null, p25: null, p75: null };
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    median: round(quantile(sorted, 0.5)),
+    p25: round(quantile(sorted, 0.25)),
+    p75: round(quantile(sorted, 0.75))
+  };
+}
+
+function isRecent(report, now = Date.now()) {
+  const when = Date.parse(report.paidAt || report.createdAt);
+  return now - when <= getReportSettings().maxAgeDays * DAY;
+}
+
+function sameServices(a, b) {
+  return a.length === b.length && a.every((sv, i) => sv === b[i]);
+}
+
+// Recent reports for the same species, size and services near a point
+export function findLocalReports(reports, { lat, lng, species, size, services, radiusMiles }) {
+  const wanted = normalizeReportServices(services);
+  return reports.filter(r =>
+    r.species === species &&
+    r.size === size &&
+    sameServices(r.services, wanted) &&
+    isRecent(r) &&
+    haversineKm(lat, lng, r.lat, r.lng) * KM_TO_MILES <= radiusMiles
+  );
+}
+
+// Spam and outlier checks, run before a report is stored. Returns
+// { status, error, details } on rejection or null when the report is accepted.
+export function screenPriceReport(report, { geocode, existing, clientHash, now = Date.now() }) {
+  const settings = getReportSettings();
+
+  const fromClient = existing.filter(r => r.clientHash === clientHash);
+  if (fromClient.filter(r => now - Date.parse(r.createdAt) < DAY).length >= settings.perClientPerDay) {
+    return { status: 429, error: "Report limit reached", details: [`at most ${settings.perClientPerDay} reports per day`] };
+  }
+  if (fromClient.some(r => r.placeId === report.placeId && now - Date.parse(r.createdAt) < settings.duplicateDays * DAY)) {
+    return { status: 409, error: "Duplicate report", details: ["this groomer was already reported recently"] };
+  }
+
+  const baseline = estimatePrice({ type: report.species, size: report.size, geocode, services: report.services });
+  const low = Math.floor(baseline.min * settings.minBaselineRatio);
+  const high = Math.ceil(baseline.max * settings.maxBaselineRatio);
+  if (report.amount < low || report.amount > high) {
+    return { status: 422, error: "Report rejected", details: [`amount is outside the plausible range (${formatMoney(low, baseline.currency)}-${formatMoney(high, baseline.currency)})`] };
+  }
+
+  // With enough local data, also reject amounts far from the local median
+  // (3 scaled MADs, but never tighter than 25% of the median)
+  const local = findLocalReports(existing, { ...report, lat: geocode.lat, lng: geocode.lng, radiusMiles: settings.radiusMiles })
+    .filter(r => (r.currency || "USD") === baseline.currency);
+  if (local.length >= 5) {
+    const amounts = local.map(r => r.amount);
+    const median = summarizeAmounts(amounts).median;
+    const mad = summarizeAmounts(amounts.map(a => Math.abs(a - median))).median;
+    const tolerance = Math.max(3 * 1.4826 * mad, 0.25 * median);
+    if (Math.abs(report.amount - median) > tolerance) {
+      return { status: 422, error: "Report rejected", details: [`amount is far from ${local.length} other local reports (median ${formatMoney(median, baseline.currency)})`] };
+    }
+  }
+
+  return null;
+}
+
+export function buildReportRecord(report, { geocode, clientHash }) {
+  return {
+    id: toHex(globalThis.crypto.getRandomValues(new Uint8Array(8))),
+    placeId: report.placeId,
+    species: report.species,
+    size: report.size,
+    services: normalizeReportServices(report.services),
+    amount: Math.round(report.amount * 100) / 100,
+    currency: report.currency,
+    paidAt: report.paidAt ? new Date(report.paidAt).toISOString() : null,
+    lat: +geocode.lat.toFixed(4),
+    lng: +geocode.lng.toFixed(4),
+    area: reportArea(geocode),
+    state: geocode.state || null,
+    clientHash,
+    createdAt: new Date().toISOString()
+  };
+}
+
+export function publicReportRecord(record) {
+  const { clientHash, ...rest } = record;
+  return rest;
+}
+
+// Validated report -> stored record. Resolves to { status, body } for the
+// POST /api/price-reports response.
+export async function submitPriceReport(store, report, { clientId }) {
+  let geocode;
+  try {
+    ({ value: geocode } = await cached("geocode", [report.location], CACHE_TTL.geocode, () => geocodeLocation(report.location)));
+  } catch {
+    return { status: 422, body: { error: "Report rejected", details: ["location could not be found"] } };
+  }
+
+  // Reports are stored and blended in the groomer's local currency
+  const { currency } = getCountryPricing(geocode.country);
+  if (report.currency !== currency) {
+    return { status: 422, body: { error: "Report rejected", details: [`currency must be ${currency} for a groomer in ${geocode.country || "this country"}`] } };
+  }
+
+  const clientHash = await hashClientId(clientId);
+  const rejection = screenPriceReport(report, { geocode, existing: await store.list(), clientHash });
+  if (rejection) {
+    logger.info("Price report rejected", { reason: rejection.error, placeId: report.placeId, amount: report.amount });
+    return { status: rejection.status, body: { error: rejection.error, details: rejection.details } };
+  }
+
+  const record = buildReportRecord(report, { geocode, clientHash });
+  await store.add(record);
+  logger.info("Price report stored", { id: record.id, area: record.area, species: record.species });
+  return { status: 201, body: publicReportRecord(record) };
+}
+
+// GET /api/price-reports/stats query -> { filters, errors }. ?area=zip3:787
+// or state:TX, ?species and ?size narrow the groups.
+export function parseReportStatsQuery(query, { species: allowedSpecies, sizes: allowedSizes }) {
+  const filters = {};
+  for (const name of ["area", "species", "size"]) {
+    if (typeof query[name] === "string" && query[name]) filters[name] = query[name].trim().toLowerCase();
+  }
+  if (filters.area) filters.area = filters.area.replace(/^state:(\w+)$/, (m, code) => `state:${code.toUpperCase()}`);
+
+  const errors = [];
+  if (filters.area && !/^(zip3:\d{3}|state:[A-Z]{2})$/.test(filters.area)) errors.push("area must look like zip3:787 or state:TX");
+  if (filters.species && !allowedSpecies.includes(filters.species)) errors.push(`species must be one of: ${allowedSpecies.join(", ")}`);
+  if (filters.size && !allowedSizes.includes(filters.size)) errors.push(`size must be one of: ${allowedSizes.join(", ")}`);
+  return { filters, errors };
+}
+
+// Aggregates recent reports by area and species (optionally filtered)
+export function reportStats(reports, { area, species, size } = {}) {
+  const groups = new Map();
+  for (const r of reports) {
+    if (!isRecent(r)) continue;
+    if (area && r.area !== area) continue;
+    if (species && r.species !== species) continue;
+    if (size && r.size !== size) continue;
+
+    const key = `${r.area}|${r.species}`;
+    if (!groups.has(key)) groups.set(key, { area: r.area, species: r.species, amounts: [], sizes: {} });
+    const group = groups.get(key);
+    group.amounts.push(r.amount);
+    group.sizes[r.size] = (group.sizes[r.size] || 0) + 1;
+  }
+
+  return [...groups.values()]
+    .map(({ amounts, ...group }) => ({ ...group, ...summarizeAmounts(amounts) }))
+    .sort((a, b) => b.count - a.count || a.area.localeCompare(b.area));
+}
+
+// Spreads a new total over line items in proportion to their current share
+function scaleLineItems(items, field, total) {
+  const current = items.reduce((sum, item) => sum + item[field], 0);
+  if (!current) return items;
+  let remaining = total;
+  return items.map((item, i) => {
+    const value = i === items.length - 1 ? remaining : Math.round(item[field] * total / current);
+    remaining -= value;
+    return { ...item, [field]: value };
+  });
+}
+
+// Pulls the estimate toward the interquartile range of local reports. The
+// reports' weight grows with the sample size, up to REPORTS_MAX_WEIGHT.
+export function blendObservedPrice(price, observed) {
+  const settings = getReportSettings();
+  if (!observed || observed.count < settings.minSamples || price.min === null) return price;
+
+  const weight = Math.min(settings.maxWeight, observed.count / (observed.count + 5));
+  const min = round(price.min * (1 - weight) + observed.p25 * weight);
+  const max = Math.max(min, round(price.max * (1 - weight) + observed.p75 * weight));
+
+  let level = CONFIDENCE_LEVELS.indexOf(price.confidence);
+  level = observed.count >= settings.highConfidenceSamples ? 2 : Math.min(2, Math.max(level, 0) + 1);
+
+  const lineItems = Array.isArray(price.lineItems) && price.lineItems.length
+    ? scaleLineItems(scaleLineItems(price.lineItems, "min", min), "max", max)
+    : price.lineItems;
+
+  const plural = observed.count === 1 ? "" : "s";
+  const citation = `Calibrated with ${observed.count} reported price${plural} within ${observed.radiusMiles} mi (median ${formatMoney(observed.median, price.currency)}).`;
+
+  return {
+    ...price,
+    min,
+    max,
+    confidence: CONFIDENCE_LEVELS[level],
+    notes: price.notes ? `${price.notes} ${citation}` : citation,
+    lineItems
+  };
+}
+
+// Local report summary for an estimate request, or null without a store.
+// Only reports in the estimate's currency count; near a border the other
+// side's reports are left out rather than converted.
+export async function getObservedPrices({ geocode, species, size, services, currency = "USD" }) {
+  if (!reportStore || !geocode) return null;
+  const { radiusMiles, minSamples } = getReportSettings();
+  const near = { lat: geocode.lat, lng: geocode.lng, radiusMiles };
+  const local = findLocalReports(await reportStore.list(near), { ...near, species, size, services })
+    .filter(r => (r.currency || "USD") === currency);
+  const summary = summarizeAmounts(local.map(r => r.amount));
+  return { ...summary, radiusMiles, applied: summary.count >= minSamples };
+}
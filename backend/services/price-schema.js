@@ -0,0 +1,106 @@
+import { envInt } from "./config.js";
+
+// Schema checks for the price payload returned by the LLM.
+// validatePriceEstimate() normalizes what it can (numeric strings, casing,
+// rounding, out-of-range values) and reports what it can't as errors, so the
+// caller can re-prompt the model with them.
+
+export const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+const MAX_NOTES_LENGTH = 300;
+
+const KNOWN_CURRENCIES = new Set(
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("currency") : ["USD"]
+);
+
+// JSON.parse, then the first {...} block in the reply
+export function extractJSON(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    return { value: null, error: "empty response" };
+  }
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (e) {
+    const m = text.match(/\{[\s\S]*\}/);
+    if (!m) return { value: null, error: "response is not JSON" };
+    try {
+      return { value: JSON.parse(m[0]), error: null };
+    } catch (err) {
+      return { value: null, error: `invalid JSON: ${err.message}` };
+    }
+  }
+}
+
+function toAmount(value) {
+  if (typeof value === "string") value = value.replace(/[$£€¥,\s]/g, "");
+  const n = typeof value === "number" ? value : Number(value);
+  return value === "" || value === null || !Number.isFinite(n) ? null : n;
+}
+
+// PRICE_MIN_BOUND and PRICE_MAX_BOUND are USD; scale converts them to the
+// estimate's currency (units per USD)
+function clamp(n, scale) {
+  const low = Math.round(envInt("PRICE_MIN_BOUND", 5) * scale);
+  const high = Math.round(envInt("PRICE_MAX_BOUND", 2000) * scale);
+  return Math.min(high, Math.max(low, Math.round(n)));
+}
+
+function checkRange(label, rawMin, rawMax, errors, scale) {
+  const min = toAmount(rawMin);
+  const max = toAmount(rawMax);
+
+  if (min === null) errors.push(`${label}min must be a number`);
+  else if (min <= 0) errors.push(`${label}min must be positive`);
+  if (max === null) errors.push(`${label}max must be a number`);
+  else if (max <= 0) errors.push(`${label}max must be positive`);
+
+  if (min !== null && max !== null && min > max) {
+    errors.push(`${label}min must be less than or equal to max`);
+  }
+  return { min: min === null ? null : clamp(min, scale), max: max === null ? null : clamp(max, scale) };
+}
+
+export function validatePriceEstimate(raw, { services = [], currency = "USD", unitsPerUSD = 1 } = {}) {
+  const errors = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, value: null, errors: ["response must be a JSON object"] };
+  }
+
+  const { min, max } = checkRange("", raw.min, raw.max, errors, unitsPerUSD);
+
+  const cur = typeof raw.currency === "string" ? raw.currency.trim().toUpperCase() : "";
+  if (!KNOWN_CURRENCIES.has(cur)) {
+    errors.push("currency must be an ISO 4217 code");
+  } else if (cur !== currency) {
+    errors.push(`currency must be ${currency}`);
+  }
+
+  const confidence = typeof raw.confidence === "string" ? raw.confidence.trim().toLowerCase() : "";
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    errors.push(`confidence must be one of: ${CONFIDENCE_LEVELS.join(", ")}`);
+  }
+
+  let notes = typeof raw.notes === "string" ? raw.notes.trim() : "";
+  if (notes.length > MAX_NOTES_LENGTH) notes = notes.slice(0, MAX_NOTES_LENGTH - 1) + "…";
+
+  let lineItems;
+  if (raw.lineItems !== undefined) {
+    if (!Array.isArray(raw.lineItems)) {
+      errors.push("lineItems must be an array");
+    } else {
+      lineItems = raw.lineItems
+        .filter(item => item && services.includes(item.service))
+        .map(item => ({ service: item.service, ...checkRange(`lineItems[${item.service}].`, item.min, item.max, errors, unitsPerUSD) }));
+
+      const missing = services.filter(sv => !lineItems.some(item => item.service === sv));
+      if (missing.length) errors.push(`lineItems missing services: ${missing.join(", ")}`);
+    }
+  }
+
+  if (errors.length) return { ok: false, value: null, errors };
+
+  const value = { min, max, currency: cur, confidence, notes };
+  if (lineItems) value.lineItems = lineItems;
+  return { ok: true, value, errors: [] };
+}
@@ -0,0 +1,165 @@
+import rules from "../data/pricing-rules.json" with { type: "json" };
+import { unitsPerBase } from "./currency.js";
+
+// Deterministic rule-based pricing from data/pricing-rules.json:
+//   per service: base rate (species x size) x service factor x coat
+//   whole quote: x region multiplier x density x rating x country
+// Base rates are in USD; a quote outside the US is scaled by the country's
+// price level, converted to its currency and rounded to its step. Used as
+// the fallback when the LLM is unavailable and returned next to the
+// LLM figure as a sanity anchor.
+
+const HIGH_PRECISION = ["rooftop", "street", "zip"];
+
+export const SERVICE_IDS = Object.keys(rules.services);
+export const COAT_TYPES = Object.keys(rules.coatMultipliers);
+export const DEFAULT_SERVICES = rules.defaultServices;
+
+export function isServiceAvailable(service, type) {
+  const entry = rules.services[service];
+  return Boolean(entry && entry.species.includes(type));
+}
+
+export function getServiceLabel(service) {
+  return rules.services[service]?.label || service;
+}
+
+// Explicit coat type wins; otherwise guess from well-known breeds
+export function resolveCoatType(coatType, breed) {
+  if (coatType && rules.coatMultipliers[coatType] !== undefined) return { coatType, inferred: false };
+  if (!breed) return { coatType: null, inferred: false };
+
+  const lower = breed.toLowerCase();
+  const hint = Object.keys(rules.breedCoatHints)
+    .filter(k => lower.includes(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return hint ? { coatType: rules.breedCoatHints[hint], inferred: true } : { coatType: null, inferred: false };
+}
+
+function serviceRate(service, type, size, coatMultiplier) {
+  const entry = rules.services[service];
+  let range;
+  if (entry.fixed) {
+    const sizeMultiplier = rules.fixedSizeMultipliers[size] ?? 1;
+    range = { min: entry.fixed.min * sizeMultiplier, max: entry.fixed.max * sizeMultiplier };
+  } else {
+    const base = getBaseRate(type, size);
+    range = { min: base.min * entry.baseFactor, max: base.max * entry.baseFactor };
+  }
+  if (entry.coatSensitive) {
+    range = { min: range.min * coatMultiplier, max: range.max * coatMultiplier };
+  }
+  return range;
+}
+
+function roundTo(value, step) {
+  return Math.max(step, Math.round(value / step) * step);
+}
+
+export function getBaseRate(type, size) {
+  const species = rules.baseRates[type] || rules.baseRates.other;
+  return species[size] || species.medium;
+}
+
+// Countries missing from the rules are priced as the US, in USD
+export function getCountryPricing(country) {
+  const code = typeof country === "string" ? country.toUpperCase() : "US";
+  const entry = rules.countries[code];
+  if (entry && unitsPerBase(entry.currency)) return { country: code, known: true, ...entry };
+  return { country: code, known: code === "US", ...rules.countries.US };
+}
+
+export function getRegionMultiplier(geocode) {
+  const region = rules.regionMultipliers;
+  // ZIP3 and state multipliers describe US markets only
+  if (geocode?.country && geocode.country !== "US") return { multiplier: region.default, key: "default" };
+  const zip3 = geocode?.zip ? String(geocode.zip).slice(0, 3) : null;
+
+  if (zip3 && region.zip3[zip3] !== undefined) {
+    return { multiplier: region.zip3[zip3], key: `zip3:${zip3}` };
+  }
+  if (geocode?.state && region.states[geocode.state] !== undefined) {
+    return { multiplier: region.states[geocode.state], key: `state:${geocode.state}` };
+  }
+  return { multiplier: region.default, key: "default" };
+}
+
+function getDensityAdjustment(groomerCount) {
+  return rules.densityAdjustments.find(a => a.maxGroomers === null || groomerCount <= a.maxGroomers);
+}
+
+function getRatingAdjustment(avgRating) {
+  if (avgRating === null) return null;
+  return rules.ratingAdjustments.find(a => avgRating >= a.minRating);
+}
+
+export function estimatePrice({ type, size, geocode = null, groomers = [], services = [], coatType = null, breed = null }) {
+  // Mock groomers are placeholders, not market evidence
+  const realGroomers = groomers.filter(g => g.source !== "mock");
+  const ratings = realGroomers.map(g => g.rating).filter(r => typeof r === "number");
+  const avgRating = ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null;
+
+  const base = getBaseRate(type, size);
+  const region = getRegionMultiplier(geocode);
+  const density = realGroomers.length ? getDensityAdjustment(realGroomers.length) : null;
+  const rating = getRatingAdjustment(avgRating);
+  const coat = resolveCoatType(coatType, breed);
+  const coatMultiplier = coat.coatType ? rules.coatMultipliers[coat.coatType] : 1;
+  const country = getCountryPricing(geocode?.country);
+  const exchangeRate = unitsPerBase(country.currency);
+
+  const factor = region.multiplier * (density?.multiplier ?? 1) * (rating?.multiplier ?? 1) * country.multiplier * exchangeRate;
+  const requested = (services.length ? services : DEFAULT_SERVICES).filter(sv => isServiceAvailable(sv, type));
+
+  const lineItems = requested.map(service => {
+    const rate = serviceRate(service, type, size, coatMultiplier);
+    const itemMin = roundTo(rate.min * factor, country.roundTo);
+    return {
+      service,
+      label: getServiceLabel(service),
+      min: itemMin,
+      max: Math.max(itemMin, roundTo(rate.max * factor, country.roundTo))
+    };
+  });
+
+  const min = lineItems.reduce((sum, item) => sum + item.min, 0);
+  const max = lineItems.reduce((sum, item) => sum + item.max, 0);
+
+  let confidence = "medium";
+  if (!geocode || geocode.precision === "state") {
+    confidence = "low";
+  } else if (HIGH_PRECISION.includes(geocode.precision) && realGroomers.length >= 3) {
+    confidence = "high";
+  }
+
+  const reasons = [`${type}/${size} base rate`, `region ${region.key} x${region.multiplier}`];
+  if (coat.coatType) reasons.push(`${coat.coatType} coat${coat.inferred ? " (from breed)" : ""} x${coatMultiplier}`);
+  if (density) reasons.push(`${density.label} x${density.multiplier}`);
+  if (rating) reasons.push(`${rating.label} x${rating.multiplier}`);
+  if (country.country !== "US") {
+    reasons.push(country.known ? `country ${country.country} x${country.multiplier} in ${country.currency}` : `no rules for ${country.country}, US rates`);
+  }
+
+  return {
+    min,
+    max,
+    currency: country.currency,
+    confidence,
+    notes: `Rule-based estimate: ${reasons.join(", ")}`,
+    lineItems,
+    breakdown: {
+      base,
+      coatType: coat.coatType,
+      coatMultiplier,
+      regionMultiplier: region.multiplier,
+      regionKey: region.key,
+      densityMultiplier: density?.multiplier ?? 1,
+      ratingMultiplier: rating?.multiplier ?? 1,
+      country: country.country,
+      countryMultiplier: country.multiplier,
+      exchangeRate,
+      groomersConsidered: realGroomers.length,
+      averageRating: avgRating === null ? null : +avgRating.toFixed(2)
+    }
+  };
+}
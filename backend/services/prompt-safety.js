@@ -0,0 +1,44 @@
+// Untrusted text bound for the LLM prompt: the customer's location and breed,
+// and the groomer names and addresses that come from Google Places or
+// directory owners. Values are cleaned here and handed to the model inside a
+// JSON data block, never spliced into the instructions as prose.
+
+const MAX_FIELD_LENGTH = 200;
+
+export const REMOVED_MARKER = "[removed]";
+
+// Zero-width, soft-hyphen and bidi characters can hide text from reviewers
+// and split words so the patterns below miss them; control characters such
+// as newlines could start a fake prompt section
+const INVISIBLE_CHARS = /[\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+// Characters that open code, JSON or markup inside the prompt. No business
+// name or street address needs them.
+const STRUCTURAL_CHARS = /[`{}<>]/g;
+
+// Phrases that read as instructions to the model rather than a name or an
+// address. Each match drops the rest of its clause with it.
+const INSTRUCTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override)\b[^.;!?\n]{0,60}?\b(?:instructions?|prompts?|rules?|context|above|previous|prior|everything)\b/gi,
+  /\b(?:system|assistant|developer)\s*(?:prompt|message|role)?\s*:/gi,
+  /\byou\s+(?:are|must|should|will|shall)\s+(?:now|only|always)\b/gi,
+  /\b(?:new|updated|real)\s+instructions?\b/gi,
+  /\b(?:respond|reply|answer|return|output|say|set|quote|make)\b[^.;!?\n]{0,60}?(?:\b(?:min|max|prices?|costs?|json|estimate|usd)\b|\$\s*\d)/gi
+].map(p => new RegExp(`${p.source}[^.;!?\\n]*`, p.flags));
+
+// Cleans one untrusted value for the prompt. Non-strings become null.
+export function sanitizeUntrustedText(value, { maxLength = MAX_FIELD_LENGTH } = {}) {
+  if (typeof value !== "string") return null;
+  let text = value.normalize("NFKC").replace(INVISIBLE_CHARS, "").replace(CONTROL_CHARS, " ").replace(STRUCTURAL_CHARS, " ");
+  for (const pattern of INSTRUCTION_PATTERNS) {
+    text = text.replace(pattern, REMOVED_MARKER);
+  }
+  text = text.replace(/\s+/g, " ").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+// True when sanitizing had to drop something that looked like an instruction
+export function hasRemovedInstructions(value) {
+  return typeof value === "string" && sanitizeUntrustedText(value).includes(REMOVED_MARKER);
+}
@@ -0,0 +1,115 @@
+import { envInt } from "./config.js";
+
+// Sliding-window rate limiting over a pluggable store. Requests are counted
+// per fixed window; the current allowance blends the previous window's count,
+// weighted by how much of it still overlaps the sliding window, with the
+// current count. A store exposes async get(key) and increment(key, ttlMs,
+// amount); increment must be atomic and resolve to the new count, since the
+// limiter decides from that value rather than from a separate read.
+
+// Counters expire with their window; past RATE_LIMIT_MAX_KEYS the least
+// recently touched counters are evicted so memory stays bounded.
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  function evict(now) {
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+    const maxKeys = envInt("RATE_LIMIT_MAX_KEYS", 10000);
+    while (counters.size > maxKeys) {
+      counters.delete(counters.keys().next().value);
+    }
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = counters.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+    },
+    async increment(key, ttlMs, amount = 1) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now) entry = { count: 0, expiresAt: now + ttlMs };
+      entry.count += amount;
+      counters.delete(key);
+      counters.set(key, entry);
+      if (counters.size > envInt("RATE_LIMIT_MAX_KEYS", 10000)) evict(now);
+      return entry.count;
+    },
+    size() {
+      return counters.size;
+    }
+  };
+}
+
+// KV has no atomic increment: this is a get then a put, and KV is eventually
+// consistent, so concurrent requests can lose counts and the limit is only
+// approximate. Exact limits on Workers need a Durable Object counter.
+export function createKVRateLimitStore(kv) {
+  return {
+    name: "kv",
+    async get(key) {
+      return parseInt((await kv.get(`rl:${key}`)) || "0", 10);
+    },
+    async increment(key, ttlMs, amount = 1) {
+      const count = parseInt((await kv.get(`rl:${key}`)) || "0", 10) + amount;
+      // KV rejects TTLs under 60 seconds
+      await kv.put(`rl:${key}`, String(count), { expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)) });
+      return count;
+    }
+  };
+}
+
+// Milliseconds from `now` until `cost` more requests fit under the limit
+function msUntilAllowed({ previous, current, limit, windowMs, elapsed, cost }) {
+  const room = limit - cost - current;
+  if (room >= 0 && previous > 0) {
+    return Math.max(0, windowMs * (1 - room / previous) - elapsed);
+  }
+  // Not before the next window, where today's count becomes "previous"
+  const nextRoom = limit - cost;
+  const extra = current > nextRoom ? windowMs * (1 - nextRoom / current) : 0;
+  return windowMs - elapsed + extra;
+}
+
+// check(clientId, { limit, windowMs }, cost) resolves to
+// { allowed, limit, remaining, reset, retryAfter, headers }. cost (default 1)
+// is how many requests this call counts as. The request is counted first and
+// judged by the count the store hands back, so a parallel burst can't all
+// read the same count and pass. Denied requests are taken back off, so a
+// client that backs off recovers on schedule.
+export function createRateLimiter(store) {
+  return async function check(clientId, { limit, windowMs }, cost = 1) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const elapsed = now - windowStart;
+    const currentKey = `${clientId}:${windowStart}`;
+    const [previous, counted] = await Promise.all([
+      store.get(`${clientId}:${windowStart - windowMs}`),
+      store.increment(currentKey, windowMs * 2, cost)
+    ]);
+
+    // Requests in this window before this one
+    const current = counted - cost;
+    const used = previous * (1 - elapsed / windowMs) + current;
+    const allowed = used + cost <= limit;
+    if (!allowed) await store.increment(currentKey, windowMs * 2, -cost);
+
+    const result = {
+      allowed,
+      limit,
+      remaining: allowed ? Math.max(0, Math.floor(limit - used - cost)) : 0,
+      reset: Math.ceil((windowStart + windowMs) / 1000),
+      retryAfter: allowed ? null : Math.max(1, Math.ceil(msUntilAllowed({ previous, current, limit, windowMs, elapsed, cost }) / 1000))
+    };
+    result.headers = {
+      "X-RateLimit-Limit": String(result.limit),
+      "X-RateLimit-Remaining": String(result.remaining),
+      "X-RateLimit-Reset": String(result.reset)
+    };
+    if (!allowed) result.headers["Retry-After"] = String(result.retryAfter);
+    return result;
+  };
+}
@@ -0,0 +1,25 @@
+// Server-Sent Events framing shared by the Express and Worker stream routes
+
+export const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache, no-transform",
+  "Connection": "keep-alive",
+  "X-Accel-Buffering": "no"
+};
+
+export const SSE_HEARTBEAT_MS = 15000;
+
+export const SSE_HEARTBEAT = ": keep-alive\n\n";
+
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// GET query parameters mirror the POST body; services is comma-separated
+export function queryToPriceBody(query) {
+  const body = { ...query };
+  if (typeof body.services === "string") {
+    body.services = body.services.split(",").filter(Boolean);
+  }
+  return body;
+}
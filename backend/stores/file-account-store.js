@@ -0,0 +1,43 @@
+import fs from "fs";
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// User accounts in a JSON file, re-read whenever its mtime changes so a
+// session started through one process is accepted by another. Every change
+// reads the file afresh under its lock.
+export function createFileAccountStore(file) {
+  const resolveFile = () => file || process.env.ACCOUNTS_FILE || dataPath("accounts.json");
+  let loaded = { file: null, mtimeMs: 0, accounts: [] };
+
+  function load() {
+    const current = resolveFile();
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(current).mtimeMs;
+    } catch {
+      // Missing file means no accounts yet
+    }
+    if (loaded.file !== current || loaded.mtimeMs !== mtimeMs) {
+      loaded = { file: current, mtimeMs, accounts: readJSONFile(current, { accounts: [] }).accounts || [] };
+    }
+    return loaded.accounts;
+  }
+
+  return {
+    async list() {
+      return load().map(r => structuredClone(r));
+    },
+    async update(id, fn) {
+      const current = resolveFile();
+      return withFileLock(current, () => {
+        const accounts = readJSONFile(current, { accounts: [] }).accounts || [];
+        const index = accounts.findIndex(r => r.id === id);
+        const next = fn(index === -1 ? null : structuredClone(accounts[index]), accounts);
+        if (!next) return null;
+        if (index === -1) accounts.push(next);
+        else accounts[index] = next;
+        writeJSONFile(current, { accounts });
+        return structuredClone(next);
+      });
+    }
+  };
+}
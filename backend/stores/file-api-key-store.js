@@ -0,0 +1,43 @@
+import fs from "fs";
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// API key records in a JSON file shared by the server and the admin CLI.
+// The file is re-read whenever its mtime changes, so keys issued or revoked
+// from the CLI apply to a running server without a restart.
+export function createFileApiKeyStore(file) {
+  const resolveFile = () => file || process.env.API_KEYS_FILE || dataPath("api-keys.json");
+  let loaded = { file: null, mtimeMs: 0, keys: [] };
+
+  function load() {
+    const current = resolveFile();
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(current).mtimeMs;
+    } catch {
+      // Missing file means no keys yet
+    }
+    if (loaded.file !== current || loaded.mtimeMs !== mtimeMs) {
+      loaded = { file: current, mtimeMs, keys: readJSONFile(current, { keys: [] }).keys || [] };
+    }
+    return loaded.keys;
+  }
+
+  return {
+    async findByHash(hash) {
+      return load().find(r => r.hash === hash) || null;
+    },
+    async list() {
+      return load().map(r => ({ ...r }));
+    },
+    async save(record) {
+      const current = resolveFile();
+      await withFileLock(current, () => {
+        const keys = readJSONFile(current, { keys: [] }).keys || [];
+        const index = keys.findIndex(r => r.id === record.id);
+        if (index === -1) keys.push(record);
+        else keys[index] = record;
+        writeJSONFile(current, { keys });
+      });
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { logger } from "../services/logger.js";
+import { dataPath, readJSONFile, createDebouncedWriter } from "./json-file.js";
+
+// File-backed cache store: the cache Map is loaded from CACHE_FILE at startup
+// (dropping expired entries) and written back shortly after each change.
+export function createFileCacheStore(file = process.env.CACHE_FILE || dataPath("cache.json")) {
+  const entries = new Map();
+  const now = Date.now();
+
+  for (const [key, entry] of Object.entries(readJSONFile(file, {}))) {
+    if (entry.expiresAt > now) entries.set(key, entry);
+  }
+  logger.info("Cache loaded", { entries: entries.size, file });
+
+  return {
+    entries,
+    persist: createDebouncedWriter(file, () => Object.fromEntries(entries))
+  };
+}
@@ -0,0 +1,50 @@
+import fs from "fs";
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// Groomer directory listings in a JSON file, re-read whenever its mtime
+// changes so approvals from another process show up in searches. Every
+// change reads the file afresh under its lock.
+export function createFileDirectoryStore(file) {
+  const resolveFile = () => file || process.env.DIRECTORY_FILE || dataPath("groomer-directory.json");
+  let loaded = { file: null, mtimeMs: 0, listings: [] };
+
+  function load() {
+    const current = resolveFile();
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(current).mtimeMs;
+    } catch {
+      // Missing file means no listings yet
+    }
+    if (loaded.file !== current || loaded.mtimeMs !== mtimeMs) {
+      loaded = { file: current, mtimeMs, listings: readJSONFile(current, { listings: [] }).listings || [] };
+    }
+    return loaded.listings;
+  }
+
+  return {
+    async list() {
+      return load().map(r => ({ ...r }));
+    },
+    async update(id, fn) {
+      const current = resolveFile();
+      return withFileLock(current, () => {
+        const listings = readJSONFile(current, { listings: [] }).listings || [];
+        const index = listings.findIndex(r => r.id === id);
+        const next = fn(index === -1 ? null : { ...listings[index] }, listings);
+        if (!next) return null;
+        if (index === -1) listings.push(next);
+        else listings[index] = next;
+        writeJSONFile(current, { listings });
+        return next;
+      });
+    },
+    async remove(id) {
+      const current = resolveFile();
+      await withFileLock(current, () => {
+        const listings = readJSONFile(current, { listings: [] }).listings || [];
+        writeJSONFile(current, { listings: listings.filter(r => r.id !== id) });
+      });
+    }
+  };
+}
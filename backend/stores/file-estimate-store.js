@@ -0,0 +1,41 @@
+import fs from "fs";
+import path from "path";
+import { dataPath, readJSONFile, writeJSONFile } from "./json-file.js";
+import { logger } from "../services/logger.js";
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Saved estimates as one JSON file per ID, so saving a link writes only its
+// own file and any process on the host can open it. IDs are random, so saves
+// never contend for a file and need no lock. Expired files are swept in the
+// background at most once an hour.
+export function createFileEstimateStore(dir) {
+  const resolveDir = () => dir || process.env.ESTIMATES_DIR || dataPath("estimates");
+  let lastSweep = 0;
+
+  async function sweep(current, now) {
+    for (const name of await fs.promises.readdir(current)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(current, name);
+      const record = readJSONFile(file, null);
+      if (record && Date.parse(record.expiresAt) <= now) await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+
+  return {
+    // Callers pass IDs that have been checked against the ID pattern
+    async get(id) {
+      return readJSONFile(path.join(resolveDir(), `${id}.json`), null);
+    },
+    async save(record) {
+      const current = resolveDir();
+      writeJSONFile(path.join(current, `${record.id}.json`), record);
+
+      const now = Date.now();
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        lastSweep = now;
+        sweep(current, now).catch(err => logger.error("Estimate sweep failed", { err }));
+      }
+    }
+  };
+}
@@ -0,0 +1,30 @@
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// Pending magic links in a JSON file of their own, so asking for a link never
+// touches the accounts file. Expired links are dropped on every change.
+export function createFileMagicLinkStore(file) {
+  const resolveFile = () => file || process.env.MAGIC_LINKS_FILE || dataPath("magic-links.json");
+
+  function change(fn) {
+    const current = resolveFile();
+    return withFileLock(current, () => {
+      const now = Date.now();
+      const links = (readJSONFile(current, { links: [] }).links || []).filter(l => Date.parse(l.expiresAt) > now);
+      const { links: next, result } = fn(links);
+      writeJSONFile(current, { links: next });
+      return result;
+    });
+  }
+
+  return {
+    async add(link) {
+      await change(links => ({ links: [...links, link], result: null }));
+    },
+    async take(hash) {
+      return change(links => {
+        const link = links.find(l => l.hash === hash) || null;
+        return { links: links.filter(l => l !== link), result: link };
+      });
+    }
+  };
+}
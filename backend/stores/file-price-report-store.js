@@ -0,0 +1,38 @@
+import fs from "fs";
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// Price reports in a JSON file. Like the API key store it re-reads the file
+// when its mtime changes, so several processes on one host see each other's
+// reports.
+export function createFilePriceReportStore(file) {
+  const resolveFile = () => file || process.env.PRICE_REPORTS_FILE || dataPath("price-reports.json");
+  let loaded = { file: null, mtimeMs: 0, reports: [] };
+
+  function load() {
+    const current = resolveFile();
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(current).mtimeMs;
+    } catch {
+      // Missing file means no reports yet
+    }
+    if (loaded.file !== current || loaded.mtimeMs !== mtimeMs) {
+      loaded = { file: current, mtimeMs, reports: readJSONFile(current, { reports: [] }).reports || [] };
+    }
+    return loaded.reports;
+  }
+
+  return {
+    async list() {
+      return load().map(r => ({ ...r }));
+    },
+    async add(report) {
+      const current = resolveFile();
+      await withFileLock(current, () => {
+        const reports = readJSONFile(current, { reports: [] }).reports || [];
+        reports.push(report);
+        writeJSONFile(current, { reports });
+      });
+    }
+  };
+}
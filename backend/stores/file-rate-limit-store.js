@@ -0,0 +1,28 @@
+import { dataPath, readJSONFile, writeJSONFile, withFileLock } from "./json-file.js";
+
+// Rate-limit counters in a JSON file so several Node processes on one host
+// share quotas. Every increment is a locked read-modify-write; expired
+// counters are dropped on the way through.
+export function createFileRateLimitStore(file = process.env.RATE_LIMIT_FILE || dataPath("rate-limits.json")) {
+  return {
+    name: "file",
+    async get(key) {
+      const entry = readJSONFile(file, {})[key];
+      return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+    },
+    async increment(key, ttlMs, amount = 1) {
+      return withFileLock(file, () => {
+        const now = Date.now();
+        const counters = {};
+        for (const [k, entry] of Object.entries(readJSONFile(file, {}))) {
+          if (entry.expiresAt > now) counters[k] = entry;
+        }
+        const entry = counters[key] || { count: 0, expiresAt: now + ttlMs };
+        entry.count += amount;
+        counters[key] = entry;
+        writeJSONFile(file, counters);
+        return entry.count;
+      });
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../services/logger.js";
+
+// Upstream HTTP fixtures, one pretty-printed JSON file per exchange, named
+// <host>-<key>.json. Used by UPSTREAM_FIXTURES=record|replay and by the tests.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "test", "fixtures", "upstream");
+
+export function createFixtureStore(dir = process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  const exchanges = new Map();
+  if (fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir).filter(n => n.endsWith(".json"))) {
+      const exchange = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+      exchanges.set(exchange.key, exchange);
+    }
+  }
+  logger.info("Upstream fixtures loaded", { dir, fixtures: exchanges.size });
+
+  return {
+    lookup(key) {
+      return exchanges.get(key);
+    },
+    save(exchange) {
+      exchanges.set(exchange.key, exchange);
+      const host = new URL(exchange.request.url).hostname;
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${host}-${exchange.key}.json`), JSON.stringify(exchange, null, 2) + "\n");
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { createMemoryRateLimitStore } from "../services/rate-limit.js";
+import { createFileRateLimitStore } from "./file-rate-limit-store.js";
+import { createFileApiKeyStore } from "./file-api-key-store.js";
+import { createFilePriceReportStore } from "./file-price-report-store.js";
+import { createFileDirectoryStore } from "./file-directory-store.js";
+import { createFileEstimateStore } from "./file-estimate-store.js";
+import { createFileAccountStore } from "./file-account-store.js";
+import { createFileMagicLinkStore } from "./file-magic-link-store.js";
+import { logger } from "../services/logger.js";
+
+// Node store selection. Created on first use so settings from .env apply.
+let apiKeyStore = null;
+let rateLimitStore = null;
+let priceReportStore = null;
+let directoryStore = null;
+let estimateStore = null;
+let accountStore = null;
+let magicLinkStore = null;
+
+export function getApiKeyStore() {
+  if (!apiKeyStore) apiKeyStore = createFileApiKeyStore();
+  return apiKeyStore;
+}
+
+// RATE_LIMIT_STORE=file shares counters between processes on one host
+export function getRateLimitStore() {
+  if (!rateLimitStore) {
+    rateLimitStore = process.env.RATE_LIMIT_STORE === "file" ? createFileRateLimitStore() : createMemoryRateLimitStore();
+    logger.info("Rate limit store selected", { store: rateLimitStore.name });
+  }
+  return rateLimitStore;
+}
+
+export function getPriceReportStore() {
+  if (!priceReportStore) priceReportStore = createFilePriceReportStore();
+  return priceReportStore;
+}
+
+export function getDirectoryStore() {
+  if (!directoryStore) directoryStore = createFileDirectoryStore();
+  return directoryStore;
+}
+
+export function getEstimateStore() {
+  if (!estimateStore) estimateStore = createFileEstimateStore();
+  return estimateStore;
+}
+
+export function getAccountStore() {
+  if (!accountStore) accountStore = createFileAccountStore();
+  return accountStore;
+}
+
+export function getMagicLinkStore() {
+  if (!magicLinkStore) magicLinkStore = createFileMagicLinkStore();
+  return magicLinkStore;
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../services/logger.js";
+
+// Node-only helpers for the small JSON files under DATA_DIR that back the
+// file stores. Writes go to a temp file and are renamed into place so a crash
+// mid-write never leaves a truncated file.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Read lazily so values from .env (loaded after imports) apply
+export function dataPath(name) {
+  return path.join(process.env.DATA_DIR || path.join(__dirname, "..", ".data"), name);
+}
+
+export function readJSONFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.error("JSON file unreadable, starting empty", { file, error: err.message });
+    return fallback;
+  }
+}
+
+export function writeJSONFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+// Batches a burst of changes into one write after delayMs
+export function createDebouncedWriter(file, snapshot, delayMs = 1000) {
+  let timer = null;
+  return function schedule() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      try {
+        writeJSONFile(file, snapshot());
+      } catch (err) {
+        logger.error("JSON file write failed", { file, error: err.message });
+      }
+    }, delayMs);
+    timer.unref?.();
+  };
+}
+
+const LOCK_STALE_MS = 5000;
+const LOCK_TIMEOUT_MS = LOCK_STALE_MS + 1000;
+const lockQueues = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits for <file>.lock with growing timer delays, so a contended lock never
+// blocks the event loop
+async function acquireLock(lock) {
+  await fs.promises.mkdir(path.dirname(lock), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (let delay = 5; ; delay = Math.min(delay * 2, 100)) {
+    try {
+      await (await fs.promises.open(lock, "wx")).close();
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - (await fs.promises.stat(lock)).mtimeMs > LOCK_STALE_MS) await fs.promises.unlink(lock);
+      } catch {
+        // Released between the open and the stat
+      }
+      if (Date.now() >= deadline) throw new Error(`Timed out waiting for ${lock}`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Cross-process read-modify-write: holds <file>.lock (created exclusively)
+// while fn runs and resolves to its result. Callers in this process queue
+// behind each other first, so only other processes ever contend for the
+// lock file. Locks older than LOCK_STALE_MS are assumed abandoned.
+export function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  const run = (lockQueues.get(file) || Promise.resolve()).then(async () => {
+    await acquireLock(lock);
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.rm(lock, { force: true });
+    }
+  });
+  const settled = run.catch(() => {});
+  lockQueues.set(file, settled);
+  settled.then(() => {
+    if (lockQueues.get(file) === settled) lockQueues.delete(file);
+  });
+  return run;
+}
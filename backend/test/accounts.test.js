@@ -0,0 +1,200 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { useReplayFixtures, setEnv, tempDir, FIXTURE_LOCATION } from "./helpers.js";
+import { setMagicLinkSender } from "../services/accounts.js";
+
+// Accounts: password and magic link sign-in, saved pets and addresses,
+// favorite groomers and estimate history
+
+useReplayFixtures();
+setEnv({ DATA_DIR: tempDir(), RATE_LIMIT_MAX_REQUESTS: "1000", PUBLIC_BASE_URL: "https://groomly.example.com" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function call(method, path, body, token) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+async function register(email) {
+  const res = await call("POST", "/api/account/register", { email, password: "correct horse" });
+  assert.equal(res.status, 201);
+  return (await res.json()).token;
+}
+
+test("password accounts sign in, out and never expose secrets", async () => {
+  const created = await call("POST", "/api/account/register", { email: " Pat@Example.com ", password: "correct horse" });
+  assert.equal(created.status, 201);
+  const { token, account } = await created.json();
+  assert.match(token, /^gs_[0-9a-f]{48}$/);
+  assert.equal(account.email, "pat@example.com");
+  assert.equal(account.hasPassword, true);
+  for (const secret of ["password", "sessions", "magicLinks"]) assert.equal(secret in account, false);
+
+  assert.equal((await call("POST", "/api/account/register", { email: "pat@example.com", password: "another one" })).status, 409);
+  assert.equal((await call("POST", "/api/account/register", { email: "nope", password: "short" })).status, 400);
+  assert.deepEqual(await (await call("POST", "/api/account/login", { email: "pat@example.com", password: "wrong guess" })).json(), { error: "Invalid email or password" });
+
+  const login = await call("POST", "/api/account/login", { email: "pat@example.com", password: "correct horse" });
+  assert.equal(login.status, 200);
+  const second = (await login.json()).token;
+
+  assert.equal((await call("GET", "/api/account", undefined, token)).status, 200);
+  assert.equal((await call("POST", "/api/account/logout", undefined, token)).status, 204);
+  assert.equal((await call("GET", "/api/account", undefined, token)).status, 401);
+  assert.equal((await call("GET", "/api/account", undefined, second)).status, 200, "other sessions stay signed in");
+  assert.equal((await call("GET", "/api/account")).status, 401);
+});
+
+test("magic links create the account and work once", async () => {
+  const sent = [];
+  setMagicLinkSender(message => sent.push(message));
+  try {
+    const res = await call("POST", "/api/account/magic-link", { email: "sam@example.com" });
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { sent: true });
+    assert.equal(sent[0].email, "sam@example.com");
+    const loginToken = new URL(sent[0].link).searchParams.get("login");
+    assert.match(sent[0].link, /^https:\/\/groomly\.example\.com\/\?login=/);
+
+    const verified = await call("POST", "/api/account/magic-link/verify", { token: loginToken });
+    assert.equal(verified.status, 200);
+    const { token, account } = await verified.json();
+    assert.equal(account.hasPassword, false);
+    assert.equal((await call("GET", "/api/account", undefined, token)).status, 200);
+
+    assert.equal((await call("POST", "/api/account/magic-link/verify", { token: loginToken })).status, 401);
+  } finally {
+    setMagicLinkSender(null);
+  }
+});
+
+test("asking for a magic link creates no account until the link is used", async () => {
+  const sent = [];
+  setMagicLinkSender(message => sent.push(message));
+  try {
+    assert.equal((await call("POST", "/api/account/magic-link", { email: "typo@example.com" })).status, 202);
+    await register("typo@example.com");
+
+    const loginToken = new URL(sent[0].link).searchParams.get("login");
+    const { account } = await (await call("POST", "/api/account/magic-link/verify", { token: loginToken })).json();
+    assert.equal(account.hasPassword, true, "the link signs in to the account registered since");
+  } finally {
+    setMagicLinkSender(null);
+  }
+});
+
+test("concurrent registrations and edits are all kept, and an email registers once", async () => {
+  const registrations = await Promise.all([1, 2, 3].map(() => call("POST", "/api/account/register", { email: "race@example.com", password: "correct horse" })));
+  assert.deepEqual(registrations.map(r => r.status).sort(), [201, 409, 409]);
+
+  const token = (await registrations.find(r => r.status === 201).json()).token;
+  const names = ["Ace", "Bo", "Cy", "Di"];
+  await Promise.all(names.map(name => call("POST", "/api/account/pets", { name, type: "dog", size: "small" }, token)));
+  const { pets } = await (await call("GET", "/api/account", undefined, token)).json();
+  assert.deepEqual(pets.map(p => p.name).sort(), names);
+});
+
+test("magic links are off without a sender unless MAGIC_LINK_LOG=1 opts into logging them", async () => {
+  const off = await call("POST", "/api/account/magic-link", { email: "kai@example.com" });
+  assert.equal(off.status, 503);
+
+  const lines = [];
+  const realError = console.error;
+  console.error = line => lines.push(line);
+  setEnv({ MAGIC_LINK_LOG: "1", LOG_LEVEL: "info" });
+  try {
+    assert.equal((await call("POST", "/api/account/magic-link", { email: "kai@example.com" })).status, 202);
+  } finally {
+    console.error = realError;
+    setEnv({ MAGIC_LINK_LOG: undefined, LOG_LEVEL: "silent" });
+  }
+  const logged = lines.map(line => JSON.parse(line)).find(entry => entry.msg.startsWith("Magic link"));
+  assert.match(logged.msg, /\?login=/);
+  assert.equal(logged.email, "[redacted]");
+});
+
+test("saved pets, addresses and favorites", async () => {
+  const token = await register("lee@example.com");
+
+  const invalid = await call("POST", "/api/account/pets", { name: "Rex", type: "dragon", size: "medium" }, token);
+  assert.deepEqual((await invalid.json()).details, [`type must be one of: dog, cat, lizard, rabbit, bird, other, hamster, fish, amphibian, snake, tortoise`]);
+
+  const pet = await (await call("POST", "/api/account/pets", { name: "Biscuit", type: "Dog", size: "medium", breed: "Beagle" }, token)).json();
+  const { id, ...fields } = pet;
+  assert.match(id, /^[0-9a-f]{12}$/);
+  assert.deepEqual(fields, { name: "Biscuit", type: "dog", size: "medium", breed: "Beagle", coatType: null });
+
+  const renamed = await call("PUT", `/api/account/pets/${pet.id}`, { name: "Biscuit", type: "dog", size: "large", breed: "Beagle" }, token);
+  assert.equal((await renamed.json()).size, "large");
+
+  const home = await (await call("POST", "/api/account/addresses", { label: "Home", location: FIXTURE_LOCATION }, token)).json();
+  assert.equal(home.location, FIXTURE_LOCATION);
+
+  assert.equal((await call("PUT", "/api/account/favorites/ChIJ-fixture-A", { name: "Lady Bird Grooming Co." }, token)).status, 201);
+  assert.equal((await call("PUT", "/api/account/favorites/ChIJ-fixture-A", { name: "Lady Bird Grooming Co." }, token)).status, 200);
+  assert.equal((await call("PUT", "/api/account/favorites/bad", {}, token)).status, 400);
+
+  let account = await (await call("GET", "/api/account", undefined, token)).json();
+  assert.deepEqual(account.pets.map(p => p.name), ["Biscuit"]);
+  assert.deepEqual(account.addresses.map(a => a.label), ["Home"]);
+  assert.deepEqual(account.favorites.map(f => [f.placeId, f.name]), [["ChIJ-fixture-A", "Lady Bird Grooming Co."]]);
+
+  assert.equal((await call("DELETE", `/api/account/pets/${pet.id}`, undefined, token)).status, 204);
+  assert.equal((await call("DELETE", `/api/account/pets/${pet.id}`, undefined, token)).status, 404);
+  assert.equal((await call("DELETE", "/api/account/favorites/ChIJ-fixture-A", undefined, token)).status, 204);
+  account = await (await call("GET", "/api/account", undefined, token)).json();
+  assert.deepEqual([account.pets, account.favorites], [[], []]);
+});
+
+test("estimates made while signed in are kept in the history and can be re-run", async () => {
+  const token = await register("kim@example.com");
+  const pet = { type: "dog", size: "medium" };
+
+  const first = await call("POST", "/api/price", { location: FIXTURE_LOCATION, ...pet, share: true }, token);
+  assert.equal(first.status, 200);
+  const estimate = await first.json();
+
+  let { history } = await (await call("GET", "/api/account", undefined, token)).json();
+  assert.equal(history.length, 1);
+  assert.equal(history[0].id, estimate.share.id);
+  assert.equal(history[0].shared, true);
+  assert.deepEqual(history[0].request, { location: FIXTURE_LOCATION, type: "dog", size: "medium", breed: null, coatType: null, services: ["full-groom"] });
+  assert.deepEqual(history[0].price, { min: 65, max: 95, currency: "USD", confidence: "high" });
+
+  // Re-running sends the saved request back to /api/price
+  assert.equal((await call("POST", "/api/price", history[0].request, token)).status, 200);
+  ({ history } = await (await call("GET", "/api/account", undefined, token)).json());
+  assert.equal(history.length, 2);
+  assert.equal(history[0].shared, false);
+
+  // Sharing an estimate after the fact links its history entry
+  const { shareToken, ...rerun } = await (await call("POST", "/api/price", history[0].request, token)).json();
+  assert.equal((await call("POST", "/api/estimates", { estimate: rerun, shareToken }, token)).status, 201);
+  ({ history } = await (await call("GET", "/api/account", undefined, token)).json());
+  assert.deepEqual([history[0].id, history[0].shared], [shareToken.slice(0, 24), true]);
+
+  // Streamed estimates are kept too
+  const streamed = await call("GET", `/api/price/stream?location=${encodeURIComponent(FIXTURE_LOCATION)}&type=cat&size=small`, undefined, token);
+  assert.match(await streamed.text(), /event: estimate/);
+  ({ history } = await (await call("GET", "/api/account", undefined, token)).json());
+  assert.deepEqual([history.length, history[0].request.type], [4, "cat"]);
+
+  // An expired or unknown session still gets an estimate, just not history
+  assert.equal((await call("POST", "/api/price", { location: FIXTURE_LOCATION, ...pet }, "gs_unknown")).status, 200);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callUpstream, getUpstreamStatus, CircuitOpenError } from "../services/circuit-breaker.js";
+import { getReadiness } from "../services/health.js";
+import { setEnv } from "./helpers.js";
+
+// Per-upstream circuit breakers and the readiness report built on them
+
+setEnv({ LOG_LEVEL: "silent", CIRCUIT_FAILURE_THRESHOLD: "1", CIRCUIT_COOLDOWN_MS: "20", UPSTREAM_RETRIES: "0" });
+
+const fail = message => () => Promise.reject(new Error(message));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("half-open allows one trial, even when an older call finishes meanwhile", async () => {
+  let failSlow;
+  const slow = callUpstream("trial-test", () => new Promise((resolve, reject) => { failSlow = reject; }));
+  await assert.rejects(callUpstream("trial-test", fail("down")));
+  await sleep(30);
+
+  let finishTrial;
+  const trial = callUpstream("trial-test", () => new Promise(resolve => { finishTrial = resolve; }));
+  failSlow(new Error("late"));
+  await assert.rejects(slow, /late/);
+  await sleep(30);
+  await assert.rejects(callUpstream("trial-test", () => Promise.resolve("second trial")), CircuitOpenError);
+
+  finishTrial("ok");
+  assert.equal(await trial, "ok");
+  assert.equal(await callUpstream("trial-test", () => Promise.resolve("closed")), "closed");
+});
+
+test("the readiness report gives each upstream's state, never its errors", async () => {
+  await assert.rejects(callUpstream("ready-test", fail("GET https://example.com/?q=500 Congress Ave failed")));
+
+  const status = getUpstreamStatus().find(u => u.upstream === "ready-test");
+  assert.deepEqual(status, { upstream: "ready-test", configured: true, state: "open" });
+  assert.doesNotMatch(JSON.stringify(getReadiness().body), /Congress/);
+});
@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import { useReplayFixtures, setEnv, tempDir, FIXTURE_LOCATION } from "./helpers.js";
+import { saveEstimate, loadEstimate } from "../services/estimates.js";
+import { createFileEstimateStore } from "../stores/file-estimate-store.js";
+
+// Saved estimates behind shareable links
+
+useReplayFixtures();
+const dataDir = tempDir();
+setEnv({ DATA_DIR: dataDir, RATE_LIMIT_MAX_REQUESTS: "1000" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function post(route, body) {
+  return fetch(`${baseUrl}/api${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+function savedFiles() {
+  try {
+    return fs.readdirSync(path.join(dataDir, "estimates"));
+  } catch {
+    return [];
+  }
+}
+
+test("an estimate asked for with share: true gets a link that returns the saved result", async () => {
+  const res = await post("/price", { location: FIXTURE_LOCATION, type: "dog", size: "medium", share: true });
+  const estimate = await res.json();
+  assert.match(estimate.share.id, /^[0-9a-f]{24}$/);
+
+  const saved = await fetch(`${baseUrl}/api/estimates/${estimate.share.id}`);
+  assert.equal(saved.status, 200);
+  const body = await saved.json();
+  assert.deepEqual(Object.keys(body), ["id", "createdAt", "expiresAt", "input", "demo", "price", "displayPrice", "baseline", "observed", "llm", "validation", "groomers"]);
+  assert.equal(body.expiresAt, estimate.share.expiresAt);
+  assert.equal(Date.parse(body.expiresAt) - Date.parse(body.createdAt), 30 * DAY);
+  assert.deepEqual(body.input, estimate.input);
+  assert.deepEqual(body.price, estimate.price);
+  assert.deepEqual(body.groomers.map(g => [g.name, g.phone]), estimate.groomers.map(g => [g.name, g.phone]));
+});
+
+test("an estimate shown without a link is saved as shown, and only with its share token", async () => {
+  const before = savedFiles().length;
+  const { shareToken, ...estimate } = await (await post("/price", { location: FIXTURE_LOCATION, type: "dog", size: "medium" })).json();
+  assert.equal(savedFiles().length, before, "nothing is saved until a link is asked for");
+
+  const shared = await post("/estimates", { estimate, shareToken });
+  assert.equal(shared.status, 201);
+  const share = await shared.json();
+  assert.equal(share.id, shareToken.slice(0, 24));
+  assert.equal(savedFiles().length, before + 1);
+  assert.deepEqual((await post("/estimates", { estimate, shareToken })).status, 201, "sharing again keeps the same link");
+  assert.equal(savedFiles().length, before + 1);
+
+  const { id, createdAt, expiresAt, ...saved } = await (await fetch(`${baseUrl}/api/estimates/${share.id}`)).json();
+  assert.deepEqual(saved, estimate);
+
+  const tampered = await post("/estimates", { estimate: { ...estimate, price: { ...estimate.price, min: 1 } }, shareToken });
+  assert.equal(tampered.status, 403);
+  assert.equal((await tampered.json()).error, "Invalid share token");
+  assert.deepEqual((await (await post("/estimates", { estimate: [], shareToken: "nope" })).json()).details, [
+    "estimate must be the /api/price response body",
+    "shareToken must be the shareToken from that response"
+  ]);
+});
+
+test("estimates are only saved when shared, and never from compare or batch", async () => {
+  const before = savedFiles().length;
+  const pet = { type: "dog", size: "medium", share: true };
+
+  const plain = await post("/price", { location: FIXTURE_LOCATION, type: "dog", size: "medium" });
+  assert.equal("share" in (await plain.json()), false);
+  assert.equal((await post("/price/compare", { locations: [FIXTURE_LOCATION, "Seattle, WA 98101"], pet, share: true })).status, 200);
+  assert.equal((await post("/price/batch", { location: FIXTURE_LOCATION, pets: [pet, pet], share: true })).status, 200);
+  assert.equal(savedFiles().length, before);
+
+  const invalid = await post("/price", { location: FIXTURE_LOCATION, type: "dog", size: "medium", share: "yes" });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual((await invalid.json()).details, ["share must be a boolean"]);
+});
+
+test("the file store writes one file per estimate and sweeps expired ones", async () => {
+  const dir = tempDir();
+  const store = createFileEstimateStore(dir);
+  const now = Date.now();
+  const expired = { id: "a".repeat(24), createdAt: new Date(now - 2 * DAY).toISOString(), expiresAt: new Date(now - DAY).toISOString(), estimate: {} };
+  const fresh = { id: "b".repeat(24), createdAt: new Date(now).toISOString(), expiresAt: new Date(now + DAY).toISOString(), estimate: { input: { type: "cat" } } };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${expired.id}.json`), JSON.stringify(expired));
+
+  await store.save(fresh);
+  assert.deepEqual(await store.get(fresh.id), fresh);
+  assert.equal(await store.get("c".repeat(24)), null);
+
+  for (let i = 0; i < 50 && fs.existsSync(path.join(dir, `${expired.id}.json`)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.deepEqual(fs.readdirSync(dir), [`${fresh.id}.json`]);
+});
+
+test("unknown and malformed IDs are not found", async () => {
+  for (const id of ["0123456789abcdef01234567", "../admin", "not-an-id"]) {
+    const res = await fetch(`${baseUrl}/api/estimates/${encodeURIComponent(id)}`);
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: "Estimate not found" });
+  }
+});
+
+test("links expire after ESTIMATE_TTL_DAYS", async () => {
+  setEnv({ ESTIMATE_TTL_DAYS: "7" });
+  try {
+    const now = Date.now();
+    const { id, expiresAt } = await saveEstimate({ input: { type: "cat" } }, { now });
+    assert.equal(Date.parse(expiresAt), now + 7 * DAY);
+
+    assert.equal((await loadEstimate(id, { now: now + 6 * DAY })).status, 200);
+    assert.deepEqual(await loadEstimate(id, { now: now + 7 * DAY }), {
+      status: 410,
+      body: { error: "Estimate expired", details: ["shared estimates are kept for 7 days"] }
+    });
+  } finally {
+    setEnv({ ESTIMATE_TTL_DAYS: undefined });
+  }
+});
@@ -0,0 +1,249 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { useReplayFixtures, setEnv, tempDir, createFakeKV, FIXTURE_LOCATION } from "./helpers.js";
+import {
+  mergeDirectoryGroomers,
+  parseListing,
+  validateListing,
+  createKVDirectoryStore,
+  createMemoryDirectoryStore,
+  setDirectoryStore,
+  findDirectoryGroomers,
+  submitListing
+} from "../services/groomer-directory.js";
+import { setFixtureStore } from "../services/http.js";
+import { getDirectoryStore } from "../stores/index.js";
+import { fetchNearbyGroomers, ALLOWED_TYPES, ALLOWED_SIZES } from "../services/price-service.js";
+
+// Groomer directory: owner submissions, admin moderation and merging
+// approved listings into groomer searches
+
+useReplayFixtures();
+setEnv({ DATA_DIR: tempDir(), ADMIN_TOKEN: "test-admin", RATE_LIMIT_MAX_REQUESTS: "1000" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function call(method, path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+const ADMIN = { Authorization: "Bearer test-admin" };
+
+const mobileRabbits = {
+  name: "Hoppy Mobile Rabbit Spa",
+  address: "Austin, TX 78702",
+  phone: "(512) 555-0199",
+  email: "owner@example.com",
+  species: ["Rabbit", "dog"],
+  services: ["nail-trim", "full-groom"],
+  priceList: [{ service: "nail-trim", min: 20, max: 30 }],
+  mobile: true,
+  serviceRadiusMiles: 15
+};
+
+// Claims the Barton Springs Pet Spa Places result
+const bartonClaim = {
+  name: "Barton Springs Pet Spa",
+  address: "1200 Barton Springs Rd, Austin, TX 78704",
+  species: ["dog", "cat"],
+  placeId: "ChIJ-fixture-B",
+  priceList: [{ service: "full-groom", size: "medium", min: 70, max: 90 }]
+};
+
+test("validateListing checks contact details, species and the price list", () => {
+  const errors = validateListing(parseListing({
+    name: "Scales & Tails",
+    address: "Austin, TX",
+    website: "scales.example",
+    species: ["snake", "dragon"],
+    priceList: [{ service: "bath", min: 50, max: 20 }],
+    serviceRadiusMiles: 10
+  }), { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES });
+
+  assert.deepEqual(errors, [
+    "website must be an http(s) URL of at most 200 characters",
+    `species must be a non-empty array of: ${ALLOWED_TYPES.join(", ")}`,
+    "priceList[0] needs min and max above 0 with min <= max",
+    "serviceRadiusMiles only applies to mobile groomers"
+  ]);
+});
+
+test("mergeDirectoryGroomers replaces claimed and same-named nearby Places results", () => {
+  const places = [
+    { name: "Lady Bird Grooming Co.", place_id: "A", lat: 30.27, lng: -97.74 },
+    { name: "Barton Springs Pet Spa", place_id: "B", lat: 30.28, lng: -97.74 },
+    { name: "East Side Tails", place_id: "C", lat: 30.26, lng: -97.72 }
+  ];
+  const directory = [
+    { name: "Barton Springs Pet Spa", place_id: "B", lat: 30.2, lng: -97.8, source: "directory" },
+    { name: "East Side Tails!", place_id: null, lat: 30.2601, lng: -97.7201, source: "directory" }
+  ];
+  assert.deepEqual(mergeDirectoryGroomers(places, directory).map(g => [g.name, g.source || "google-places"]), [
+    ["Lady Bird Grooming Co.", "google-places"],
+    ["Barton Springs Pet Spa", "directory"],
+    ["East Side Tails!", "directory"]
+  ]);
+});
+
+test("listings are private until an admin approves them", async () => {
+  const invalid = await call("POST", "/api/directory", { name: "No species", address: "Austin, TX" });
+  assert.equal(invalid.status, 400);
+
+  const created = await call("POST", "/api/directory", mobileRabbits);
+  assert.equal(created.status, 201);
+  const { token, listing } = await created.json();
+  assert.equal(listing.status, "pending");
+  assert.deepEqual(listing.species, ["rabbit", "dog"]);
+  assert.equal("tokenHash" in listing, false);
+
+  assert.equal((await call("GET", `/api/directory/${listing.id}`)).status, 404);
+  assert.equal((await call("GET", `/api/directory/${listing.id}`, undefined, { "X-Listing-Token": token })).status, 200);
+
+  const searchBefore = await fetchNearbyGroomers(FIXTURE_LOCATION, "rabbit", { radiusMiles: 10 });
+  assert.ok(searchBefore.groomers.every(g => g.source === "mock"), "pending listings are not searchable");
+
+  assert.equal((await call("GET", "/api/admin/directory")).status, 401);
+  const queue = await (await call("GET", "/api/admin/directory", undefined, ADMIN)).json();
+  assert.deepEqual(queue.listings.map(l => l.id), [listing.id]);
+  assert.equal(queue.listings[0].email, "owner@example.com");
+
+  const approved = await call("POST", `/api/admin/directory/${listing.id}/approve`, { note: "Checked phone" }, ADMIN);
+  assert.equal((await approved.json()).status, "approved");
+
+  const publicView = await (await call("GET", `/api/directory/${listing.id}`)).json();
+  assert.equal(publicView.name, "Hoppy Mobile Rabbit Spa");
+  assert.equal("email" in publicView, false);
+
+  // A rabbit search that found nothing on Places now finds the listing instead of mock data
+  const search = await fetchNearbyGroomers(FIXTURE_LOCATION, "rabbit", { radiusMiles: 10 });
+  assert.deepEqual(search.groomers.map(g => [g.name, g.source, g.speciesMatch, g.mobile]), [["Hoppy Mobile Rabbit Spa", "directory", "confirmed", true]]);
+  assert.deepEqual(search.groomers[0].priceList, [{ service: "nail-trim", size: null, min: 20, max: 30 }]);
+});
+
+test("owners edit and remove listings with their token; edits need re-approval", async () => {
+  const { token, listing } = await (await call("POST", "/api/directory", { ...mobileRabbits, name: "Temporary Listing" })).json();
+  await call("POST", `/api/admin/directory/${listing.id}/approve`, {}, ADMIN);
+
+  assert.equal((await call("PATCH", `/api/directory/${listing.id}`, { phone: "512-555-0100" }, { "X-Listing-Token": "wrong" })).status, 404);
+
+  const edited = await call("PATCH", `/api/directory/${listing.id}`, { phone: "512-555-0100", mobile: false }, { "X-Listing-Token": token });
+  assert.equal(edited.status, 200);
+  const body = await edited.json();
+  assert.deepEqual([body.phone, body.status, body.mobile, body.serviceRadiusMiles], ["512-555-0100", "pending", false, null]);
+
+  const removed = await call("DELETE", `/api/directory/${listing.id}`, undefined, { "X-Listing-Token": token });
+  assert.equal(removed.status, 204);
+  assert.equal((await call("GET", `/api/directory/${listing.id}`, undefined, { "X-Listing-Token": token })).status, 404);
+});
+
+test("an approved claim replaces its Places result and cannot be claimed twice", async () => {
+  const { listing } = await (await call("POST", "/api/directory", bartonClaim)).json();
+  const approved = await call("POST", `/api/admin/directory/${listing.id}/approve`, {}, ADMIN);
+  assert.equal(approved.status, 200);
+
+  const duplicate = await call("POST", "/api/directory", { ...bartonClaim, name: "Someone Else" });
+  assert.equal(duplicate.status, 409);
+
+  const search = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog");
+  const barton = search.groomers.filter(g => g.name === "Barton Springs Pet Spa");
+  assert.equal(barton.length, 1);
+  assert.equal(barton[0].source, "directory");
+  assert.equal(barton[0].place_id, "ChIJ-fixture-B");
+  assert.ok(search.groomers.some(g => g.name === "Hoppy Mobile Rabbit Spa"), "the mobile groomer also takes dogs");
+
+  const listed = await (await call("GET", "/api/directory?species=cat")).json();
+  assert.deepEqual(listed.listings.map(l => l.name), ["Barton Springs Pet Spa"]);
+});
+
+test("approving two claims on one place at once approves only one", async () => {
+  const claim = { ...bartonClaim, name: "Race Claim", placeId: "ChIJ-fixture-race" };
+  const ids = [];
+  for (const name of ["Race Claim A", "Race Claim B"]) {
+    ids.push((await (await call("POST", "/api/directory", { ...claim, name })).json()).listing.id);
+  }
+
+  const results = await Promise.all(ids.map(id => call("POST", `/api/admin/directory/${id}/approve`, {}, ADMIN)));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  const approved = (await getDirectoryStore().list()).filter(r => r.placeId === "ChIJ-fixture-race" && r.status === "approved");
+  assert.equal(approved.length, 1);
+});
+
+test("the Worker finds approved listings published to its KV namespace", async () => {
+  const approved = (await getDirectoryStore().list()).filter(r => r.status === "approved");
+  assert.ok(approved.length > 0);
+
+  const kv = createFakeKV({ pageSize: 1 });
+  for (const record of approved) await kv.put(`listing:${record.id}`, JSON.stringify(record));
+  await kv.put("listing:pending", JSON.stringify({ ...approved[0], id: "pending", status: "pending", name: "Not Yet Approved" }));
+
+  setDirectoryStore(createKVDirectoryStore(kv));
+  try {
+    const found = await findDirectoryGroomers({ lat: 30.2672, lng: -97.7431, country: "US" }, "dog", { radiusMiles: 10 });
+    assert.deepEqual(found.map(g => g.name).sort(), approved.filter(r => r.species.includes("dog")).map(r => r.name).sort());
+  } finally {
+    setDirectoryStore(getDirectoryStore());
+  }
+});
+
+test("listed prices are capped in the local currency of the listing's country", async () => {
+  const tooDear = await call("POST", "/api/directory", { ...bartonClaim, placeId: undefined, name: "Gold Plated Grooming", priceList: [{ service: "full-groom", min: 100, max: 6000 }] });
+  assert.equal(tooDear.status, 422);
+  assert.deepEqual((await tooDear.json()).details, ["priceList[0] amounts must be at most 5000 USD"]);
+
+  const realFetch = globalThis.fetch;
+  setFixtureStore(null);
+  setEnv({ GEOCODER_PROVIDERS: "nominatim" });
+  globalThis.fetch = async () => Response.json([{
+    lat: "35.6595",
+    lon: "139.7005",
+    display_name: "Shibuya, Tokyo, Japan",
+    addresstype: "suburb",
+    address: { suburb: "Shibuya", city: "Tokyo", country_code: "jp" }
+  }]);
+  try {
+    const { status, body } = await submitListing(createMemoryDirectoryStore(), parseListing({
+      name: "Shibuya Dog Salon",
+      address: "Shibuya, Tokyo",
+      species: ["dog"],
+      priceList: [{ service: "full-groom", min: 9000, max: 15000 }]
+    }));
+    assert.equal(status, 201);
+    assert.equal(body.listing.country, "JP");
+  } finally {
+    globalThis.fetch = realFetch;
+    useReplayFixtures();
+  }
+});
+
+test("searches leave out listings priced in another country's currency", async () => {
+  const store = createMemoryDirectoryStore();
+  const base = { status: "approved", species: ["dog"], mobile: false, priceList: [{ service: "full-groom", min: 60, max: 90 }] };
+  await store.update("us", () => ({ ...base, id: "us", name: "Detroit Dog Spa", lat: 42.3314, lng: -83.0458, country: "US" }));
+  await store.update("ca", () => ({ ...base, id: "ca", name: "Windsor Dog Spa", lat: 42.3149, lng: -83.0364, country: "CA" }));
+
+  setDirectoryStore(store);
+  try {
+    const detroit = await findDirectoryGroomers({ lat: 42.3314, lng: -83.0458, country: "US" }, "dog", { radiusMiles: 10 });
+    assert.deepEqual(detroit.map(g => g.name), ["Detroit Dog Spa"]);
+    const windsor = await findDirectoryGroomers({ lat: 42.3149, lng: -83.0364, country: "CA" }, "dog", { radiusMiles: 10 });
+    assert.deepEqual(windsor.map(g => g.name), ["Windsor Dog Spa"]);
+  } finally {
+    setDirectoryStore(getDirectoryStore());
+  }
+});
@@ -0,0 +1,188 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { searchRealGroomers, haversineKm } from "../services/places.js";
+import { fetchNearbyGroomers, buildPricePrompt } from "../services/price-service.js";
+import { geocodeLocation } from "../services/geocoder.js";
+import { createDemoGroomers } from "../services/demo-groomers.js";
+import { relevanceScore, filterGroomers } from "../services/groomer-ranking.js";
+import { purgeCache } from "../services/cache.js";
+import { useReplayFixtures, setEnv, FIXTURE_LOCATION } from "./helpers.js";
+
+const CENTER = { lat: 30.2711, lng: -97.7437 };
+
+useReplayFixtures();
+
+beforeEach(() => {
+  purgeCache();
+  setEnv({ GOOGLE_PLACES_API_KEY: "test-places", GEOCODER_PROVIDERS: "geocodio,offline" });
+});
+
+test("haversineKm matches a known distance", () => {
+  // Austin to Dallas is roughly 293 km
+  assert.ok(Math.abs(haversineKm(30.2672, -97.7431, 32.7767, -96.797) - 293) < 5);
+});
+
+test("merges both Places queries, dropping duplicates and results outside the radius", async () => {
+  const groomers = await searchRealGroomers(CENTER.lat, CENTER.lng, "dog", { radiusMiles: 40, maxResults: 12 });
+  const ids = groomers.map(g => g.place_id);
+
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual([...ids].sort(), ["ChIJ-fixture-A", "ChIJ-fixture-B", "ChIJ-fixture-C", "ChIJ-fixture-D", "ChIJ-fixture-F"]);
+  assert.ok(!ids.includes("ChIJ-fixture-E"), "45 miles away is outside a 40 mile radius");
+  assert.ok(groomers.every(g => g.source === "google-places"));
+});
+
+test("stops paginating once results pass the radius", async () => {
+  // Page one ends 2 miles out, so a 1.5 mile search never asks for page two
+  const groomers = await searchRealGroomers(CENTER.lat, CENTER.lng, "dog", { radiusMiles: 1.5, maxResults: 12 });
+  assert.deepEqual(groomers.map(g => g.place_id).sort(), ["ChIJ-fixture-A", "ChIJ-fixture-B", "ChIJ-fixture-F"]);
+});
+
+test("reports per-query cache hits", async () => {
+  const first = [];
+  const second = [];
+  await searchRealGroomers(CENTER.lat, CENTER.lng, "dog", { radiusMiles: 40, maxResults: 12 }, first);
+  await searchRealGroomers(CENTER.lat, CENTER.lng, "dog", { radiusMiles: 40, maxResults: 12 }, second);
+  assert.deepEqual(first, ["MISS", "MISS"]);
+  assert.deepEqual(second, ["HIT", "HIT"]);
+});
+
+test("fetchNearbyGroomers sorts by distance and enriches the closest results", async () => {
+  const events = [];
+  const result = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog", { emit: (event, data) => events.push({ event, data }) });
+
+  assert.deepEqual(result.groomers.map(g => g.name), [
+    "Lady Bird Grooming Co.",
+    "Congress Avenue Canine Cuts",
+    "Barton Springs Pet Spa",
+    "East Side Tails",
+    "Mueller Dog Wash"
+  ]);
+  const distances = result.groomers.map(g => g.distanceKm);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+
+  // Radius used is the farthest result rounded up, not the requested 40
+  assert.equal(result.radiusMilesUsed, 3);
+  assert.equal(result.geocode.provider, "geocodio");
+  assert.deepEqual(result.cache, { geocode: "MISS", places: "MISS" });
+
+  const [first, second, third] = result.groomers;
+  assert.equal(first.phone, "(512) 555-0101");
+  assert.equal(first.weeklyHours.length, 7);
+  assert.ok(first.speciesHints.includes("cat"), "cat comes from the review text");
+  assert.equal(second.openNow, false);
+  assert.equal(third.enriched, undefined, "only the top two are enriched");
+
+  assert.deepEqual(events.map(e => e.event), ["geocoded", "groomers", ...result.groomers.map(() => "groomer")]);
+});
+
+test("maxResults trims the sorted list", async () => {
+  const result = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog", { maxResults: 2 });
+  assert.deepEqual(result.groomers.map(g => g.place_id), ["ChIJ-fixture-A", "ChIJ-fixture-F"]);
+});
+
+test("falls back to mock groomers when Places has nothing", async () => {
+  setEnv({ GOOGLE_PLACES_API_KEY: undefined });
+  const result = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog", { radiusMiles: 10 });
+
+  assert.equal(result.groomers.length, 8);
+  assert.ok(result.groomers.every(g => g.source === "mock" && g.demo));
+  assert.equal(result.radiusMilesUsed, 10);
+  assert.equal(result.cache.places, "BYPASS");
+});
+
+test("demo groomers are seeded from the location and clearly fictional", async () => {
+  setEnv({ GOOGLE_PLACES_API_KEY: undefined });
+  const first = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog");
+  purgeCache();
+  const again = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog");
+  const summary = r => r.groomers.map(g => [g.name, g.rating, g.phone]);
+  assert.deepEqual(summary(again), summary(first));
+
+  const austin = createDemoGroomers({ lat: 30.2672, lng: -97.7431, formatted: "Austin, TX" }, "dog");
+  const seattle = createDemoGroomers({ lat: 47.6062, lng: -122.3321, formatted: "Seattle, WA" }, "dog");
+  assert.notDeepEqual(austin.map(g => g.name), seattle.map(g => g.name));
+  for (const g of austin) {
+    assert.match(g.phone, /^\(\d{3}\) 555-01\d{2}$/);
+    assert.equal(g.address, "Sample listing near Austin, TX");
+  }
+});
+
+test("DEMO_GROOMERS=false leaves the search empty", async () => {
+  setEnv({ GOOGLE_PLACES_API_KEY: undefined, DEMO_GROOMERS: "false" });
+  try {
+    const result = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog");
+    assert.deepEqual(result.groomers, []);
+  } finally {
+    setEnv({ DEMO_GROOMERS: undefined });
+  }
+});
+
+test("the price prompt never cites demo groomers", () => {
+  const prompt = groomers => buildPricePrompt({ location: "Austin, TX", type: "dog", size: "medium", services: ["bath"], radiusMilesUsed: 3, groomers });
+  const demo = createDemoGroomers({ lat: 30.2672, lng: -97.7431, formatted: "Austin, TX" }, "dog");
+  const real = { name: "Lady Bird Grooming Co.", address: "1 Lady Bird Ln", rating: 4.8, services: ["dog"], service_match: true, source: "google-places" };
+
+  const mixed = prompt([...demo, real]);
+  assert.match(mixed, /"name": "Lady Bird Grooming Co\."/);
+  assert.ok(demo.every(g => !mixed.includes(g.name)));
+  assert.match(prompt(demo), /"localGroomers": \[\]/);
+});
+
+test("relevance weighs distance, rating, reviews and species confidence", () => {
+  const groomer = { distanceKm: 0, rating: 5, reviewCount: 500, speciesConfidence: 1 };
+  assert.equal(relevanceScore(groomer, 10), 1);
+  assert.ok(relevanceScore({ ...groomer, reviewCount: 5 }, 10) < 1);
+  assert.ok(relevanceScore({ ...groomer, speciesConfidence: 0.3 }, 10) < relevanceScore({ ...groomer, speciesConfidence: 0.6 }, 10));
+  assert.equal(relevanceScore({ distanceKm: 10 / 0.621371, rating: null, reviewCount: null }, 10), 0.2);
+});
+
+test("filters drop closed, low-rated, distant and non-exotic groomers", () => {
+  const groomers = [
+    { name: "Open", openNow: true, rating: 4.5, distanceKm: 1 },
+    { name: "Closed", openNow: false, rating: 4.9, distanceKm: 1 },
+    { name: "Unknown hours", openNow: null, rating: 3.9, distanceKm: 20 },
+    { name: "Exotic Pet Spa", openNow: true, rating: 4, distanceKm: 5 }
+  ];
+  const names = filters => filterGroomers(groomers, filters).map(g => g.name);
+  assert.deepEqual(names({ openNow: true }), ["Open", "Exotic Pet Spa"]);
+  assert.deepEqual(names({ minRating: 4 }), ["Open", "Closed", "Exotic Pet Spa"]);
+  assert.deepEqual(names({ maxDistanceMiles: 5 }), ["Open", "Closed", "Exotic Pet Spa"]);
+  assert.deepEqual(names({ exotic: true }), ["Exotic Pet Spa"]);
+});
+
+test("listing options sort and filter the returned groomers but not the priced ones", async () => {
+  const events = [];
+  const result = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog", {
+    listing: { sort: "relevance", openNow: true, minRating: 4.3 },
+    emit: (event, data) => events.push({ event, data })
+  });
+
+  assert.equal(result.groomers.length, 5);
+  assert.deepEqual(result.listed.map(g => [g.name, g.speciesMatch]), [
+    ["Lady Bird Grooming Co.", "confirmed"],
+    ["Barton Springs Pet Spa", "likely"],
+    ["Mueller Dog Wash", "confirmed"]
+  ]);
+  assert.deepEqual(events.find(e => e.event === "groomers").data.listed, 3);
+  assert.equal(events.filter(e => e.event === "groomer").length, 3);
+
+  const exotic = await fetchNearbyGroomers(FIXTURE_LOCATION, "dog", { listing: { exotic: true } });
+  assert.deepEqual(exotic.listed.map(g => g.name), ["Lady Bird Grooming Co."], "bird grooming is named in its reviews");
+});
+
+test("returns no groomers when the location cannot be geocoded", async () => {
+  setEnv({ GEOCODER_PROVIDERS: "offline" });
+  const result = await fetchNearbyGroomers("Nowhere Special", "dog");
+  assert.deepEqual(result, { groomers: [], listed: [], radiusMilesUsed: null, geocode: null, country: null, cache: null });
+});
+
+test("the offline geocoder reads a state code only from US-looking text", async () => {
+  setEnv({ GEOCODER_PROVIDERS: "offline" });
+  await assert.rejects(geocodeLocation("Berlin DE"), /Address not found/);
+  await assert.rejects(geocodeLocation("Toronto, CA"), /Address not found/);
+  assert.equal((await geocodeLocation("Dover, DE, USA")).state, "DE");
+  assert.equal((await geocodeLocation("Springfield IL 62701")).state, "IL");
+  assert.equal((await geocodeLocation("Sacramento, CA")).city, "Sacramento");
+  assert.equal((await geocodeLocation("St. Louis, MO")).city, "St. Louis");
+});
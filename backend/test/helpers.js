@@ -0,0 +1,70 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { setFixtureStore } from "../services/http.js";
+import { createFixtureStore } from "../stores/fixture-store.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Shared setup for the test suite. Upstream calls are answered from the
+// recorded fixtures in test/fixtures/upstream, so nothing touches the network.
+
+export const FIXTURE_LOCATION = "500 Congress Ave, Austin, TX 78701";
+
+// The settings the fixtures were recorded with; API keys only need to be set
+export const FIXTURE_ENV = {
+  GEOCODIO_API_KEY: "test-geocodio",
+  GOOGLE_PLACES_API_KEY: "test-places",
+  GROQ_API_KEY: "test-groq",
+  LLM_PROVIDERS: "groq",
+  GEOCODER_PROVIDERS: "geocodio,offline",
+  PLACES_PAGE_DELAY_MS: "0",
+  GROOMER_DETAILS_TOP_N: "2",
+  UPSTREAM_RETRIES: "0",
+  CIRCUIT_FAILURE_THRESHOLD: "1000",
+  LOG_LEVEL: "silent"
+};
+
+export function setEnv(vars) {
+  for (const [key, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+}
+
+export function useReplayFixtures() {
+  setEnv(FIXTURE_ENV);
+  setFixtureStore(createFixtureStore(path.join(__dirname, "fixtures", "upstream")), "replay");
+}
+
+export function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "groomly-test-"));
+}
+
+// Just enough of a Workers KV namespace for the KV stores: values with
+// metadata and paged, prefix-filtered list()
+export function createFakeKV({ pageSize = 1000 } = {}) {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, { metadata = null, expirationTtl, expiration } = {}) {
+      entries.set(key, { value, metadata: metadata && structuredClone(metadata), expirationTtl, expiration });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = "", cursor } = {}) {
+      const names = [...entries.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + pageSize).map(name => ({ name, metadata: entries.get(name).metadata }));
+      const complete = start + pageSize >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : String(start + pageSize) };
+    }
+  };
+}
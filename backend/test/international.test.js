@@ -0,0 +1,138 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getExchangeRates, convertPrice, convertAmount, formatMoney } from "../services/currency.js";
+import { estimatePrice } from "../services/pricing.js";
+import { runPriceEstimate, parsePriceRequest, validatePriceInput, ALLOWED_TYPES, ALLOWED_SIZES } from "../services/price-service.js";
+import { parsePriceReport, validatePriceReport } from "../services/price-reports.js";
+import { setFixtureStore } from "../services/http.js";
+import { purgeCache } from "../services/cache.js";
+import { useReplayFixtures, setEnv } from "./helpers.js";
+
+// Locations outside the US: local-currency estimates and conversion to a
+// display currency from the offline exchange-rate table
+
+useReplayFixtures();
+
+const TORONTO = {
+  lat: "43.6532",
+  lon: "-79.3832",
+  display_name: "Toronto, Golden Horseshoe, Ontario, Canada",
+  addresstype: "city",
+  address: { city: "Toronto", state: "Ontario", "ISO3166-2-lvl4": "CA-ON", country_code: "ca" }
+};
+
+const realFetch = globalThis.fetch;
+
+// Nominatim geocodes Toronto; no Places key, so the groomers are demo ones
+function useTorontoGeocoder() {
+  const urls = [];
+  setFixtureStore(null);
+  setEnv({ GEOCODER_PROVIDERS: "nominatim", GOOGLE_PLACES_API_KEY: undefined, LLM_PROVIDERS: "stub" });
+  globalThis.fetch = async url => {
+    urls.push(String(url));
+    return Response.json(String(url).includes("nominatim") ? [TORONTO] : {});
+  };
+  return urls;
+}
+
+beforeEach(() => purgeCache());
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  setEnv({ EXCHANGE_RATES: undefined, LLM_STUB_RESPONSE: undefined });
+  useReplayFixtures();
+});
+
+test("prices convert through the offline table, which EXCHANGE_RATES can override", () => {
+  assert.equal(convertAmount(100, "USD", "USD"), 100);
+  assert.equal(convertAmount(138, "CAD", "USD"), 100);
+  assert.equal(convertAmount(100, "USD", "XYZ"), null);
+
+  const price = { min: 70, max: 105, currency: "CAD", lineItems: [{ service: "full-groom", min: 70, max: 105 }] };
+  assert.deepEqual(convertPrice(price, "USD"), {
+    currency: "USD",
+    min: 51,
+    max: 76,
+    lineItems: [{ service: "full-groom", min: 51, max: 76 }],
+    rate: 0.724638,
+    ratesAsOf: getExchangeRates().asOf
+  });
+  assert.deepEqual(convertPrice({ min: 65, max: 95, currency: "USD" }, "USD"), { currency: "USD", min: 65, max: 95, rate: 1, ratesAsOf: null });
+
+  setEnv({ EXCHANGE_RATES: '{"CAD": 1.25, "BRL": 5.5, "bad": 2, "GBP": -1}' });
+  assert.equal(convertAmount(125, "CAD", "USD"), 100);
+  assert.equal(convertAmount(100, "USD", "BRL"), 550);
+  assert.equal(getExchangeRates().rates.GBP, 0.75, "invalid overrides are ignored");
+  assert.equal(getExchangeRates().rates.bad, undefined);
+
+  setEnv({ EXCHANGE_RATES: "not json" });
+  assert.equal(getExchangeRates().rates.CAD, 1.38);
+
+  assert.equal(formatMoney(82, "USD"), "$82");
+  assert.equal(formatMoney(82, "CAD"), "CA$82");
+});
+
+test("rule estimates use the country's price level, currency and rounding", () => {
+  const pet = { type: "dog", size: "medium", services: ["full-groom"] };
+  const us = estimatePrice({ ...pet, geocode: { country: "US", state: "TX", precision: "city" } });
+  const ca = estimatePrice({ ...pet, geocode: { country: "CA", state: "TX", precision: "city" } });
+  const jp = estimatePrice({ ...pet, geocode: { country: "JP", precision: "city" } });
+  const unknown = estimatePrice({ ...pet, geocode: { country: "BR", precision: "city" } });
+
+  assert.equal(us.currency, "USD");
+  assert.equal(us.breakdown.regionKey, "state:TX");
+  assert.equal(ca.currency, "CAD");
+  assert.equal(ca.breakdown.regionKey, "default", "US state multipliers never apply abroad");
+  assert.deepEqual([ca.min, ca.max], [80, 120]);
+  assert.equal(jp.currency, "JPY");
+  assert.equal(jp.min % 500, 0);
+  assert.equal(unknown.currency, "USD");
+  assert.match(unknown.notes, /no rules for BR, US rates/);
+});
+
+test("a Canadian location is priced in CAD and displayed in the requested currency", async () => {
+  const urls = useTorontoGeocoder();
+  setEnv({ LLM_STUB_RESPONSE: '{"min": 80, "max": 120, "currency": "CAD", "confidence": "medium"}' });
+  const payload = parsePriceRequest({ location: "Toronto, ON", type: "dog", size: "medium", currency: "usd" });
+  assert.deepEqual(validatePriceInput(payload), []);
+
+  const { body } = await runPriceEstimate(payload);
+  assert.ok(!urls[0].includes("countrycodes="), "Nominatim searches worldwide by default");
+  assert.equal(body.input.geocode.country, "CA");
+  assert.equal(body.input.displayCurrency, "USD");
+  assert.equal(body.validation.status, "validated");
+  assert.deepEqual([body.price.min, body.price.max, body.price.currency], [80, 120, "CAD"]);
+  assert.deepEqual([body.displayPrice.min, body.displayPrice.max, body.displayPrice.currency], [58, 87, "USD"]);
+  assert.equal(body.baseline.currency, "CAD");
+});
+
+test("a reply in the wrong currency is rejected and the prompt names the local one", async () => {
+  useTorontoGeocoder();
+  setEnv({ LLM_STUB_RESPONSE: '{"min": 60, "max": 90, "currency": "USD", "confidence": "medium"}' });
+  const { body } = await runPriceEstimate(parsePriceRequest({ location: "Toronto, ON", type: "dog", size: "medium" }));
+
+  assert.equal(body.validation.status, "replaced");
+  assert.ok(body.validation.attempts[0].errors.includes("currency must be CAD"));
+  assert.equal(body.price.currency, "CAD");
+  assert.deepEqual([body.displayPrice.currency, body.displayPrice.min, body.displayPrice.rate], ["CAD", body.price.min, 1]);
+
+  setEnv({ LLM_STUB_RESPONSE: undefined });
+  purgeCache();
+  const stubbed = await runPriceEstimate(parsePriceRequest({ location: "Toronto, ON", type: "dog", size: "medium" }));
+  assert.equal(stubbed.body.validation.status, "validated", "the keyless stub answers in the prompt's currency");
+  assert.equal(stubbed.body.price.currency, "CAD");
+});
+
+test("unknown display currencies are invalid", () => {
+  const errors = validatePriceInput(parsePriceRequest({ location: "Toronto, ON", type: "dog", size: "medium", currency: "XYZ" }));
+  assert.deepEqual(errors, ["currency must be one of: AUD, CAD, CHF, EUR, GBP, JPY, MXN, NZD, SEK, USD"]);
+});
+
+test("price reports take any supported currency, with the amount cap converted", () => {
+  const options = { species: ALLOWED_TYPES, sizes: ALLOWED_SIZES };
+  const report = body => parsePriceReport({ placeId: "ChIJ-fixture-A", location: "Tokyo", species: "dog", size: "medium", services: ["full-groom"], ...body });
+
+  assert.deepEqual(validatePriceReport(report({ amount: 9000, currency: "JPY" }), options), []);
+  assert.deepEqual(validatePriceReport(report({ amount: 9000 }), options), ["amount must be a number between 0 and 5000"]);
+  assert.deepEqual(validatePriceReport(report({ amount: 90, currency: "XYZ" }), options), ["currency must be a supported ISO 4217 code"]);
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { extractJSON, validatePriceEstimate } from "../services/price-schema.js";
+import { runPriceEstimate, parsePriceRequest } from "../services/price-service.js";
+import { purgeCache } from "../services/cache.js";
+import { useReplayFixtures, setEnv, FIXTURE_ENV, FIXTURE_LOCATION } from "./helpers.js";
+
+useReplayFixtures();
+
+beforeEach(() => {
+  purgeCache();
+  setEnv({ LLM_PROVIDERS: FIXTURE_ENV.LLM_PROVIDERS, GROQ_API_KEY: FIXTURE_ENV.GROQ_API_KEY, LLM_STUB_RESPONSE: undefined });
+});
+
+function estimate(body = {}) {
+  return runPriceEstimate(parsePriceRequest({ location: FIXTURE_LOCATION, type: "dog", size: "medium", ...body }));
+}
+
+test("extractJSON finds the object inside prose and code fences", () => {
+  assert.deepEqual(extractJSON('{"min":1}').value, { min: 1 });
+  assert.deepEqual(extractJSON('Sure!\n```json\n{"min": 40, "max": 80}\n```').value, { min: 40, max: 80 });
+  assert.equal(extractJSON("").error, "empty response");
+  assert.equal(extractJSON("no idea").error, "response is not JSON");
+  assert.match(extractJSON("{min: 40}").error, /^invalid JSON/);
+});
+
+test("validatePriceEstimate normalizes what it can", () => {
+  const result = validatePriceEstimate(
+    { min: "$1,200", max: "3000", currency: "usd", confidence: "High", notes: "n".repeat(400) },
+    { currency: "USD" }
+  );
+  assert.equal(result.ok, true);
+  assert.equal(result.value.min, 1200);
+  assert.equal(result.value.max, 2000, "clamped to PRICE_MAX_BOUND");
+  assert.equal(result.value.currency, "USD");
+  assert.equal(result.value.confidence, "high");
+  assert.equal(result.value.notes.length, 300);
+});
+
+test("validatePriceEstimate reports what it cannot fix", () => {
+  const result = validatePriceEstimate(
+    { min: 90, max: 40, currency: "EUR", confidence: "certain", lineItems: [{ service: "bath", min: 20, max: 30 }] },
+    { services: ["bath", "nail-trim"], currency: "USD" }
+  );
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors, [
+    "min must be less than or equal to max",
+    "currency must be USD",
+    "confidence must be one of: low, medium, high",
+    "lineItems missing services: nail-trim"
+  ]);
+  assert.deepEqual(validatePriceEstimate([1, 2]).errors, ["response must be a JSON object"]);
+});
+
+test("uses a validated LLM estimate and caches it", async () => {
+  const first = await estimate();
+  assert.equal(first.body.validation.status, "validated");
+  assert.deepEqual(first.body.llm, { provider: "groq", model: "llama-3.3-70b-versatile" });
+  assert.equal(first.body.price.min, 65);
+  assert.equal(first.body.price.lineItemsSource, "llm");
+  assert.equal(first.headers["X-Cache-Estimate"], "MISS");
+
+  const second = await estimate();
+  assert.equal(second.headers["X-Cache-Estimate"], "HIT");
+  assert.deepEqual(second.body.price, first.body.price);
+});
+
+test("accepts JSON wrapped in markdown and fills line items from the rules", async () => {
+  setEnv({ LLM_PROVIDERS: "stub", LLM_STUB_RESPONSE: '```json\n{"min": 55, "max": 85, "currency": "USD", "confidence": "medium"}\n```' });
+  const { body } = await estimate();
+
+  assert.equal(body.validation.status, "validated");
+  assert.equal(body.price.min, 55);
+  assert.equal(body.price.lineItemsSource, "rules");
+  assert.deepEqual(body.price.lineItems, body.baseline.lineItems);
+});
+
+test("falls back to the rule estimate when the reply never validates", async () => {
+  setEnv({ LLM_PROVIDERS: "stub", LLM_STUB_RESPONSE: "I think about $60?" });
+  const { body, headers } = await estimate();
+
+  assert.equal(body.validation.status, "replaced");
+  assert.equal(body.validation.attempts.length, 2);
+  assert.equal(body.price.min, body.baseline.min);
+  assert.match(body.price.notes, /^Fallback estimate \(LLM output failed validation\)/);
+  assert.equal(headers["X-Cache-Estimate"], "MISS");
+
+  // Replaced estimates are not cached, so the next request asks again
+  const again = await estimate();
+  assert.equal(again.headers["X-Cache-Estimate"], "MISS");
+});
+
+test("falls back to the rule estimate when no LLM is available", async () => {
+  setEnv({ GROQ_API_KEY: undefined });
+  const { body } = await estimate();
+
+  assert.equal(body.validation.status, "replaced");
+  assert.deepEqual(body.validation.attempts, [{ attempt: 1, errors: ["LLM unavailable"] }]);
+  assert.match(body.price.notes, /^Fallback estimate \(LLM unavailable\)/);
+  assert.equal(body.price.lineItemsSource, "rules");
+});
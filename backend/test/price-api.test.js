@@ -0,0 +1,142 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { useReplayFixtures, setEnv, tempDir, FIXTURE_LOCATION } from "./helpers.js";
+
+// The /api/price contract, end to end through Express with replayed upstreams
+
+useReplayFixtures();
+setEnv({ DATA_DIR: tempDir(), RATE_LIMIT_MAX_REQUESTS: "1000" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function postPrice(body, headers = {}) {
+  return fetch(`${baseUrl}/api/price`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+const request = { location: FIXTURE_LOCATION, type: "dog", size: "medium" };
+
+test("POST /api/price returns the estimate contract", async () => {
+  const res = await postPrice(request, { "X-Request-Id": "contract-1" });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-request-id"), "contract-1");
+  assert.equal(res.headers.get("x-ratelimit-tier"), "anonymous");
+  assert.equal(res.headers.get("x-cache-geocode"), "MISS");
+  assert.equal(res.headers.get("x-cache-places"), "MISS");
+  assert.equal(res.headers.get("x-cache-estimate"), "MISS");
+
+  const body = await res.json();
+  assert.deepEqual(Object.keys(body), ["input", "demo", "price", "displayPrice", "baseline", "observed", "llm", "validation", "groomers", "shareToken"]);
+  assert.match(body.shareToken, /^[0-9a-f]{64}$/);
+  assert.deepEqual(body.input, {
+    location: FIXTURE_LOCATION,
+    size: "medium",
+    type: "dog",
+    breed: null,
+    coatType: null,
+    services: ["full-groom"],
+    radiusMiles: 40,
+    maxResults: 12,
+    sort: "distance",
+    filters: {},
+    displayCurrency: null,
+    groomersCount: 5,
+    radiusMilesUsed: 3,
+    geocode: { provider: "geocodio", precision: "rooftop", formatted: FIXTURE_LOCATION, country: "US" }
+  });
+  assert.deepEqual(body.price, {
+    min: 65,
+    max: 95,
+    currency: "USD",
+    confidence: "high",
+    notes: "Downtown Austin salons cluster around $65-95 for a medium dog full groom.",
+    lineItems: [{ service: "full-groom", min: 65, max: 95, label: "Full groom" }],
+    lineItemsSource: "llm"
+  });
+  assert.equal(body.baseline.confidence, "high");
+  assert.equal(body.baseline.breakdown.groomersConsidered, 5);
+  assert.deepEqual(body.validation, { status: "validated", attempts: [] });
+
+  const groomer = body.groomers[0];
+  for (const field of ["name", "address", "place_id", "lat", "lng", "rating", "phone", "hours", "website", "distanceKm", "source"]) {
+    assert.ok(field in groomer, `groomer.${field}`);
+  }
+});
+
+test("repeat requests are served from cache", async () => {
+  const res = await postPrice(request);
+  assert.equal(res.headers.get("x-cache-geocode"), "HIT");
+  assert.equal(res.headers.get("x-cache-places"), "HIT");
+  assert.equal(res.headers.get("x-cache-estimate"), "HIT");
+});
+
+test("itemizes requested services", async () => {
+  const res = await postPrice({ ...request, services: ["full-groom", "nail-trim"], breed: "Goldendoodle" });
+  const body = await res.json();
+  assert.deepEqual(body.price.lineItems.map(i => [i.service, i.min, i.max]), [["full-groom", 65, 95], ["nail-trim", 15, 25]]);
+  assert.equal(body.baseline.breakdown.coatType, "curly");
+});
+
+test("rejects invalid input with details", async () => {
+  const res = await postPrice({ location: "A", type: "dragon", size: "medium" });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error, "Invalid input");
+  assert.deepEqual(body.details, ["location is required", `type must be one of: dog, cat, lizard, rabbit, bird, other, hamster, fish, amphibian, snake, tortoise`]);
+});
+
+test("GET /api/price/stream emits stages then the same body as POST", async () => {
+  const { shareToken, ...posted } = await (await postPrice(request)).json();
+  assert.ok(shareToken);
+  const res = await fetch(`${baseUrl}/api/price/stream?location=${encodeURIComponent(FIXTURE_LOCATION)}&type=dog&size=medium&share=true`);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = (await res.text())
+    .split("\n\n")
+    .filter(block => block.startsWith("event: "))
+    .map(block => {
+      const [eventLine, dataLine] = block.split("\n");
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+
+  assert.deepEqual(events.map(e => e.event), ["geocoded", "groomers", "groomer", "groomer", "groomer", "groomer", "groomer", "llm", "estimate"]);
+  assert.deepEqual(events[7].data, { status: "cached", validation: "validated" });
+  // share=true saves the streamed estimate behind a share link too
+  const { share, ...streamed } = events[8].data;
+  assert.deepEqual(streamed, posted);
+  assert.match(share.id, /^[0-9a-f]{24}$/);
+});
+
+test("rejects unknown API keys", async () => {
+  const res = await postPrice(request, { Authorization: "Bearer gk_not-a-key" });
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { error: "Invalid API key" });
+});
+
+test("returns 429 once the anonymous quota is spent", async () => {
+  setEnv({ RATE_LIMIT_MAX_REQUESTS: "1" });
+  try {
+    const res = await postPrice(request);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+    const body = await res.json();
+    assert.equal(body.error, "Rate limit exceeded");
+  } finally {
+    setEnv({ RATE_LIMIT_MAX_REQUESTS: "1000" });
+  }
+});
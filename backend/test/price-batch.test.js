@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { useReplayFixtures, setEnv, tempDir, FIXTURE_LOCATION } from "./helpers.js";
+import { parsePriceBatchRequest, validatePriceBatchInput } from "../services/price-service.js";
+
+// POST /api/price/batch: one search for the household, one estimate per pet
+
+useReplayFixtures();
+setEnv({ DATA_DIR: tempDir(), RATE_LIMIT_MAX_REQUESTS: "10" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function postBatch(body) {
+  return fetch(`${baseUrl}/api/price/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+const household = {
+  location: FIXTURE_LOCATION,
+  pets: [
+    { name: "Rex", type: "dog", size: "medium" },
+    { name: " Bo ", type: "DOG", size: "small", services: ["bath", "nail-trim"] }
+  ]
+};
+
+test("validatePriceBatchInput names the pet each error belongs to", () => {
+  assert.deepEqual(validatePriceBatchInput(parsePriceBatchRequest(household)), []);
+  assert.deepEqual(validatePriceBatchInput(parsePriceBatchRequest({ location: "Austin, TX", pets: [{ type: "cat" }, 5] })), [
+    "pets[0].size must be one of: tiny, small, medium, large, x-large",
+    "pets[1] must be an object"
+  ]);
+  assert.deepEqual(validatePriceBatchInput(parsePriceBatchRequest({ location: "Austin, TX", pets: [] })), ["pets must be an array of 1 to 6 pets"]);
+  assert.match(validatePriceBatchInput({ location: "Austin, TX", pets: [{ type: "fish", size: "small", services: ["bath"] }] })[0], /^pets\[0\]\.services not offered for fish/);
+});
+
+test("prices each pet against one groomer search", async () => {
+  const res = await postBatch(household);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-cache-geocode"), "MISS");
+  assert.equal(res.headers.get("x-ratelimit-remaining"), "8", "charged one request per pet");
+
+  const body = await res.json();
+  assert.deepEqual(Object.keys(body), ["input", "demo", "pets", "total", "displayTotal", "household", "groomers"]);
+  assert.equal(body.input.groomersCount, 5);
+  assert.deepEqual(body.pets.map(p => p.input.name), ["Rex", "Bo"]);
+  assert.deepEqual(body.pets[1].input.services, ["bath", "nail-trim"]);
+
+  const [rex, bo] = body.pets;
+  assert.deepEqual([rex.price.min, rex.price.max], [65, 95]);
+  assert.equal(bo.validation.status, "replaced", "no recorded LLM reply for the second pet");
+  assert.deepEqual(body.total, {
+    min: rex.price.min + bo.price.min,
+    max: rex.price.max + bo.price.max,
+    currency: "USD",
+    confidence: "high"
+  });
+  assert.deepEqual(body.displayTotal, { currency: "USD", min: body.total.min, max: body.total.max, rate: 1, ratesAsOf: null });
+
+  assert.deepEqual(body.household, { species: ["dog"], groomersServingAll: 5 });
+  assert.ok(body.groomers.every(g => g.servesAllPets && g.servesSpecies.includes("dog")));
+});
+
+test("oversized batches are invalid rather than rate limited", async () => {
+  const pets = Array.from({ length: 7 }, () => ({ type: "dog", size: "medium" }));
+  const res = await postBatch({ location: FIXTURE_LOCATION, pets });
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get("x-ratelimit-remaining"), "2", "charged BATCH_MAX_PETS");
+});
+
+test("rejects a batch larger than the remaining quota", async () => {
+  const pets = Array.from({ length: 4 }, () => ({ type: "dog", size: "medium" }));
+  const res = await postBatch({ location: FIXTURE_LOCATION, pets });
+  assert.equal(res.status, 429);
+});
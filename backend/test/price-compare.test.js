@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useReplayFixtures, FIXTURE_LOCATION } from "./helpers.js";
+import { parsePriceCompareRequest, validatePriceCompareInput, runPriceCompare, priceCompareCost } from "../services/price-service.js";
+
+// POST /api/price/compare: one pet profile priced at several locations
+
+useReplayFixtures();
+
+const pet = { type: "dog", size: "medium" };
+
+test("validatePriceCompareInput bounds and checks the locations", () => {
+  assert.deepEqual(validatePriceCompareInput(parsePriceCompareRequest({ locations: ["Austin, TX", "Seattle, WA"], pet })), []);
+  assert.deepEqual(validatePriceCompareInput(parsePriceCompareRequest({ locations: ["Austin, TX"], pet })), ["locations must be an array of 2 to 5 locations"]);
+  assert.deepEqual(validatePriceCompareInput(parsePriceCompareRequest({ locations: ["Austin, TX", " austin, tx "], pet: { type: "dog" } })), [
+    "locations must be different",
+    "pet.size must be one of: tiny, small, medium, large, x-large"
+  ]);
+  assert.deepEqual(validatePriceCompareInput(parsePriceCompareRequest({ locations: ["Austin, TX", ""] })), ["locations[1] is required", "pet is required"]);
+});
+
+test("priceCompareCost charges one request per location", () => {
+  assert.equal(priceCompareCost({ locations: ["a", "b", "c"] }), 3);
+  assert.equal(priceCompareCost({ locations: new Array(50).fill("a") }), 5);
+  assert.equal(priceCompareCost({}), 1);
+});
+
+test("runPriceCompare returns one row per location, in request order", async () => {
+  const { body } = await runPriceCompare(parsePriceCompareRequest({ locations: [FIXTURE_LOCATION, "Seattle, WA 98101"], pet }));
+  assert.deepEqual(body.input, { pet: { type: "dog", size: "medium", breed: null, coatType: null, services: ["full-groom"] }, radiusMiles: 40, maxResults: 12, displayCurrency: "USD" });
+
+  const [austin, seattle] = body.comparison;
+  assert.deepEqual(austin, {
+    location: FIXTURE_LOCATION,
+    geocode: { provider: "geocodio", precision: "rooftop", formatted: FIXTURE_LOCATION, country: "US" },
+    demo: false,
+    price: { min: 65, max: 95, currency: "USD", confidence: "high" },
+    displayPrice: { currency: "USD", min: 65, max: 95, rate: 1, ratesAsOf: null },
+    groomersCount: 5,
+    groomersSource: "google-places",
+    averageRating: 4.42,
+    radiusMilesUsed: 3,
+    validation: "validated"
+  });
+
+  // No recorded upstreams for Seattle: offline geocode, mock groomers, rule estimate
+  assert.equal(seattle.geocode.provider, "offline");
+  assert.equal(seattle.groomersSource, "mock");
+  assert.equal(seattle.demo, true);
+  assert.equal(body.demo, true);
+  assert.equal(seattle.averageRating, null);
+  assert.equal(seattle.validation, "replaced");
+  assert.ok(seattle.price.min > 0);
+
+  const cheaper = austin.price.min + austin.price.max <= seattle.price.min + seattle.price.max ? austin : seattle;
+  assert.equal(body.summary.cheapest, cheaper.location);
+});
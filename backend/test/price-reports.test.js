@@ -0,0 +1,178 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { useReplayFixtures, setEnv, tempDir, createFakeKV, FIXTURE_LOCATION } from "./helpers.js";
+import { summarizeAmounts, blendObservedPrice, screenPriceReport, reportStats, createKVPriceReportStore, parseReportStatsQuery } from "../services/price-reports.js";
+
+// Crowd-sourced price reports: screening, aggregation and blending into
+// /api/price, through Express with replayed upstreams
+
+useReplayFixtures();
+setEnv({ DATA_DIR: tempDir(), RATE_LIMIT_MAX_REQUESTS: "1000" });
+
+const { default: app } = await import("../app.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function post(path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+const AUSTIN = { lat: 30.2672, lng: -97.7431, zip: "78701", state: "TX", precision: "rooftop" };
+
+function report(overrides = {}) {
+  return {
+    placeId: "ChIJfixture-report-1",
+    location: FIXTURE_LOCATION,
+    species: "dog",
+    size: "medium",
+    services: ["full-groom"],
+    amount: 80,
+    ...overrides
+  };
+}
+
+function stored(amount, overrides = {}) {
+  return {
+    ...report({ amount }),
+    services: ["full-groom"],
+    lat: AUSTIN.lat,
+    lng: AUSTIN.lng,
+    area: "zip3:787",
+    clientHash: "someone-else",
+    createdAt: new Date().toISOString(),
+    paidAt: null,
+    ...overrides
+  };
+}
+
+test("summarizeAmounts reports quartiles", () => {
+  assert.deepEqual(summarizeAmounts([100, 60, 80, 70, 90]), { count: 5, min: 60, max: 100, median: 80, p25: 70, p75: 90 });
+  assert.equal(summarizeAmounts([]).median, null);
+});
+
+test("blendObservedPrice needs enough samples and cites them", () => {
+  const price = { min: 60, max: 100, currency: "USD", confidence: "medium", notes: "LLM", lineItems: [{ service: "full-groom", min: 60, max: 100 }] };
+  const few = { count: 2, median: 90, p25: 85, p75: 95, radiusMiles: 25 };
+  assert.equal(blendObservedPrice(price, few), price);
+
+  const blended = blendObservedPrice(price, { ...few, count: 5 });
+  assert.equal(blended.min, 73);
+  assert.equal(blended.max, 98);
+  assert.equal(blended.confidence, "high");
+  assert.equal(blended.notes, "LLM Calibrated with 5 reported prices within 25 mi (median $90).");
+  assert.deepEqual(blended.lineItems, [{ service: "full-groom", min: 73, max: 98 }]);
+});
+
+test("screenPriceReport rejects implausible amounts, local outliers and repeats", () => {
+  const screen = (r, existing = [], clientHash = "me") => screenPriceReport(r, { geocode: AUSTIN, existing, clientHash });
+
+  assert.equal(screen(report()), null);
+  assert.equal(screen(report({ amount: 5 })).status, 422);
+  assert.equal(screen(report({ amount: 900 })).status, 422);
+
+  const local = [78, 80, 82, 85, 88].map(amount => stored(amount));
+  assert.equal(screen(report({ amount: 84 }), local), null);
+  assert.match(screen(report({ amount: 160 }), local).details[0], /median \$82/);
+
+  const mine = [stored(80, { clientHash: "me" })];
+  assert.equal(screen(report(), mine).status, 409);
+  assert.equal(screen(report({ placeId: "ChIJfixture-report-2" }), mine), null);
+});
+
+test("reportStats groups by area and species", () => {
+  const reports = [stored(80), stored(90), stored(60, { species: "cat", size: "small" }), stored(100, { area: "state:TX" })];
+  const groups = reportStats(reports);
+  assert.deepEqual(groups.map(g => [g.area, g.species, g.count]), [["zip3:787", "dog", 2], ["state:TX", "dog", 1], ["zip3:787", "cat", 1]]);
+  assert.deepEqual(reportStats(reports, { species: "cat" })[0].sizes, { small: 1 });
+});
+
+test("the Worker's KV report store lists every page from key metadata", async () => {
+  const kv = createFakeKV({ pageSize: 2 });
+  const store = createKVPriceReportStore(kv);
+  const reports = [stored(80, { id: "r1" }), stored(90, { id: "r2" }), stored(60, { id: "r3" })];
+  for (const report of reports) await store.add(report);
+
+  assert.deepEqual(await store.list(), reports);
+  assert.equal(kv.entries.get("report:30:-98:r1").expirationTtl, 365 * 24 * 60 * 60);
+
+  setEnv({ REPORTS_KV_MAX_KEYS: "2" });
+  try {
+    assert.equal((await store.list()).length, 2, "a full listing stops at REPORTS_KV_MAX_KEYS");
+  } finally {
+    setEnv({ REPORTS_KV_MAX_KEYS: undefined });
+  }
+});
+
+test("the Worker's KV report store lists only the grid cells near an estimate", async () => {
+  const kv = createFakeKV();
+  const store = createKVPriceReportStore(kv);
+  const austin = stored(80, { id: "austin" });
+  const dallas = stored(90, { id: "dallas", lat: 32.7767, lng: -96.797 });
+  await store.add(austin);
+  await store.add(dallas);
+
+  const prefixes = [];
+  const list = kv.list;
+  kv.list = options => {
+    prefixes.push(options.prefix);
+    return list(options);
+  };
+  assert.deepEqual(await store.list({ lat: 30.2711, lng: -97.7437, radiusMiles: 25 }), [austin]);
+  assert.deepEqual(prefixes, ["report:29:-99:", "report:29:-98:", "report:30:-99:", "report:30:-98:"]);
+});
+
+test("stats queries are normalized and checked the same way on both servers", () => {
+  const options = { species: ["dog", "cat"], sizes: ["small", "medium"] };
+  assert.deepEqual(parseReportStatsQuery({ area: "State:tx", species: "Dog" }, options), { filters: { area: "state:TX", species: "dog" }, errors: [] });
+  assert.deepEqual(parseReportStatsQuery({ area: "austin", size: "huge" }, options).errors, [
+    "area must look like zip3:787 or state:TX",
+    "size must be one of: small, medium"
+  ]);
+});
+
+test("POST /api/price-reports validates input", async () => {
+  const res = await post("/api/price-reports", { species: "dragon", amount: -4 });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error, "Invalid input");
+  assert.ok(body.details.some(d => d.startsWith("placeId")));
+  assert.ok(body.details.some(d => d.startsWith("amount")));
+});
+
+test("reports are stored, aggregated and blended into /api/price", async () => {
+  for (const [i, amount] of [[1, 80], [2, 85], [3, 90]]) {
+    const res = await post("/api/price-reports", report({ placeId: `ChIJfixture-report-${i}`, amount }));
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.area, "zip3:787");
+    assert.equal("clientHash" in body, false);
+  }
+
+  const repeat = await post("/api/price-reports", report({ placeId: "ChIJfixture-report-1" }));
+  assert.equal(repeat.status, 409);
+
+  const stats = await (await fetch(`${baseUrl}/api/price-reports/stats?area=zip3:787&species=dog`)).json();
+  assert.deepEqual(stats.groups, [{ area: "zip3:787", species: "dog", sizes: { medium: 3 }, count: 3, min: 80, max: 90, median: 85, p25: 83, p75: 88 }]);
+
+  const res = await post("/api/price", { location: FIXTURE_LOCATION, type: "dog", size: "medium" });
+  const body = await res.json();
+  assert.equal(body.observed.count, 3);
+  assert.equal(body.observed.applied, true);
+  assert.equal(body.price.min, 72);
+  assert.equal(body.price.max, 92);
+  assert.match(body.price.notes, /Calibrated with 3 reported prices within 25 mi \(median \$85\)\.$/);
+});
@@ -0,0 +1,145 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createRateLimiter, createMemoryRateLimitStore } from "../services/rate-limit.js";
+import { resolveClient, issueApiKey, revokeApiKey } from "../services/api-keys.js";
+import { createFileRateLimitStore } from "../stores/file-rate-limit-store.js";
+import { createFileApiKeyStore } from "../stores/file-api-key-store.js";
+import { rateLimit } from "../routes/rate-limiter.js";
+import { setEnv, tempDir } from "./helpers.js";
+
+const MINUTE = 60000;
+
+setEnv({ LOG_LEVEL: "silent" });
+
+test("allows up to the limit, then denies with Retry-After", async () => {
+  const check = createRateLimiter(createMemoryRateLimitStore());
+  const quota = { limit: 3, windowMs: MINUTE };
+
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push(await check("ip:1", quota));
+
+  assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map(r => r.remaining), [2, 1, 0, 0]);
+  assert.ok(results[3].retryAfter > 0);
+  assert.equal(results[3].headers["Retry-After"], String(results[3].retryAfter));
+  assert.equal((await check("ip:2", quota)).allowed, true, "other clients are unaffected");
+});
+
+test("the previous window still counts, weighted by its overlap", async () => {
+  const start = Math.floor(Date.now() / MINUTE) * MINUTE;
+  mock.timers.enable({ apis: ["Date"], now: start + 1000 });
+  try {
+    const check = createRateLimiter(createMemoryRateLimitStore());
+    const quota = { limit: 4, windowMs: MINUTE };
+    for (let i = 0; i < 4; i++) await check("ip:1", quota);
+
+    // A quarter into the next window, 75% of the previous 4 requests still count
+    mock.timers.setTime(start + MINUTE + MINUTE / 4);
+    assert.equal((await check("ip:1", quota)).allowed, true);
+    assert.equal((await check("ip:1", quota)).allowed, false);
+
+    // Two windows on, nothing from either burst counts
+    mock.timers.setTime(start + 3 * MINUTE);
+    assert.equal((await check("ip:1", quota)).remaining, 3);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("denied requests are not counted", async () => {
+  const store = createMemoryRateLimitStore();
+  const check = createRateLimiter(store);
+  const quota = { limit: 1, windowMs: MINUTE };
+  for (let i = 0; i < 5; i++) await check("ip:1", quota);
+  const windowStart = Math.floor(Date.now() / MINUTE) * MINUTE;
+  assert.equal(await store.get(`ip:1:${windowStart}`), 1);
+});
+
+test("a parallel burst can't get past the limit", async () => {
+  const quota = { limit: 3, windowMs: MINUTE };
+  for (const store of [createMemoryRateLimitStore(), createFileRateLimitStore(path.join(tempDir(), "rate-limits.json"))]) {
+    const check = createRateLimiter(store);
+    const results = await Promise.all(Array.from({ length: 8 }, () => check("ip:1", quota)));
+    assert.equal(results.filter(r => r.allowed).length, 3, store.name);
+    const windowStart = Math.floor(Date.now() / MINUTE) * MINUTE;
+    assert.equal(await store.get(`ip:1:${windowStart}`), 3, "denied requests are taken back off");
+  }
+});
+
+test("the memory store evicts down to RATE_LIMIT_MAX_KEYS", async () => {
+  setEnv({ RATE_LIMIT_MAX_KEYS: "50" });
+  try {
+    const store = createMemoryRateLimitStore();
+    const check = createRateLimiter(store);
+    for (let i = 0; i < 200; i++) await check(`ip:${i}`, { limit: 5, windowMs: MINUTE });
+    assert.equal(store.size(), 50);
+  } finally {
+    setEnv({ RATE_LIMIT_MAX_KEYS: undefined });
+  }
+});
+
+test("file stores share counts between instances", async () => {
+  const file = path.join(tempDir(), "rate-limits.json");
+  const quota = { limit: 3, windowMs: MINUTE };
+  const a = createRateLimiter(createFileRateLimitStore(file));
+  const b = createRateLimiter(createFileRateLimitStore(file));
+
+  assert.equal((await a("key:abc", quota)).allowed, true);
+  assert.equal((await b("key:abc", quota)).allowed, true);
+  assert.equal((await a("key:abc", quota)).allowed, true);
+  assert.equal((await b("key:abc", quota)).allowed, false);
+});
+
+test("a file lock held by another process is waited for without blocking the event loop", async () => {
+  const file = path.join(tempDir(), "rate-limits.json");
+  const store = createFileRateLimitStore(file);
+  fs.writeFileSync(`${file}.lock`, "");
+
+  let settled = false;
+  const pending = Promise.all([store.increment("ip:1", MINUTE), store.increment("ip:1", MINUTE)]).then(counts => {
+    settled = true;
+    return counts;
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(settled, false, "timers still run while the lock is held");
+
+  fs.rmSync(`${file}.lock`);
+  assert.deepEqual(await pending, [1, 2]);
+});
+
+test("the middleware calls next() once, even when the next handler throws", async () => {
+  setEnv({ DATA_DIR: tempDir() });
+  const headers = {};
+  const res = { set: (name, value) => Object.assign(headers, typeof name === "object" ? name : { [name]: value }) };
+  let calls = 0;
+  const next = () => {
+    calls++;
+    throw new Error("handler failed");
+  };
+
+  await assert.rejects(rateLimit()({ headers: {}, ip: "203.0.113.9" }, res, next), /handler failed/);
+  assert.equal(calls, 1);
+  assert.equal(headers["X-RateLimit-Tier"], "anonymous");
+});
+
+test("resolveClient maps API keys to their tier and rejects bad ones", async () => {
+  const store = createFileApiKeyStore(path.join(tempDir(), "api-keys.json"));
+  const { key, record } = await issueApiKey(store, { name: "Acme", tier: "enterprise" });
+
+  const anonymous = await resolveClient(store, undefined, "203.0.113.7");
+  assert.equal(anonymous.id, "ip:203.0.113.7");
+  assert.equal(anonymous.tier, "anonymous");
+
+  const partner = await resolveClient(store, `Bearer ${key}`, "203.0.113.7");
+  assert.equal(partner.id, `key:${record.id}`);
+  assert.equal(partner.tier, "enterprise");
+  assert.equal(partner.quota.limit, 10000);
+
+  assert.deepEqual(await resolveClient(store, "Bearer gk_nope", "203.0.113.7"), { error: "Invalid API key" });
+  assert.deepEqual(await resolveClient(store, "Basic abc", "203.0.113.7"), { error: "Invalid API key" });
+
+  await revokeApiKey(store, record.id);
+  assert.deepEqual(await resolveClient(store, `Bearer ${key}`, "203.0.113.7"), { error: "API key revoked" });
+});
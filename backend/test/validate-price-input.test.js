@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validatePriceInput, parsePriceRequest } from "../services/price-service.js";
+
+const valid = { location: "Austin, TX", size: "medium", type: "dog" };
+
+test("accepts a minimal valid request", () => {
+  assert.deepEqual(validatePriceInput(valid), []);
+});
+
+test("reports every missing required field", () => {
+  const errors = validatePriceInput({});
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /location is required/);
+  assert.match(errors[1], /^size must be one of/);
+  assert.match(errors[2], /^type must be one of/);
+});
+
+test("rejects overlong location and breed", () => {
+  assert.deepEqual(validatePriceInput({ ...valid, location: "x".repeat(201) }), ["location is too long"]);
+  assert.deepEqual(validatePriceInput({ ...valid, breed: "b".repeat(61) }), ["breed must be a string of at most 60 characters"]);
+});
+
+test("rejects unknown coat types and services", () => {
+  assert.match(validatePriceInput({ ...valid, coatType: "feathery" })[0], /^coatType must be one of/);
+  assert.match(validatePriceInput({ ...valid, services: ["teeth-whitening"] })[0], /^services must be any of/);
+  assert.deepEqual(validatePriceInput({ ...valid, services: "bath" }), ["services must be an array of strings"]);
+});
+
+test("rejects services the species cannot get", () => {
+  assert.deepEqual(
+    validatePriceInput({ location: "Austin, TX", size: "small", type: "fish", services: ["nail-trim"] }),
+    ["services not offered for fish: nail-trim"]
+  );
+});
+
+test("bounds radiusMiles and maxResults", () => {
+  assert.match(validatePriceInput({ ...valid, radiusMiles: 0 })[0], /^radiusMiles must be a number between 1 and 100/);
+  assert.match(validatePriceInput({ ...valid, radiusMiles: 101 })[0], /^radiusMiles/);
+  assert.match(validatePriceInput({ ...valid, maxResults: 41 })[0], /^maxResults must be an integer between 1 and 40/);
+  assert.match(validatePriceInput({ ...valid, maxResults: 2.5 })[0], /^maxResults/);
+  assert.deepEqual(validatePriceInput({ ...valid, radiusMiles: 100, maxResults: 40 }), []);
+});
+
+test("parsePriceRequest combines address and zip and normalizes fields", () => {
+  const payload = parsePriceRequest({
+    address: " 500 Congress Ave ",
+    zip: "78701",
+    size: " Medium",
+    type: "DOG",
+    breed: "  ",
+    coatType: "Curly",
+    services: ["Bath", "bath", " nail-trim "],
+    radiusMiles: "15",
+    maxResults: ""
+  });
+
+  assert.deepEqual(payload, {
+    location: "500 Congress Ave 78701",
+    size: "medium",
+    type: "dog",
+    breed: undefined,
+    coatType: "curly",
+    services: ["bath", "nail-trim"],
+    radiusMiles: 15,
+    maxResults: undefined,
+    currency: undefined,
+    share: undefined,
+    sort: undefined,
+    openNow: undefined,
+    minRating: undefined,
+    maxDistanceMiles: undefined,
+    exotic: undefined
+  });
+});
+
+test("parsePriceRequest leaves non-numeric strings for validation to reject", () => {
+  const payload = parsePriceRequest({ ...valid, radiusMiles: "far" });
+  assert.equal(payload.radiusMiles, "far");
+  assert.match(validatePriceInput(payload)[0], /^radiusMiles/);
+});
+
+test("listing options are parsed from query strings and validated", () => {
+  const payload = parsePriceRequest({ ...valid, sort: "Relevance", openNow: "true", exotic: "false", minRating: "4.5", maxDistanceMiles: "10" });
+  assert.deepEqual([payload.sort, payload.openNow, payload.exotic, payload.minRating, payload.maxDistanceMiles], ["relevance", true, false, 4.5, 10]);
+  assert.deepEqual(validatePriceInput(payload), []);
+
+  assert.deepEqual(validatePriceInput(parsePriceRequest({ ...valid, sort: "price", openNow: "yes", minRating: "6", maxDistanceMiles: "0" })), [
+    "sort must be one of: distance, relevance, rating",
+    "openNow must be a boolean",
+    "minRating must be a number between 0 and 5",
+    "maxDistanceMiles must be a number between 0 and 100"
+  ]);
+});